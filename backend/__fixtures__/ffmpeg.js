@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// Stand-in for ffmpeg (FFMPEG_PATH) that copies its input (stdin for `-i pipe:0`, else the file) to its
+// output (stdout for pipe:1, else the last argument). It exits with 0, or with 1 and a complaint on
+// stderr when the input ends in "FAIL".
+
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+const input = args[args.indexOf('-i') + 1];
+const output = args[args.length - 1];
+
+const from = input === 'pipe:0' ? process.stdin : fs.createReadStream(input);
+let tail = '';
+from.on('data', (c) => tail = (tail + c).slice(-4));
+from.pipe(output === 'pipe:1' ? process.stdout : fs.createWriteStream(output));
+from.on('end', () => {
+  if (tail !== 'FAIL') return;
+  process.stderr.write('fake ffmpeg error\n');
+  process.exitCode = 1;
+});
@@ -0,0 +1,138 @@
+// auth.js
+// API keys with scopes, and the CORS allowlist. A key is sent as `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`; requests without one get PUBLIC_SCOPES. <video> and <audio> elements can't send
+// headers, so saved files (/downloads/...) are also served to signed links instead: an HMAC over the path
+// and an expiry time, which opens that one file until then and never carries the key itself.
+//
+//   API_KEYS          JSON list of keys: [{ "id": "ci", "key": "<secret>", "scopes": ["download"] }, ...]
+//   API_KEYS_FILE     path to a file with the same JSON (read once at startup)
+//   PUBLIC_SCOPES     comma-separated scopes of requests without a key (default "read-info,download",
+//                     which is what the web app needs); empty to require a key everywhere
+//   ADMIN_TOKEN       shorthand for a key with the "admin" scope. Without any admin key, admin routes are
+//                     open to local requests only.
+//   CORS_ORIGINS      comma-separated origins browsers may call the API from; unset or "*" allows any
+//   MEDIA_URL_SECRET  what signed links are signed with (default: random at startup, so they stop working
+//                     on restart; set it when several instances serve the same files)
+//   MEDIA_URL_TTL_MS  how long a signed link works (default 1 hour)
+//
+// Scopes:
+//   read-info     video info and job status
+//   download      downloads, audio, captions, thumbnails, frames and batches
+//   server-save   saving to the server's DOWNLOADS_DIR, listing and fetching what's there, cancelling jobs
+//   delete        deleting saved files
+//   admin         admin routes; implies every other scope
+
+const fsSync = require("fs");
+const crypto = require("crypto");
+const errors = require("./errors");
+
+const SCOPES = ['read-info', 'download', 'server-save', 'delete', 'admin'];
+const LOCAL_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+function parseList(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+// Keys are looked up by the SHA-256 of their secret, so the lookup doesn't leak it through timing
+const hash = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+function loadKeys() {
+  let list = [];
+  try {
+    const json = process.env.API_KEYS_FILE ? fsSync.readFileSync(process.env.API_KEYS_FILE, 'utf8') : process.env.API_KEYS;
+    if (json) list = JSON.parse(json);
+    if (!Array.isArray(list)) throw new Error('expected a JSON array');
+  } catch (err) {
+    // refusing to start beats silently running without the keys the operator meant to require
+    throw new Error(`[auth] invalid API_KEYS${process.env.API_KEYS_FILE ? '_FILE' : ''}: ${err.message}`);
+  }
+  if (process.env.ADMIN_TOKEN) list.push({ id: 'admin-token', key: process.env.ADMIN_TOKEN, scopes: ['admin'] });
+
+  const keys = new Map(); // hash of the secret -> { id, scopes }
+  for (const entry of list) {
+    if (!entry || !entry.key || !entry.id) throw new Error('[auth] every API key needs an "id" and a "key"');
+    const unknown = (entry.scopes || []).filter((s) => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`[auth] API key "${entry.id}" has unknown scopes: ${unknown.join(', ')}`);
+    keys.set(hash(entry.key), { id: String(entry.id), scopes: [...(entry.scopes || [])] });
+  }
+  return keys;
+}
+
+const keys = loadKeys();
+const PUBLIC_SCOPES = parseList(process.env.PUBLIC_SCOPES ?? 'read-info,download').filter((s) => SCOPES.includes(s) && s !== 'admin');
+const hasAdminKey = [...keys.values()].some((k) => k.scopes.includes('admin'));
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || crypto.randomBytes(32).toString('hex');
+const MEDIA_URL_TTL_MS = Number(process.env.MEDIA_URL_TTL_MS || 60 * 60 * 1000);
+
+function keyFrom(req) {
+  const header = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(header);
+  if (bearer) return bearer[1].trim();
+  return req.get('x-api-key') || null;
+}
+
+// Signatures cover the decoded path, so they hold however a browser re-encodes the link
+const mediaSignature = (pathname, expires) =>
+  crypto.createHmac('sha256', MEDIA_URL_SECRET).update(`${pathname}\n${expires}`).digest('base64url');
+
+// A link to `pathname` (URL-encoded, e.g. "/downloads/a%20b.mp4") that works without a key until expiresAt
+function signMediaUrl(pathname) {
+  const expires = Date.now() + MEDIA_URL_TTL_MS;
+  const signature = mediaSignature(decodeURIComponent(pathname), expires);
+  return { url: `${pathname}?expires=${expires}&signature=${signature}`, expiresAt: new Date(expires).toISOString() };
+}
+
+function hasMediaSignature(req) {
+  const { expires, signature } = req.query;
+  if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+  if (typeof expires !== 'string' || typeof signature !== 'string' || !(Number(expires) > Date.now())) return false;
+  let pathname;
+  try {
+    pathname = decodeURIComponent(req.baseUrl + req.path);
+  } catch (e) {
+    return false;
+  }
+  const expected = Buffer.from(mediaSignature(pathname, expires));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Middleware: sets req.apiKey ({ id, scopes }) for a known key; an unknown one is a 401
+function authenticate(req, res, next) {
+  const secret = keyFrom(req);
+  if (!secret) return next();
+  const key = keys.get(hash(secret));
+  if (!key) return errors.sendError(res, errors.createError('unauthorized', 'Unknown API key'));
+  req.apiKey = key;
+  next();
+}
+
+function hasScope(req, scope) {
+  if (req.apiKey) return req.apiKey.scopes.includes(scope) || req.apiKey.scopes.includes('admin');
+  if (scope === 'admin') return !hasAdminKey && LOCAL_ADDRESSES.includes(req.socket.remoteAddress);
+  return PUBLIC_SCOPES.includes(scope);
+}
+
+// Middleware for a route needing `scope`: 401 without a key, 403 when the key lacks it. `signed` also
+// lets in GETs of a link from signMediaUrl().
+function requireScope(scope, { signed = false } = {}) {
+  return (req, res, next) => {
+    if (hasScope(req, scope) || (signed && hasMediaSignature(req))) return next();
+    const code = req.apiKey ? 'forbidden' : 'unauthorized';
+    errors.sendError(res, errors.createError(code, `${errors.CODES[code].message} (needs the "${scope}" scope)`));
+  };
+}
+
+// `origin` option for cors(): the CORS_ORIGINS allowlist, or any origin when it's unset or "*"
+function corsOrigin() {
+  const allowed = parseList(process.env.CORS_ORIGINS).map((o) => o.replace(/\/+$/, ''));
+  if (!allowed.length || allowed.includes('*')) return true;
+  return (origin, callback) => callback(null, !origin || allowed.includes(origin));
+}
+
+// For /health: what requests without a key may do
+function describe() {
+  return { publicScopes: PUBLIC_SCOPES };
+}
+
+module.exports = { SCOPES, authenticate, requireScope, hasScope, signMediaUrl, corsOrigin, describe };
@@ -0,0 +1,64 @@
+process.env.API_KEYS = JSON.stringify([{ id: 'library', key: 'secret', scopes: ['server-save'] }]);
+process.env.PUBLIC_SCOPES = '';
+const auth = require('./auth');
+
+const serveSaved = auth.requireScope('server-save', { signed: true });
+
+// A request for `url` under /downloads as express.static's mount sees it
+function request(url, headers = {}) {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  return {
+    method: 'GET',
+    baseUrl: '/downloads',
+    path: pathname.slice('/downloads'.length),
+    query: Object.fromEntries(searchParams),
+    get: (name) => headers[name.toLowerCase()],
+    socket: { remoteAddress: '10.0.0.2' }
+  };
+}
+
+// Resolves to the status `middleware` answers `req` with, or "next" when it lets it through
+function run(middleware, req) {
+  return new Promise((resolve) => {
+    const res = { headersSent: false, setHeader() {}, status: (code) => ({ json: () => resolve(code) }) };
+    middleware(req, res, () => resolve('next'));
+  });
+}
+
+afterEach(() => jest.useRealTimers());
+
+describe('signed links to saved files', () => {
+  test('open the file they were signed for, without a key', async () => {
+    const { url, expiresAt } = auth.signMediaUrl('/downloads/My%20video-1712345678901.mp4');
+    expect(url).not.toContain('secret');
+    expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+    await expect(run(serveSaved, request(url))).resolves.toBe('next');
+    // however the browser encodes the path
+    await expect(run(serveSaved, request(url.replace('video-', 'video%2D')))).resolves.toBe('next');
+  });
+
+  test('open nothing else', async () => {
+    const { url } = auth.signMediaUrl('/downloads/a-1712345678901.mp4');
+    await expect(run(serveSaved, request(url.replace('a-', 'b-')))).resolves.toBe(401);
+    await expect(run(serveSaved, request(url.replace(/expires=\d+/, `expires=${Date.now() + 1e9}`)))).resolves.toBe(401);
+    await expect(run(serveSaved, request(url.replace(/signature=[^&]+/, 'signature=x')))).resolves.toBe(401);
+    await expect(run(auth.requireScope('server-save'), request(url))).resolves.toBe(401);
+    await expect(run(serveSaved, { ...request(url), method: 'DELETE' })).resolves.toBe(401);
+  });
+
+  test('stop working once they expire', async () => {
+    const { url } = auth.signMediaUrl('/downloads/a-1712345678901.mp4');
+    jest.useFakeTimers({ now: Date.now() + 60 * 60 * 1000 + 1 });
+    await expect(run(serveSaved, request(url))).resolves.toBe(401);
+  });
+});
+
+describe('API keys', () => {
+  test('are taken from headers only', async () => {
+    await expect(run(auth.authenticate, request('/downloads/a.mp4', { 'x-api-key': 'secret' }))).resolves.toBe('next');
+    const req = request('/downloads/a.mp4?api_key=secret');
+    await run(auth.authenticate, req);
+    expect(req.apiKey).toBeUndefined();
+    await expect(run(serveSaved, req)).resolves.toBe(401);
+  });
+});
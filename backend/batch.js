@@ -0,0 +1,123 @@
+// batch.js
+// Expand a list of video URLs / YouTube playlists / channel shorts tabs into single videos and
+// download them into a ZIP archive with a manifest of what succeeded and what failed.
+
+const path = require("path");
+const fs = require("fs").promises;
+const os = require("os");
+const archiver = require("archiver");
+const sanitize = require("sanitize-filename");
+const extractors = require("./extractors");
+const cache = require("./cache");
+const { describeFormat } = require("./formats");
+const errors = require("./errors");
+const sites = require("./shared/sites");
+
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 50);
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 3);
+
+// Playlist (list=...) or a channel's /shorts tab
+function isYouTubeCollectionUrl(url) {
+  if (!url || typeof url !== 'string') return false;
+  const patterns = [
+    /^(https?:\/\/)?((www|m|music)\.)?youtube\.com\/playlist\?(.*&)?list=/i,
+    /^(https?:\/\/)?((www|m)\.)?youtube\.com\/(@[^/?#]+|channel\/[^/?#]+|c\/[^/?#]+|user\/[^/?#]+)\/shorts\/?([?#].*)?$/i
+  ];
+  return patterns.some((p) => p.test(url));
+}
+
+// Run `fn` over `items` with at most `limit` calls in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// Turn the request's sources into unique single-video items (capped at BATCH_MAX_ITEMS).
+// Sources that fail to expand are returned in `failed` so they end up in the manifest.
+async function expandSources(sources, { limit = BATCH_MAX_ITEMS } = {}) {
+  const items = [];
+  const failed = [];
+  const seen = new Set();
+  const add = (item) => {
+    if (items.length >= limit || seen.has(item.url)) return;
+    seen.add(item.url);
+    items.push(item);
+  };
+
+  for (const source of sources) {
+    if (items.length >= limit) break;
+    if (isYouTubeCollectionUrl(source)) {
+      try {
+        const { result } = await extractors.expand(source, { limit: limit - items.length }, 'batch');
+        result.forEach((entry) => add({ url: entry.url, title: entry.title || null, source }));
+      } catch (err) {
+        failed.push({ url: source, status: 'failed', error: `could not expand: ${err.message}` });
+      }
+      continue;
+    }
+    const video = sites.parseVideoUrl(source);
+    if (video.ok) {
+      add({ url: video.url, title: null, source });
+    } else {
+      failed.push({ url: source, status: 'failed', error: `not a video, YouTube playlist or channel shorts URL (${video.message})` });
+    }
+  }
+  return { items, failed };
+}
+
+// Download every item into a temp dir and stream them to `output` as a ZIP with manifest.json.
+// Resolves with the manifest once the archive has been finalized; when `signal` aborts, the
+// downloads still running are killed and it rejects with an AbortError instead.
+async function streamBatchZip(output, items, { failed = [], selector, audioOnly, concurrency = BATCH_CONCURRENCY, signal } = {}) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-'));
+  const archive = archiver('zip', { zlib: { level: 0 } });
+  const cleanup = () => fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  archive.on('warning', (err) => console.warn('[batch] archive warning:', err?.message || err));
+  archive.on('error', (err) => {
+    console.error('[batch] archive error:', err);
+    output.destroy(err);
+  });
+  output.on('close', cleanup);
+  archive.pipe(output);
+
+  const width = String(items.length).length;
+  const results = await mapWithConcurrency(items, concurrency, async (item, i) => {
+    if (signal?.aborted) return { url: item.url, status: 'failed', title: item.title, error: 'cancelled' };
+    try {
+      const { extractor, result } = await cache.downloadToFile(item.url, { dir: tmpDir, basename: `item-${i}`, selector, audioOnly, signal }, 'batch');
+      const title = sanitize(result.title || item.title || '') || `${audioOnly ? 'audio' : 'video'}-${i + 1}`;
+      const ext = path.extname(result.filepath).slice(1) || result.container || (audioOnly ? 'm4a' : 'mp4');
+      const filename = `${String(i + 1).padStart(width, '0')} - ${title}.${ext}`;
+      archive.file(result.filepath, { name: filename });
+      return { url: item.url, status: 'ok', filename, title: result.title || item.title, extractor, format: describeFormat(result.format) };
+    } catch (err) {
+      return { url: item.url, status: 'failed', title: item.title, error: err.message, code: errors.classify(err) || 'internal' };
+    }
+  });
+
+  if (signal?.aborted) {
+    archive.abort();
+    cleanup();
+    throw signal.reason;
+  }
+
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    succeeded: results.filter((r) => r.status === 'ok').length,
+    failed: results.filter((r) => r.status !== 'ok').length + failed.length,
+    items: [...results, ...failed]
+  };
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+  return manifest;
+}
+
+module.exports = { isYouTubeCollectionUrl, mapWithConcurrency, expandSources, streamBatchZip, BATCH_MAX_ITEMS };
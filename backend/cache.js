@@ -0,0 +1,332 @@
+// cache.js
+// Content-addressed download cache: files are keyed by video id plus the format actually delivered and
+// kept under CACHE_DIR up to CACHE_MAX_BYTES, least recently used evicted first. Requests map to
+// entries through their selector, so "highest" and "22" share one file once both resolve to itag 22.
+// Video info is cached in memory for INFO_CACHE_TTL_MS.
+//
+//   CACHE_DIR            where cached files live (default <tmpdir>/swift-shorts-cache)
+//   CACHE_MAX_BYTES      byte quota, 0 disables the file cache (default 1 GiB)
+//   INFO_CACHE_TTL_MS    video-info lifetime, 0 disables it (default 10 minutes)
+
+const path = require("path");
+const fs = require("fs").promises;
+const fsSync = require("fs");
+const os = require("os");
+const crypto = require("crypto");
+const extractors = require("./extractors");
+const { describeFormat } = require("./formats");
+const sites = require("./shared/sites");
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(os.tmpdir(), 'swift-shorts-cache');
+const CACHE_MAX_BYTES = Number(process.env.CACHE_MAX_BYTES ?? 1024 * 1024 * 1024);
+const INFO_CACHE_TTL_MS = Number(process.env.INFO_CACHE_TTL_MS ?? 10 * 60 * 1000);
+const INFO_CACHE_MAX_ENTRIES = 500;
+const INDEX_FILE = path.join(CACHE_DIR, 'index.json');
+
+const entries = new Map();   // content key -> entry
+const aliases = new Map();   // request key -> { key, unmet }
+const inflight = new Map();  // request key -> Promise<{ entry, unmet } | null>
+const infoCache = new Map(); // video id -> { promise, expires }
+
+// Video id of any link shared/sites.js accepts ("<site>:<id>" off YouTube); anything else is keyed by the URL itself
+function videoKey(url) {
+  const video = sites.parseVideoUrl(url);
+  if (!video.ok) return String(url || '').trim();
+  return video.site === 'youtube' ? video.id : `${video.site}:${video.id}`;
+}
+
+function requestKey(url, selector, audioOnly) {
+  return `${videoKey(url)}|${audioOnly ? 'audio' : 'video'}|${JSON.stringify(selector || {})}`;
+}
+
+function contentKey(url, format, audioOnly, fallback) {
+  return format && format.id != null ? `${videoKey(url)}|${audioOnly ? 'audio' : 'video'}|${format.id}` : fallback;
+}
+
+function entryPath(entry) {
+  return path.join(CACHE_DIR, entry.file);
+}
+
+function totalBytes() {
+  let total = 0;
+  entries.forEach((e) => { total += e.size; });
+  return total;
+}
+
+let saveTimer = null;
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    const data = { entries: [...entries.values()], aliases: [...aliases.entries()] };
+    fs.writeFile(INDEX_FILE, JSON.stringify(data)).catch((err) => console.warn('[cache] failed to save index:', err?.message || err));
+  }, 500);
+  saveTimer.unref();
+}
+
+// Rebuild the index from disk: entries whose file is gone are dropped, files nothing points at
+// (and downloads interrupted by a restart) are removed
+async function init() {
+  if (!CACHE_MAX_BYTES) return;
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  let saved = { entries: [], aliases: [] };
+  try {
+    saved = JSON.parse(await fs.readFile(INDEX_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('[cache] ignoring unreadable index:', err?.message || err);
+  }
+  for (const entry of saved.entries || []) {
+    const stat = await fs.stat(entryPath(entry)).catch(() => null);
+    if (stat) entries.set(entry.key, { ...entry, size: stat.size });
+  }
+  (saved.aliases || []).forEach(([rkey, alias]) => { if (entries.has(alias.key)) aliases.set(rkey, alias); });
+
+  const known = new Set([...entries.values()].map((e) => e.file).concat(path.basename(INDEX_FILE)));
+  for (const name of await fs.readdir(CACHE_DIR)) {
+    if (!known.has(name)) await fs.rm(path.join(CACHE_DIR, name), { recursive: true, force: true }).catch(() => {});
+  }
+  await evict();
+  console.log(`[cache] ${entries.size} files, ${totalBytes()} of ${CACHE_MAX_BYTES} bytes in ${CACHE_DIR}`);
+}
+
+const initialized = init().catch((err) => console.warn(`[cache] unable to use ${CACHE_DIR}:`, err?.message || err));
+
+function enabled() {
+  return CACHE_MAX_BYTES > 0 && fsSync.existsSync(CACHE_DIR);
+}
+
+function forget(key) {
+  const entry = entries.get(key);
+  if (!entry) return 0;
+  entries.delete(key);
+  aliases.forEach((alias, rkey) => { if (alias.key === key) aliases.delete(rkey); });
+  // readers that already opened (or hard-linked) the file keep their copy
+  fs.unlink(entryPath(entry)).catch(() => {});
+  scheduleSave();
+  return entry.size;
+}
+
+// Drop least recently used entries until the cache fits its quota
+async function evict() {
+  let total = totalBytes();
+  const oldest = [...entries.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+  while (total > CACHE_MAX_BYTES && oldest.length) {
+    const entry = oldest.shift();
+    console.log(`[cache] evicting ${entry.key} (${entry.size} bytes)`);
+    total -= forget(entry.key);
+  }
+}
+
+// Move a finished download at `filepath` into the cache. Resolves to the entry, or null when the file
+// can't be cached (too big for the quota); the file is left in place in that case.
+async function store(rkey, { url, audioOnly, extractor, title, container, format, unmet }, filepath) {
+  const { size } = await fs.stat(filepath);
+  if (!size || size > CACHE_MAX_BYTES) return null;
+
+  const key = contentKey(url, format, audioOnly, rkey);
+  let entry = entries.get(key);
+  if (entry) {
+    // another selector already cached the same format
+    await fs.unlink(filepath).catch(() => {});
+  } else {
+    const ext = container || 'mp4';
+    entry = {
+      key,
+      videoId: videoKey(url),
+      audioOnly: !!audioOnly,
+      file: `${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}.${ext}`,
+      size,
+      title: title || null,
+      container: ext,
+      extractor,
+      format: describeFormat(format),
+      createdAt: Date.now(),
+      lastAccess: Date.now(),
+      hits: 0
+    };
+    await fs.rename(filepath, entryPath(entry));
+    entries.set(key, entry);
+  }
+  aliases.set(rkey, { key, unmet: unmet || [] });
+  scheduleSave();
+  await evict();
+  return entries.has(key) ? entry : null;
+}
+
+function touch(rkey) {
+  const alias = aliases.get(rkey);
+  const entry = alias && entries.get(alias.key);
+  if (!entry) return null;
+  entry.lastAccess = Date.now();
+  entry.hits += 1;
+  scheduleSave();
+  return { entry, unmet: alias.unmet };
+}
+
+// Result shape shared with extractor downloads: { filepath, title, container, format, unmet, cached }
+function toResult({ entry, unmet }, filepath = entryPath(entry)) {
+  return { filepath, title: entry.title, container: entry.container, format: entry.format, unmet, cached: true };
+}
+
+// Hard-link (or copy, across filesystems) a cached file to `<dir>/<basename>.<ext>`, so callers own a
+// path that eviction can't pull out from under them
+async function linkInto(entry, dir, basename) {
+  const target = path.join(dir, `${basename}.${entry.container}`);
+  try {
+    await fs.link(entryPath(entry), target);
+  } catch (err) {
+    if (err.code !== 'EXDEV' && err.code !== 'EPERM') throw err;
+    await fs.copyFile(entryPath(entry), target);
+  }
+  return target;
+}
+
+// Cached file for a request, or null. Resolves to { extractor, result } with result.filepath inside
+// the cache: send it straight away, it may be evicted later.
+async function lookup(url, { selector, audioOnly = false } = {}) {
+  await initialized;
+  if (!enabled()) return null;
+  const hit = touch(requestKey(url, selector, audioOnly));
+  if (!hit || !fsSync.existsSync(entryPath(hit.entry))) return null;
+  console.log(`[cache] hit ${hit.entry.key}`);
+  return { extractor: hit.entry.extractor, result: toResult(hit) };
+}
+
+// Drop-in for extractors.downloadToFile: serves from the cache when it can, else downloads into it.
+// Identical requests already downloading wait for that download instead of starting another.
+async function downloadToFile(url, { dir, basename, selector, audioOnly = false, onProgress, signal }, tag) {
+  await initialized;
+  if (!enabled()) return extractors.downloadToFile(url, { dir, basename, selector, audioOnly, onProgress, signal }, tag);
+
+  const rkey = requestKey(url, selector, audioOnly);
+  let hit = touch(rkey);
+  if (!hit && inflight.has(rkey)) hit = await inflight.get(rkey);
+  if (hit) {
+    try {
+      const filepath = await linkInto(hit.entry, dir, basename);
+      console.log(`[${tag}] cache hit ${hit.entry.key}`);
+      return { extractor: hit.entry.extractor, result: toResult(hit, filepath) };
+    } catch (err) {
+      console.warn(`[${tag}] cached ${hit.entry.key} unusable:`, err?.message || err);
+      forget(hit.entry.key);
+    }
+  }
+
+  let settle;
+  inflight.set(rkey, new Promise((resolve) => { settle = resolve; }));
+  const tmpDir = await fs.mkdtemp(path.join(CACHE_DIR, 'tmp-'));
+  try {
+    const { extractor, result } = await extractors.downloadToFile(url, { selector, audioOnly, dir: tmpDir, basename: 'source', onProgress, signal }, tag);
+    const entry = await store(rkey, { ...result, url, audioOnly, extractor }, result.filepath);
+    let filepath;
+    if (entry) {
+      filepath = await linkInto(entry, dir, basename);
+    } else {
+      filepath = path.join(dir, `${basename}${path.extname(result.filepath)}`);
+      await fs.rename(result.filepath, filepath).catch(() => fs.copyFile(result.filepath, filepath));
+    }
+    settle(entry ? { entry, unmet: result.unmet || [] } : null);
+    return { extractor, result: { ...result, filepath, cached: false } };
+  } catch (err) {
+    settle(null);
+    throw err;
+  } finally {
+    inflight.delete(rkey);
+    fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Copy an extractor stream into the cache while it is being sent. Only streams that end cleanly are
+// kept (not ones destroyed because the client went away); one copy per request at a time.
+function teeStream(url, { selector, audioOnly = false } = {}, extractor, opened) {
+  if (!enabled()) return;
+  const rkey = requestKey(url, selector, audioOnly);
+  if (inflight.has(rkey) || aliases.has(rkey)) return;
+
+  let settle;
+  inflight.set(rkey, new Promise((resolve) => { settle = resolve; }));
+  const partPath = path.join(CACHE_DIR, `tmp-${crypto.randomUUID()}.part`);
+  const out = fsSync.createWriteStream(partPath);
+  let ended = false, failed = false;
+  const fail = (err) => {
+    if (failed) return;
+    failed = true;
+    if (err) console.warn(`[cache] not caching ${rkey}:`, err?.message || err);
+    out.destroy();
+    fs.unlink(partPath).catch(() => {});
+    inflight.delete(rkey);
+    settle(null);
+  };
+  opened.stream.on('error', fail);
+  opened.stream.on('end', () => { ended = true; });
+  opened.stream.on('close', () => { if (!ended) fail(new Error('stream closed early')); });
+  out.on('error', fail);
+  out.on('finish', () => {
+    store(rkey, { ...opened, url, audioOnly, extractor }, partPath)
+      .then((entry) => {
+        if (!entry) fs.unlink(partPath).catch(() => {});
+        inflight.delete(rkey);
+        settle(entry ? { entry, unmet: opened.unmet || [] } : null);
+      })
+      .catch(fail);
+  });
+  opened.stream.pipe(out);
+}
+
+// Video info through the first extractor that returns formats, shared for INFO_CACHE_TTL_MS.
+// Concurrent lookups for the same video share one request; failures aren't cached.
+function getInfo(url, tag = 'info') {
+  const fetch = () => extractors.withExtractors('getInfo', async (e) => {
+    const result = await e.getInfo(url);
+    if (!result.formats || result.formats.length === 0) throw new Error('no formats returned');
+    return result;
+  }, tag, { url });
+  if (!INFO_CACHE_TTL_MS) return fetch();
+
+  const key = videoKey(url);
+  const cached = infoCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.promise;
+
+  const promise = fetch();
+  infoCache.delete(key);
+  infoCache.set(key, { promise, expires: Date.now() + INFO_CACHE_TTL_MS });
+  promise.catch(() => { if (infoCache.get(key)?.promise === promise) infoCache.delete(key); });
+  // Map keeps insertion order, so the first key is the oldest
+  while (infoCache.size > INFO_CACHE_MAX_ENTRIES) infoCache.delete(infoCache.keys().next().value);
+  return promise;
+}
+
+function stats() {
+  return {
+    dir: CACHE_DIR,
+    enabled: enabled(),
+    maxBytes: CACHE_MAX_BYTES,
+    totalBytes: totalBytes(),
+    files: [...entries.values()]
+      .sort((a, b) => b.lastAccess - a.lastAccess)
+      .map(({ key, videoId, audioOnly, size, title, container, extractor, format, createdAt, lastAccess, hits }) => ({
+        key, videoId, audioOnly, size, title, container, extractor, format,
+        createdAt: new Date(createdAt).toISOString(),
+        lastAccess: new Date(lastAccess).toISOString(),
+        hits
+      })),
+    info: { entries: infoCache.size, ttlMs: INFO_CACHE_TTL_MS }
+  };
+}
+
+// Remove every cached file and info entry, or only those of `videoId`
+function purge({ videoId } = {}) {
+  let files = 0, bytes = 0;
+  [...entries.values()].filter((e) => !videoId || e.videoId === videoId).forEach((e) => {
+    bytes += forget(e.key);
+    files += 1;
+  });
+  let info = 0;
+  [...infoCache.keys()].filter((k) => !videoId || k === videoId).forEach((k) => {
+    infoCache.delete(k);
+    info += 1;
+  });
+  return { files, bytes, info };
+}
+
+module.exports = { videoKey, lookup, downloadToFile, teeStream, getInfo, stats, purge };
@@ -0,0 +1,100 @@
+// captions.js
+// Caption tracks: listing/fetching through the extractors and converting WebVTT to SRT, VTT or plain text.
+
+const extractors = require("./extractors");
+
+const CAPTION_FORMATS = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  txt: 'text/plain; charset=utf-8'
+};
+
+// YouTube's rolling auto-captions repeat each line in ~10ms cues; anything shorter than this is dropped
+const MIN_CUE_SECONDS = 0.05;
+
+function parseTime(value) {
+  const parts = value.trim().replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// WebVTT -> [{ start, end, text }] with styling/karaoke tags stripped
+function parseVtt(vtt) {
+  const cues = [];
+  String(vtt).replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach((block) => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex((l) => l.includes('-->'));
+    if (timingIndex === -1) return;
+    const [startRaw, rest] = lines[timingIndex].split('-->');
+    const start = parseTime(startRaw);
+    const end = parseTime(rest.trim().split(/\s+/)[0]);
+    const text = lines.slice(timingIndex + 1)
+      .map((l) => decodeEntities(l.replace(/<[^>]+>/g, '')).trim())
+      .filter(Boolean)
+      .join('\n');
+    if (!text || !(end - start >= MIN_CUE_SECONDS)) return;
+    cues.push({ start, end, text });
+  });
+  return cues;
+}
+
+// Keep cues overlapping [start, end) and move them so `start` becomes 0 (for clipped downloads)
+function shiftCues(cues, { start = 0, end = null } = {}) {
+  return cues
+    .filter((c) => c.end > start && (end == null || c.start < end))
+    .map((c) => ({
+      ...c,
+      start: Math.max(0, c.start - start),
+      end: (end == null ? c.end : Math.min(c.end, end)) - start
+    }));
+}
+
+function formatTime(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(cues) {
+  return cues.map((c, i) => `${i + 1}\n${formatTime(c.start, ',')} --> ${formatTime(c.end, ',')}\n${c.text}\n`).join('\n');
+}
+
+function toVtt(cues) {
+  return `WEBVTT\n\n${cues.map((c) => `${formatTime(c.start, '.')} --> ${formatTime(c.end, '.')}\n${c.text}\n`).join('\n')}`;
+}
+
+// Plain transcript; consecutive repeated lines (common in auto-captions) are collapsed
+function toText(cues) {
+  const lines = [];
+  cues.forEach((c) => c.text.split('\n').forEach((line) => {
+    if (lines[lines.length - 1] !== line) lines.push(line);
+  }));
+  return `${lines.join('\n')}\n`;
+}
+
+function convert(cues, format) {
+  if (format === 'srt') return toSrt(cues);
+  if (format === 'txt') return toText(cues);
+  return toVtt(cues);
+}
+
+async function listCaptions(url, tag = 'captions') {
+  return extractors.withExtractors('listCaptions', (e) => e.listCaptions(url), tag, { url });
+}
+
+// Fetch a track as cues. Manual tracks win over auto-generated ones unless `auto` is set.
+async function fetchCues(url, { lang, auto = false } = {}, tag = 'captions') {
+  const { extractor, result } = await extractors.withExtractors('fetchCaption', (e) => e.fetchCaption(url, { lang, auto }), tag, { url });
+  return { extractor, cues: parseVtt(result) };
+}
+
+module.exports = { CAPTION_FORMATS, parseVtt, shiftCues, toSrt, toVtt, toText, convert, listCaptions, fetchCues };
@@ -0,0 +1,84 @@
+// errors.js
+// Stable error codes for clients. Extractor failures (ytdl-core/play-dl exceptions, yt-dlp's ERROR lines)
+// are classified by their message; each code comes with an HTTP status and a user-facing message.
+// Error responses look like { error, code, message } where `message` carries the underlying detail.
+
+const CODES = {
+  'invalid-request':   { status: 400, message: 'Invalid request' },
+  'invalid-url':       { status: 400, message: "That URL doesn't point to a supported video" },
+  'unauthorized':      { status: 401, message: 'A valid API key is required' },
+  'forbidden':         { status: 403, message: "This API key isn't allowed to do that" },
+  'private':           { status: 403, message: 'This video is private or members-only' },
+  'age-restricted':    { status: 403, message: 'This video is age-restricted' },
+  'geo-blocked':       { status: 451, message: "This video isn't available in the server's region" },
+  'removed':           { status: 410, message: 'This video has been removed or never existed' },
+  'live-not-ended':    { status: 409, message: "This live stream or premiere hasn't ended yet" },
+  'rate-limited':      { status: 429, message: 'YouTube is rate-limiting the server, try again later' },
+  'too-many-requests': { status: 429, message: 'Too many requests, slow down a little' },
+  'server-busy':       { status: 429, message: 'The server is busy with other downloads, try again shortly' },
+  'extractor-missing': { status: 503, message: 'No download backend is available on the server' },
+  'storage-full':      { status: 507, message: 'Download storage is full' },
+  'extractor-failed':  { status: 502, message: 'Every download backend failed' },
+  'internal':          { status: 500, message: 'Something went wrong' }
+};
+
+// First match wins, so the specific reasons come before the "Video unavailable" that yt-dlp puts in front of them
+const PATTERNS = [
+  ['geo-blocked', /not (made this video )?available in your country|blocked it in your country|geo[- ]?restrict/i],
+  ['age-restricted', /confirm your age|age[- ]restricted|inappropriate for some users/i],
+  ['rate-limited', /\b429\b|too many requests|rate[- ]?limit|confirm you.?re not a bot/i],
+  ['private', /private video|video is private|members[- ]only|join this channel|premium members/i],
+  ['live-not-ended', /live event will begin|premieres? in|is a live stream|\bis (currently )?live\b|live stream.*(not|hasn.?t) (yet )?(finished|ended)/i],
+  ['removed', /video unavailable|video is unavailable|has been removed|no longer available|does not exist|account .*terminated|status code: 410/i],
+  ['invalid-url', /not a youtube (domain|url)|no video id found|does not match expected format|unsupported url|is not a valid url/i],
+  ['extractor-missing', /no enabled extractor supports|spawn .* ENOENT|cannot find module/i]
+];
+
+// Which code wins when extractors disagree: the video's own state beats the server's circumstances
+const PRIORITY = ['private', 'age-restricted', 'geo-blocked', 'removed', 'live-not-ended', 'invalid-url', 'rate-limited'];
+// Failures no other route (streaming vs. tmp file) gets around
+const FINAL = [...PRIORITY.slice(0, 6), 'server-busy'];
+
+// An Error with a code from CODES (and its status); `message` defaults to the code's message
+function createError(code, message = CODES[code].message, props = {}) {
+  const err = new Error(message);
+  err.name = 'DownloadError';
+  return Object.assign(err, { code, status: CODES[code].status }, props);
+}
+
+// Code for a single failure, or null when it's none of the known ones
+function classify(err) {
+  if (!err) return null;
+  if (err.name === 'DownloadError' && CODES[err.code]) return err.code;
+  if (err.code === 'ENOENT' && /^spawn/.test(err.syscall || '')) return 'extractor-missing';
+  const text = [err.message, err.stderr].filter(Boolean).join('\n');
+  const match = PATTERNS.find(([, re]) => re.test(text));
+  return match ? match[0] : null;
+}
+
+// True when the video itself can't be had (or the server has no room for it), so fallbacks needn't be tried
+function isFinal(err) {
+  return FINAL.includes(classify(err));
+}
+
+// withExtractors' failure from every attempt: the most telling code among them. With no attempts or
+// only missing backends it's "extractor-missing", else "extractor-failed".
+function fromAttempts(attempts, message) {
+  const codes = attempts.map((a) => classify(a.error));
+  const code = PRIORITY.find((c) => codes.includes(c))
+    || (codes.every((c) => c === 'extractor-missing') ? 'extractor-missing' : 'extractor-failed');
+  return createError(code, message, { attempts });
+}
+
+// Respond with `err`'s code, status and message ("invalid-request" errors are their own message), plus
+// Retry-After when `err.retryAfter` (seconds) is set. Unclassified errors are "internal" with `fallback`
+// as their message. Nothing is sent once headers are out.
+function sendError(res, err, fallback = CODES.internal.message) {
+  if (res.headersSent) return;
+  const code = classify(err) || 'internal';
+  if (err?.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+  const error = code === 'internal' ? fallback : code === 'invalid-request' ? err.message : CODES[code].message;
+  res.status(CODES[code].status).json({ error, code, message: err?.message || String(err) });
+}
+
+module.exports = { CODES, createError, classify, isFinal, fromAttempts, sendError };
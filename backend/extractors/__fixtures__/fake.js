@@ -0,0 +1,20 @@
+// extractors/__fixtures__/fake.js
+// Scripted extractors for tests. fakeExtractor(name, { sites?, available?, <op>: outcome }) implements
+// each given op: it records the call and resolves to `outcome` (called with the url when it's a function),
+// or rejects with it when it's an Error or a DOMException (an AbortError). The module itself is one
+// named "fake", for EXTRACTORS entries given as a path.
+
+function fakeExtractor(name, { sites, available = true, ...ops } = {}) {
+  const extractor = { name, calls: [], isAvailable: () => available };
+  if (sites) extractor.sites = sites;
+  Object.entries(ops).forEach(([op, outcome]) => {
+    extractor[op] = async (url) => {
+      extractor.calls.push(op);
+      if (outcome instanceof Error || outcome instanceof DOMException) throw outcome;
+      return typeof outcome === 'function' ? outcome(url) : outcome;
+    };
+  });
+  return extractor;
+}
+
+module.exports = Object.assign(fakeExtractor('fake', { getInfo: { title: 'Fake video' } }), { fakeExtractor });
@@ -0,0 +1,139 @@
+// extractors/index.js
+// Registry of download backends. Every extractor implements the same interface:
+//
+//   name                              unique id, reported back to clients as `extractor`
+//   sites                             optional; the sites (see ../shared/sites.js) it handles, default all
+//   isAvailable()                     false when the backend can't run here (e.g. missing module)
+//   getInfo(url)                      -> { title, author, lengthSeconds, viewCount, thumbnail, thumbnails?, description,
+//                                          uploadDate, formats, captions? }; the counts are numbers (see VideoInfo in
+//                                          ../shared/api.d.ts)
+//   openStream(url, { selector, audioOnly, signal? })
+//                                     -> { stream, title, container, size?, format, unmet }
+//   downloadToFile(url, { dir, basename, selector, audioOnly, onProgress?, signal? })
+//                                     -> { filepath, title, container, format, unmet }
+//   expand(url, { limit })            optional; playlist/channel URL -> [{ id, title, url }]
+//   listCaptions(url)                 optional; -> [{ lang, name, auto }]
+//   fetchCaption(url, { lang, auto }) optional; -> WebVTT text
+//
+// `selector` is a normalized format selector (see ../formats.js); `format` is the format actually
+// delivered and `unmet` the selector fields that couldn't be honored. When the AbortSignal `signal`
+// fires, extractors stop fetching, kill their processes and reject with an AbortError; destroying an
+// opened stream stops it too.
+//
+// Order and on/off state come from the environment:
+//   EXTRACTORS           comma-separated order, default "ytdl-core,play-dl,yt-dlp".
+//                        Entries may also be a path to a module exporting an extractor
+//                        (handy for plugging in a fake backend for offline tests, like
+//                        __fixtures__/fake.js).
+//   EXTRACTORS_DISABLED  comma-separated names to skip.
+
+const path = require("path");
+const errors = require("../errors");
+const sites = require("../sites");
+const limits = require("../limits");
+
+const DEFAULT_ORDER = ['ytdl-core', 'play-dl', 'yt-dlp'];
+
+const registry = new Map();
+[require('./ytdl-core'), require('./play-dl'), require('./yt-dlp')].forEach((e) => registry.set(e.name, e));
+
+function parseList(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+function registerExtractor(extractor) {
+  if (!extractor || !extractor.name) throw new Error('extractor must have a name');
+  registry.set(extractor.name, extractor);
+  return extractor;
+}
+
+// Resolve an EXTRACTORS entry: a registered name, or a module path relative to the cwd
+function resolveEntry(entry) {
+  if (registry.has(entry)) return entry;
+  if (/[\\/]/.test(entry) || entry.endsWith('.js')) {
+    try {
+      return registerExtractor(require(path.resolve(entry))).name;
+    } catch (err) {
+      console.warn(`[extractors] failed to load ${entry}:`, err?.message || err);
+      return null;
+    }
+  }
+  console.warn(`[extractors] unknown extractor "${entry}" ignored`);
+  return null;
+}
+
+let config = { order: DEFAULT_ORDER, disabled: [] };
+
+function configure({ order, disabled } = {}) {
+  const names = (order && order.length ? order : DEFAULT_ORDER).map(resolveEntry).filter(Boolean);
+  config = { order: names, disabled: disabled || [] };
+  return config;
+}
+
+configure({ order: parseList(process.env.EXTRACTORS), disabled: parseList(process.env.EXTRACTORS_DISABLED) });
+
+// Enabled extractors, in configured order; only those handling `site` when it's given
+function getExtractors(site) {
+  return config.order
+    .filter((name) => !config.disabled.includes(name))
+    .map((name) => registry.get(name))
+    .filter((e) => e && (typeof e.isAvailable !== 'function' || e.isAvailable()))
+    .filter((e) => !site || !e.sites || e.sites.includes(site));
+}
+
+function describeExtractors() {
+  return config.order.map((name) => {
+    const e = registry.get(name);
+    return {
+      name,
+      enabled: !config.disabled.includes(name),
+      available: !!e && (typeof e.isAvailable !== 'function' || !!e.isAvailable())
+    };
+  });
+}
+
+// Call `fn(extractor)` on each enabled extractor implementing `op` (and handling `url`'s site) until one
+// succeeds. Resolves to { extractor: name, result }; rejects with every attempt's error attached, coded with
+// the most telling of their reasons (see ../errors.js).
+// The whole run holds one of the global extractor slots (../limits.js), waiting for one when they're taken;
+// an opened stream keeps it until it closes.
+// An AbortError is passed straight through: there's no point trying the next extractor.
+async function withExtractors(op, fn, tag = op, { url, signal } = {}) {
+  const attempts = [];
+  const site = url ? sites.siteOf(url) : null;
+  const release = await limits.acquire(signal);
+  try {
+    for (const extractor of getExtractors(site)) {
+      if (typeof extractor[op] !== 'function') continue;
+      try {
+        const result = await fn(extractor);
+        if (result?.stream) result.stream.once('close', release);
+        else release();
+        return { extractor: extractor.name, result };
+      } catch (err) {
+        if (err?.name === 'AbortError') throw err;
+        console.warn(`[${tag}] ${extractor.name} failed:`, err?.message || err);
+        attempts.push({ extractor: extractor.name, error: err });
+      }
+    }
+  } catch (err) {
+    release();
+    throw err;
+  }
+  release();
+  throw errors.fromAttempts(attempts, attempts.length
+    ? attempts.map((a) => `${a.extractor}: ${a.error?.message || a.error}`).join('; ')
+    : `no enabled extractor supports ${op}${site ? ` for ${site}` : ''}`);
+}
+
+module.exports = {
+  registerExtractor,
+  configure,
+  getExtractors,
+  describeExtractors,
+  withExtractors,
+  getInfo: (url, tag) => withExtractors('getInfo', (e) => e.getInfo(url), tag, { url }),
+  openStream: (url, opts, tag) => withExtractors('openStream', (e) => e.openStream(url, opts), tag, { url, signal: opts?.signal }),
+  downloadToFile: (url, opts, tag) => withExtractors('downloadToFile', (e) => e.downloadToFile(url, opts), tag, { url, signal: opts?.signal }),
+  expand: (url, opts, tag) => withExtractors('expand', (e) => e.expand(url, opts), tag, { url }),
+};
@@ -0,0 +1,128 @@
+const { PassThrough } = require('stream');
+const { fakeExtractor } = require('./__fixtures__/fake');
+const errors = require('../errors');
+const limits = require('../limits');
+const extractors = require('./index');
+
+const SHORT = 'https://www.youtube.com/shorts/dQw4w9WgXcQ';
+const TIKTOK = 'https://www.tiktok.com/@someone/video/7356512345678901234';
+
+// index.js with EXTRACTORS / EXTRACTORS_DISABLED set as given when it loads
+function loadWithEnv(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    let loaded;
+    jest.isolateModules(() => { loaded = require('./index'); });
+    return loaded;
+  } finally {
+    process.env = saved;
+  }
+}
+
+// Register fakes and use exactly them, in order
+function useFakes(...fakes) {
+  fakes.forEach(extractors.registerExtractor);
+  extractors.configure({ order: fakes.map((f) => f.name) });
+  return fakes;
+}
+
+const activeSlots = () => limits.describe().extractors.active;
+
+beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterEach(() => {
+  extractors.configure();
+  jest.restoreAllMocks();
+});
+
+describe('configuration', () => {
+  test('ytdl-core, play-dl, yt-dlp by default', () => {
+    const loaded = loadWithEnv({ EXTRACTORS: '', EXTRACTORS_DISABLED: '' });
+    expect(loaded.describeExtractors().map((e) => e.name)).toEqual(['ytdl-core', 'play-dl', 'yt-dlp']);
+  });
+
+  test('EXTRACTORS sets the order and may name a module to load; unknown entries are dropped', () => {
+    const loaded = loadWithEnv({ EXTRACTORS: 'yt-dlp, ./extractors/__fixtures__/fake.js, nope, ./missing.js, ytdl-core' });
+    expect(loaded.describeExtractors().map((e) => e.name)).toEqual(['yt-dlp', 'fake', 'ytdl-core']);
+    expect(console.warn).toHaveBeenCalledWith('[extractors] unknown extractor "nope" ignored');
+    expect(console.warn).toHaveBeenCalledWith('[extractors] failed to load ./missing.js:', expect.any(String));
+  });
+
+  test('EXTRACTORS_DISABLED skips extractors but still reports them', () => {
+    const loaded = loadWithEnv({ EXTRACTORS: './extractors/__fixtures__/fake.js,yt-dlp', EXTRACTORS_DISABLED: 'yt-dlp' });
+    expect(loaded.getExtractors().map((e) => e.name)).toEqual(['fake']);
+    expect(loaded.describeExtractors()).toEqual([
+      { name: 'fake', enabled: true, available: true },
+      { name: 'yt-dlp', enabled: false, available: true }
+    ]);
+  });
+
+  test('unavailable extractors and those for other sites are left out', () => {
+    useFakes(fakeExtractor('a', { available: false }), fakeExtractor('b', { sites: ['youtube'] }), fakeExtractor('c'));
+    expect(extractors.getExtractors().map((e) => e.name)).toEqual(['b', 'c']);
+    expect(extractors.getExtractors('tiktok').map((e) => e.name)).toEqual(['c']);
+    expect(extractors.describeExtractors().map((e) => e.available)).toEqual([false, true, true]);
+  });
+});
+
+describe('withExtractors', () => {
+  test('falls back in order until one succeeds', async () => {
+    const [a, b, c] = useFakes(
+      fakeExtractor('a', { getInfo: new Error('a broke') }),
+      fakeExtractor('b', { getInfo: { title: 'from b' } }),
+      fakeExtractor('c', { getInfo: { title: 'from c' } })
+    );
+    await expect(extractors.getInfo(SHORT)).resolves.toEqual({ extractor: 'b', result: { title: 'from b' } });
+    expect([a.calls, b.calls, c.calls]).toEqual([['getInfo'], ['getInfo'], []]);
+    expect(console.warn).toHaveBeenCalledWith('[getInfo] a failed:', 'a broke');
+    expect(activeSlots()).toBe(0);
+  });
+
+  test('skips disabled extractors, those without the operation and those for other sites', async () => {
+    const [a, b, c] = useFakes(
+      fakeExtractor('a', { expand: [] }),
+      fakeExtractor('b', { sites: ['youtube'], getInfo: { title: 'from b' } }),
+      fakeExtractor('c', { getInfo: { title: 'from c' } })
+    );
+    extractors.configure({ order: ['a', 'b', 'c'], disabled: ['c'] });
+    await expect(extractors.getInfo(SHORT)).resolves.toMatchObject({ extractor: 'b' });
+    await expect(extractors.getInfo(TIKTOK)).rejects.toThrow('no enabled extractor supports getInfo for tiktok');
+    expect([a.calls, b.calls, c.calls]).toEqual([[], ['getInfo'], []]);
+  });
+
+  test('rejects with every attempt, coded with the most telling reason', async () => {
+    const privateVideo = errors.createError('private');
+    useFakes(fakeExtractor('a', { getInfo: new Error('a broke') }), fakeExtractor('b', { getInfo: privateVideo }));
+    const err = await extractors.getInfo(SHORT).catch((e) => e);
+    expect(err).toMatchObject({ code: 'private', message: `a: a broke; b: ${privateVideo.message}` });
+    expect(err.attempts.map((a) => a.extractor)).toEqual(['a', 'b']);
+    expect(activeSlots()).toBe(0);
+  });
+
+  test('an AbortError is passed straight through without trying the next extractor', async () => {
+    const aborted = new DOMException('The operation was aborted.', 'AbortError');
+    const [a, b] = useFakes(fakeExtractor('a', { downloadToFile: aborted }), fakeExtractor('b', { downloadToFile: {} }));
+    await expect(extractors.downloadToFile(SHORT, {})).rejects.toBe(aborted);
+    expect([a.calls, b.calls]).toEqual([['downloadToFile'], []]);
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(activeSlots()).toBe(0);
+  });
+
+  test('an already aborted signal stops it before any extractor runs', async () => {
+    const [a] = useFakes(fakeExtractor('a', { openStream: {} }));
+    const controller = new AbortController();
+    controller.abort();
+    await expect(extractors.openStream(SHORT, { signal: controller.signal })).rejects.toBe(controller.signal.reason);
+    expect(a.calls).toEqual([]);
+  });
+
+  test('an opened stream holds its slot until it closes', async () => {
+    const stream = new PassThrough();
+    useFakes(fakeExtractor('a', { openStream: { stream } }));
+    await expect(extractors.openStream(SHORT, {})).resolves.toMatchObject({ extractor: 'a' });
+    expect(activeSlots()).toBe(1);
+    stream.destroy();
+    await new Promise((resolve) => stream.once('close', resolve));
+    expect(activeSlots()).toBe(0);
+  });
+});
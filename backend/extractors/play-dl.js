@@ -0,0 +1,88 @@
+// extractors/play-dl.js
+// play-dl backend.
+
+const play = require("play-dl");
+const { destroyOnAbort, downloadViaStream, mapThumbnails } = require("./util");
+const { normalizeCodec, selectFormat, approxFilesize, normalizeFormats } = require("../formats");
+
+// Raw YouTube format (mimeType like 'video/mp4; codecs="avc1.42001E, mp4a.40.2"') -> selector candidate
+function toCandidate(f) {
+  const [, kind, container] = /^(audio|video)\/(\w+)/.exec(String(f.mimeType || '')) || [];
+  const codecs = (/codecs="([^"]+)"/.exec(String(f.mimeType || ''))?.[1] || '').split(',').map((c) => c.trim()).filter(Boolean);
+  const hasVideo = kind === 'video';
+  const hasAudio = kind === 'audio' || codecs.length > 1;
+  const bitrate = f.bitrate ? f.bitrate / 1000 : null;
+  const size = Number(f.contentLength) || null;
+  return {
+    id: String(f.itag),
+    width: f.width || null,
+    height: f.height || null,
+    fps: f.fps || null,
+    vcodec: hasVideo ? normalizeCodec(codecs[0]) : null,
+    acodec: hasAudio ? normalizeCodec(codecs[codecs.length - 1]) : null,
+    container: container || null,
+    hasVideo,
+    hasAudio,
+    bitrate,
+    audioBitrate: kind === 'audio' ? bitrate : null,
+    filesize: size || approxFilesize(bitrate, Number(f.approxDurationMs) / 1000),
+    filesizeApprox: !size
+  };
+}
+
+function mapInfo(info) {
+  const video = info.video_details || {};
+  return {
+    title: video.title || null,
+    author: video.channel?.name || null,
+    lengthSeconds: video.durationInSec ? Number(video.durationInSec) : null,
+    viewCount: video.views ? Number(video.views) : null,
+    thumbnail: video.thumbnails?.[video.thumbnails.length - 1]?.url || null,
+    thumbnails: mapThumbnails(video.thumbnails),
+    description: video.description || null,
+    uploadDate: video.uploadDate || null,
+    formats: normalizeFormats((info.format || []).map(toCandidate))
+  };
+}
+
+// play-dl only streams YouTube's audio formats, addressed by their index among them
+function audioCandidates(info) {
+  return (info.format || []).filter((f) => String(f.mimeType || '').startsWith('audio')).map((f, index) => ({ ...toCandidate(f), index }));
+}
+
+const extractor = {
+  name: 'play-dl',
+  sites: ['youtube'],
+
+  isAvailable() {
+    return true;
+  },
+
+  async getInfo(url) {
+    return mapInfo(await play.video_info(url));
+  },
+
+  // Playlists only; play-dl can't list a channel's shorts tab
+  async expand(url, { limit } = {}) {
+    if (play.yt_validate(url) !== 'playlist') throw new Error('play-dl only expands playlists');
+    const playlist = await play.playlist_info(url, { incomplete: true });
+    const videos = await playlist.all_videos();
+    return videos.slice(0, limit || videos.length).map((v) => ({ id: v.id || null, title: v.title || null, url: v.url }));
+  },
+
+  async openStream(url, opts = {}) {
+    if (!opts.audioOnly) throw new Error('play-dl only streams audio');
+    const info = await play.video_info(url);
+    const { format, unmet } = selectFormat(audioCandidates(info), opts.selector, { audioOnly: true });
+
+    const streamInfo = await play.stream_from_info(info, { quality: format.index });
+    if (!streamInfo || !streamInfo.stream) throw new Error("play-dl couldn't create stream");
+    return { stream: destroyOnAbort(streamInfo.stream, opts.signal), title: info.video_details?.title || null, container: format.container, format, unmet };
+  },
+
+  async downloadToFile(url, opts = {}) {
+    return downloadViaStream(extractor, url, opts);
+  }
+};
+
+module.exports = extractor;
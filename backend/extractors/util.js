@@ -0,0 +1,82 @@
+// extractors/util.js
+// Small helpers shared by the extractor backends.
+
+const fsSync = require("fs");
+const path = require("path");
+
+// Destroy `stream` with an AbortError when `signal` aborts (stops ytdl-core / play-dl fetching)
+function destroyOnAbort(stream, signal) {
+  if (!signal) return stream;
+  const abort = () => stream.destroy(signal.reason);
+  if (signal.aborted) abort();
+  else {
+    signal.addEventListener('abort', abort, { once: true });
+    stream.once('close', () => signal.removeEventListener('abort', abort));
+  }
+  return stream;
+}
+
+// Pipe a readable stream into a file and resolve once it is fully flushed.
+// The partial file is removed if either side errors.
+function streamToFile(stream, filepath) {
+  return new Promise((resolve, reject) => {
+    const writer = fsSync.createWriteStream(filepath);
+    const fail = (err) => {
+      writer.destroy();
+      fsSync.unlink(filepath, () => {});
+      reject(err);
+    };
+    stream.on("error", fail);
+    writer.on("error", fail);
+    writer.on("finish", () => resolve(filepath));
+    stream.pipe(writer);
+  });
+}
+
+// downloadToFile for extractors that only know how to open a stream.
+async function downloadViaStream(extractor, url, opts = {}) {
+  const { dir, basename, onProgress, ...streamOpts } = opts;
+  const opened = await extractor.openStream(url, streamOpts);
+  const container = opened.container || (streamOpts.audioOnly ? "m4a" : "mp4");
+  const filepath = path.join(dir, `${basename}.${container}`);
+  if (onProgress) {
+    let bytes = 0;
+    opened.stream.on("data", (chunk) => {
+      bytes += chunk.length;
+      onProgress({ bytes, totalBytes: opened.size || null });
+    });
+  }
+  await streamToFile(opened.stream, filepath);
+  return { filepath, title: opened.title || null, container, format: opened.format || null, unmet: opened.unmet || [] };
+}
+
+// Caption tracks are { lang, name, auto, url } internally; clients never see the url
+function publicCaptions(tracks) {
+  return tracks.map(({ lang, name, auto }) => ({ lang, name, auto }));
+}
+
+// Exact language match first (manual before auto unless `auto`), then a base-language match (en -> en-US)
+function pickCaptionTrack(tracks, { lang, auto = false } = {}) {
+  const ordered = [...tracks].sort((a, b) => (a.auto === auto ? 0 : 1) - (b.auto === auto ? 0 : 1));
+  const base = String(lang || '').split('-')[0].toLowerCase();
+  return ordered.find((t) => t.lang === lang) || ordered.find((t) => t.lang.split('-')[0].toLowerCase() === base) || null;
+}
+
+async function fetchCaptionTrack(tracks, opts) {
+  const track = pickCaptionTrack(tracks, opts);
+  if (!track) throw new Error(`no captions for language ${opts.lang}`);
+  const response = await fetch(track.url);
+  if (!response.ok) throw new Error(`caption fetch failed: HTTP ${response.status}`);
+  return response.text();
+}
+
+// Normalize a thumbnail list to [{ url, width, height }], smallest first, without duplicate URLs
+function mapThumbnails(list) {
+  const seen = new Set();
+  return (list || [])
+    .filter((t) => t && t.url && !seen.has(t.url) && seen.add(t.url))
+    .map((t) => ({ url: t.url, width: Number(t.width) || null, height: Number(t.height) || null }))
+    .sort((a, b) => (a.width || 0) * (a.height || 0) - (b.width || 0) * (b.height || 0));
+}
+
+module.exports = { destroyOnAbort, streamToFile, downloadViaStream, publicCaptions, fetchCaptionTrack, mapThumbnails };
@@ -0,0 +1,260 @@
+// extractors/yt-dlp.js
+// yt-dlp backend. Spawns the yt-dlp binary (YTDLP_PATH, default "yt-dlp" on PATH). The only one handling
+// every site; their adapters (../sites/) fix up the info it reports.
+
+const { spawn } = require("child_process");
+const { PassThrough } = require("stream");
+const path = require("path");
+const fs = require("fs").promises;
+const { publicCaptions, fetchCaptionTrack, mapThumbnails } = require("./util");
+const { normalizeCodec, selectFormat, normalizeFormats } = require("../formats");
+const sites = require("../sites");
+
+const YTDLP_BIN = process.env.YTDLP_PATH || "yt-dlp";
+
+const STDERR_MAX_CHARS = 64 * 1024;
+
+// Log yt-dlp's stderr and keep (the end of) it for error classification; returns a getter
+function collectStderr(child) {
+  let stderr = '';
+  child.stderr.on('data', (c) => {
+    console.log("[yt-dlp stderr]", String(c).trimEnd());
+    stderr = (stderr + c).slice(-STDERR_MAX_CHARS);
+  });
+  return () => stderr;
+}
+
+// An Error for a failed run: yt-dlp's ERROR lines (or its last line) as the message, the whole stderr
+// attached for ../errors.js to classify
+function ytdlpError(what, stderr) {
+  const lines = String(stderr || '').split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  const reported = lines.filter((l) => l.startsWith('ERROR:'));
+  const detail = (reported.length ? reported : lines.slice(-1)).join(' ');
+  return Object.assign(new Error(detail ? `${what}: ${detail}` : what), { stderr });
+}
+
+// Running yt-dlp processes; each leads its own process group so that killing it also stops the
+// ffmpeg it runs for merging, instead of leaving that behind as an orphan
+const children = new Set();
+
+function killGroup(child, signal = 'SIGTERM') {
+  if (!child.pid || child.exitCode !== null || child.signalCode !== null) return;
+  try { process.kill(-child.pid, signal); } catch (e) { /* already gone */ }
+}
+
+process.on('exit', () => children.forEach((child) => killGroup(child, 'SIGKILL')));
+
+// Spawn yt-dlp, killing its process group when `signal` aborts
+function spawnYtdlp(args, signal) {
+  const child = spawn(YTDLP_BIN, args, { stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+  children.add(child);
+  const abort = () => killGroup(child);
+  if (signal?.aborted) abort();
+  else signal?.addEventListener('abort', abort, { once: true });
+  const done = () => {
+    children.delete(child);
+    signal?.removeEventListener('abort', abort);
+  };
+  child.on('error', done);
+  child.on('close', done);
+  return child;
+}
+
+// Run yt-dlp to completion, collecting stdout/stderr
+function run(args, signal) {
+  return new Promise((resolve, reject) => {
+    const child = spawnYtdlp(args, signal);
+    let stdout = '', stderr = '';
+    child.stdout.on('data', (c) => stdout += c.toString());
+    child.stderr.on('data', (c) => stderr += c.toString());
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (signal?.aborted) return reject(signal.reason);
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
+
+// Machine-readable progress lines written to stdout while downloading to a file
+const PROGRESS_TEMPLATE = 'download:[progress] %(progress.downloaded_bytes)s %(progress.total_bytes)s %(progress.total_bytes_estimate)s';
+const PROGRESS_RE = /^\[progress\] (\S+) (\S+) (\S+)/;
+
+function watchProgress(child, onProgress) {
+  const toNumber = (v) => (v === 'NA' || isNaN(Number(v)) ? null : Number(v));
+  let buffered = '';
+  child.stdout.on('data', (c) => {
+    buffered += c.toString();
+    const lines = buffered.split(/\r?\n/);
+    buffered = lines.pop();
+    for (const line of lines) {
+      const m = PROGRESS_RE.exec(line.trim());
+      if (!m) continue;
+      onProgress({ bytes: toNumber(m[1]) || 0, totalBytes: toNumber(m[2]) || toNumber(m[3]) });
+    }
+  });
+}
+
+function toCandidate(f) {
+  return {
+    id: String(f.format_id),
+    width: f.width || null,
+    height: f.height || null,
+    fps: f.fps || null,
+    vcodec: normalizeCodec(f.vcodec),
+    acodec: normalizeCodec(f.acodec),
+    container: f.ext || null,
+    hasVideo: !!(f.vcodec && f.vcodec !== 'none'),
+    hasAudio: !!(f.acodec && f.acodec !== 'none'),
+    bitrate: f.tbr || f.abr || null,
+    audioBitrate: f.abr || null,
+    filesize: f.filesize || f.filesize_approx || null,
+    filesizeApprox: !f.filesize && !!f.filesize_approx
+  };
+}
+
+// Resolve the selector against yt-dlp's format list and build an explicit -f spec. Video-only picks are
+// merged with the best audio-only format, in the same container when there is one.
+async function resolveFormat(url, { selector, audioOnly, signal } = {}) {
+  const candidates = ((await dumpJson(url, signal)).formats || []).map(toCandidate);
+  const { format, unmet } = selectFormat(candidates, selector, { audioOnly });
+  if (audioOnly || format.hasAudio) return { spec: format.id, format, unmet };
+
+  const audio = selectFormat(candidates, { prefer: 'highest', container: format.container }, { audioOnly: true }).format;
+  return { spec: `${format.id}+${audio.id}`, format: { ...format, acodec: audio.acodec }, unmet };
+}
+
+// Manual subtitles plus auto-captions. yt-dlp lists every auto-translation too, so only the
+// original ASR track ("<lang>-orig") is kept when it is marked.
+function captionTracks(parsed) {
+  const toTracks = (map, auto) => Object.entries(map || {})
+    .filter(([lang]) => lang !== 'live_chat')
+    .map(([lang, variants]) => {
+      const vtt = (variants || []).find((v) => v.ext === 'vtt');
+      return vtt ? { lang, name: vtt.name || lang, auto, url: vtt.url } : null;
+    })
+    .filter(Boolean);
+
+  let auto = toTracks(parsed.automatic_captions, true);
+  const originals = auto.filter((t) => t.lang.endsWith('-orig'));
+  if (originals.length) auto = originals.map((t) => ({ ...t, lang: t.lang.replace(/-orig$/, '') }));
+  return [...toTracks(parsed.subtitles, false), ...auto];
+}
+
+async function dumpJson(url, signal) {
+  const { code, stdout, stderr } = await run(['-J', '--no-playlist', '--', url], signal);
+  if (code !== 0 || !stdout) throw ytdlpError(`yt-dlp -J failed (${code})`, stderr);
+  return JSON.parse(stdout);
+}
+
+function mapInfo(parsed) {
+  const thumbs = parsed.thumbnails || [];
+  return {
+    title: parsed.title || null,
+    author: parsed.uploader || parsed.channel || null,
+    lengthSeconds: parsed.duration != null ? Math.round(parsed.duration) : null,
+    viewCount: parsed.view_count ?? null,
+    thumbnail: parsed.thumbnail || thumbs[thumbs.length - 1]?.url || null,
+    thumbnails: mapThumbnails(thumbs),
+    description: parsed.description || null,
+    uploadDate: parsed.upload_date || null,
+    formats: normalizeFormats((parsed.formats || []).map(toCandidate)),
+    captions: publicCaptions(captionTracks(parsed))
+  };
+}
+
+const extractor = {
+  name: 'yt-dlp',
+
+  isAvailable() {
+    return true;
+  },
+
+  async getInfo(url) {
+    const parsed = await dumpJson(url);
+    return sites.mapInfo(url, mapInfo(parsed), parsed);
+  },
+
+  async listCaptions(url) {
+    return publicCaptions(captionTracks(await dumpJson(url)));
+  },
+
+  async fetchCaption(url, opts) {
+    return fetchCaptionTrack(captionTracks(await dumpJson(url)), opts);
+  },
+
+  // List the videos of a playlist or channel tab without resolving each one
+  async expand(url, { limit } = {}) {
+    const args = ['--flat-playlist', '-J'];
+    if (limit) args.push('--playlist-end', String(limit));
+    const { code, stdout, stderr } = await run([...args, '--', url]);
+    if (code !== 0 || !stdout) throw ytdlpError(`yt-dlp --flat-playlist failed (${code})`, stderr);
+    const parsed = JSON.parse(stdout);
+    return (parsed.entries || []).filter((e) => e && (e.url || e.id)).map((e) => ({
+      id: e.id || null,
+      title: e.title || null,
+      url: /^https?:\/\//i.test(e.url || '') ? e.url : `https://www.youtube.com/watch?v=${e.id}`
+    }));
+  },
+
+  // Stream to stdout. Resolves once yt-dlp produces its first bytes so that an
+  // immediate failure can still fall through to the next extractor. The stream only ends once
+  // yt-dlp exits cleanly (and errors otherwise), so a cut-off download never looks complete;
+  // destroying it kills yt-dlp.
+  async openStream(url, opts = {}) {
+    const { signal } = opts;
+    const { spec, format, unmet } = await resolveFormat(url, opts);
+    return new Promise((resolve, reject) => {
+      const child = spawnYtdlp(['--no-playlist', '-f', spec, '-o', '-', '--', url], signal);
+      const stderr = collectStderr(child);
+      const stream = new PassThrough();
+      child.stdout.pipe(stream, { end: false });
+      stream.on('close', () => killGroup(child));
+      let settled = false;
+      child.on('error', (err) => {
+        if (!settled) { settled = true; reject(err); }
+      });
+      child.stdout.once('readable', () => {
+        if (settled) return;
+        settled = true;
+        resolve({ stream, title: null, container: format.container, format, unmet });
+      });
+      child.on('close', (code) => {
+        console.log("[yt-dlp] stream closed with code", code);
+        if (code === 0) stream.end();
+        else stream.destroy(signal?.aborted ? signal.reason : ytdlpError(`yt-dlp exited with code ${code}`, stderr()));
+        if (!settled) { settled = true; reject(signal?.aborted ? signal.reason : ytdlpError(`yt-dlp exited with code ${code} before producing output`, stderr())); }
+      });
+    });
+  },
+
+  async downloadToFile(url, opts = {}) {
+    const { dir, basename, onProgress, signal } = opts;
+    const { spec, format, unmet } = await resolveFormat(url, opts);
+    const args = ['--no-playlist', '-f', spec, '-o', path.join(dir, `${basename}.%(ext)s`)];
+    if (onProgress) args.push('--newline', '--progress-template', PROGRESS_TEMPLATE);
+    const child = spawnYtdlp([...args, '--', url], signal);
+    const stderr = collectStderr(child);
+    if (onProgress) watchProgress(child, onProgress);
+    else child.stdout.resume();
+    const exitCode = await new Promise((resolve, reject) => {
+      child.on('error', reject);
+      child.on('close', (code) => resolve(code));
+    });
+    if (signal?.aborted) {
+      // yt-dlp was killed mid-download: drop its partial and per-format files
+      const leftovers = (await fs.readdir(dir).catch(() => [])).filter((f) => f.startsWith(`${basename}.`));
+      await Promise.all(leftovers.map((f) => fs.unlink(path.join(dir, f)).catch(() => {})));
+      throw signal.reason;
+    }
+    if (exitCode !== 0) throw ytdlpError(`yt-dlp failed (${exitCode})`, stderr());
+
+    // yt-dlp picks the extension, so look the output up by its unique basename
+    const files = (await fs.readdir(dir)).filter((f) => f.startsWith(`${basename}.`) && !f.endsWith('.part'));
+    if (!files.length) throw new Error('downloaded file not found');
+    const filename = files[0];
+    const container = path.extname(filename).slice(1) || null;
+    return { filepath: path.join(dir, filename), title: null, container, format: { ...format, container: container || format.container }, unmet };
+  }
+};
+
+module.exports = extractor;
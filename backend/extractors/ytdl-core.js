@@ -0,0 +1,98 @@
+// extractors/ytdl-core.js
+// ytdl-core backend. ytdl-core is optional: if it fails to load the extractor reports itself unavailable.
+
+const { destroyOnAbort, downloadViaStream, publicCaptions, fetchCaptionTrack, mapThumbnails } = require("./util");
+const { normalizeCodec, selectFormat, approxFilesize, normalizeFormats } = require("../formats");
+
+let ytdl;
+try { ytdl = require('ytdl-core'); } catch (e) { ytdl = null; }
+
+function captionTracks(yi) {
+  const tracks = yi.player_response?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+  return tracks.map((t) => ({
+    lang: t.languageCode,
+    name: t.name?.simpleText || t.languageCode,
+    auto: t.kind === 'asr',
+    url: `${t.baseUrl}&fmt=vtt`
+  }));
+}
+
+function toCandidate(f) {
+  const bitrate = f.bitrate ? f.bitrate / 1000 : f.audioBitrate || null;
+  const size = Number(f.contentLength) || null;
+  return {
+    id: String(f.itag),
+    width: f.width || null,
+    height: f.height || null,
+    fps: f.fps || null,
+    vcodec: normalizeCodec(f.videoCodec),
+    acodec: normalizeCodec(f.audioCodec),
+    container: f.container || null,
+    hasVideo: !!f.hasVideo,
+    hasAudio: !!f.hasAudio,
+    bitrate,
+    audioBitrate: f.audioBitrate || null,
+    filesize: size || approxFilesize(bitrate, Number(f.approxDurationMs) / 1000),
+    filesizeApprox: !size,
+    raw: f
+  };
+}
+
+function mapInfo(yi) {
+  const details = yi.videoDetails || {};
+  return {
+    title: details.title || null,
+    author: details.author?.name || null,
+    lengthSeconds: details.lengthSeconds ? Number(details.lengthSeconds) : null,
+    viewCount: details.viewCount ? Number(details.viewCount) : null,
+    thumbnail: details.thumbnail?.thumbnails?.slice(-1)[0]?.url || null,
+    thumbnails: mapThumbnails(details.thumbnails || details.thumbnail?.thumbnails),
+    description: details.shortDescription || null,
+    uploadDate: details.uploadDate || null,
+    formats: normalizeFormats((yi.formats || []).map(toCandidate)),
+    captions: publicCaptions(captionTracks(yi))
+  };
+}
+
+const extractor = {
+  name: 'ytdl-core',
+  sites: ['youtube'],
+
+  isAvailable() {
+    return !!ytdl;
+  },
+
+  async getInfo(url) {
+    return mapInfo(await ytdl.getInfo(url));
+  },
+
+  async listCaptions(url) {
+    return publicCaptions(captionTracks(await ytdl.getBasicInfo(url)));
+  },
+
+  async fetchCaption(url, opts) {
+    return fetchCaptionTrack(captionTracks(await ytdl.getBasicInfo(url)), opts);
+  },
+
+  // ytdl-core streams a single format, so video requests pick among formats that carry audio too
+  // (unless an exact itag was asked for)
+  async openStream(url, opts = {}) {
+    const yi = await ytdl.getInfo(url);
+    const { format, unmet } = selectFormat(yi.formats.map(toCandidate), opts.selector, { audioOnly: opts.audioOnly, muxedOnly: true });
+    const stream = ytdl.downloadFromInfo(yi, { format: format.raw });
+    return {
+      stream: destroyOnAbort(stream, opts.signal),
+      title: yi.videoDetails?.title || null,
+      container: format.container,
+      size: Number(format.raw.contentLength) || null,
+      format,
+      unmet
+    };
+  },
+
+  async downloadToFile(url, opts = {}) {
+    return downloadViaStream(extractor, url, opts);
+  }
+};
+
+module.exports = extractor;
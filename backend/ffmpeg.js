@@ -0,0 +1,258 @@
+// ffmpeg.js
+// Post-processing with ffmpeg (FFMPEG_PATH, default "ffmpeg" on PATH): clipping, audio transcoding,
+// metadata tagging, subtitle muxing, image conversion/frame grabs and timestamp parsing.
+
+const { spawn } = require("child_process");
+const path = require("path");
+const { PassThrough } = require("stream");
+const fs = require("fs").promises;
+
+const FFMPEG_BIN = process.env.FFMPEG_PATH || "ffmpeg";
+
+// Audio outputs: encoder + muxer args, the Content-Type they produce and whether a bitrate applies
+const AUDIO_FORMATS = {
+  mp3: { args: ['-c:a', 'libmp3lame', '-f', 'mp3'], contentType: 'audio/mpeg', bitrate: true },
+  m4a: { args: ['-c:a', 'aac', '-movflags', 'frag_keyframe+empty_moov', '-f', 'mp4'], contentType: 'audio/mp4', bitrate: true },
+  opus: { args: ['-c:a', 'libopus', '-f', 'ogg'], contentType: 'audio/ogg', bitrate: true },
+  wav: { args: ['-c:a', 'pcm_s16le', '-f', 'wav'], contentType: 'audio/wav', bitrate: false },
+};
+const AUDIO_BITRATES = [64, 96, 128, 160, 192, 256, 320];
+const DEFAULT_AUDIO = { format: 'mp3', bitrate: 192 };
+
+// Still image outputs (thumbnails and frame grabs)
+const IMAGE_FORMATS = {
+  jpg: { args: ['-q:v', '2', '-f', 'image2', '-c:v', 'mjpeg'], contentType: 'image/jpeg' },
+  webp: { args: ['-quality', '90', '-f', 'webp', '-c:v', 'libwebp'], contentType: 'image/webp' },
+  png: { args: ['-f', 'image2', '-c:v', 'png'], contentType: 'image/png' },
+};
+
+// Accepts seconds ("90", 90, "12.5"), "mm:ss" / "hh:mm:ss" and YouTube's "1h2m3s" form.
+// Returns null for empty input and NaN when the value can't be parsed.
+function parseTimestamp(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value >= 0 ? value : NaN;
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?s?$/.test(str)) return parseFloat(str);
+  if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(str)) {
+    return str.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
+  const m = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/.exec(str);
+  if (m && (m[1] || m[2] || m[3])) return Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+  return NaN;
+}
+
+// The t= (or start=) parameter of a pasted YouTube URL, in seconds
+function timestampFromUrl(url) {
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    const t = parsed.searchParams.get('t') || parsed.searchParams.get('start');
+    const seconds = parseTimestamp(t);
+    return Number.isFinite(seconds) ? seconds : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Work out the clip requested by `start`/`end` (falling back to the URL's t=).
+// Returns null when no clipping is needed; throws with a user-facing message on bad input.
+function resolveClipRange({ url, start, end }) {
+  const s = start != null && start !== '' ? parseTimestamp(start) : timestampFromUrl(url);
+  const e = parseTimestamp(end);
+  if (Number.isNaN(s)) throw new Error(`Invalid start time: ${start}`);
+  if (Number.isNaN(e)) throw new Error(`Invalid end time: ${end}`);
+  if (e != null && e <= (s || 0)) throw new Error('End time must be after start time');
+  if (!s && e == null) return null;
+  return { start: s || 0, end: e };
+}
+
+// Validate the requested image format ("jpeg" is accepted for jpg); throws with a user-facing message
+function resolveImageFormat(format) {
+  const fmt = format ? String(format).toLowerCase().replace(/^jpeg$/, 'jpg') : 'jpg';
+  if (!IMAGE_FORMATS[fmt]) throw new Error(`Unsupported image format: ${format} (use ${Object.keys(IMAGE_FORMATS).join(', ')})`);
+  return fmt;
+}
+
+// Validate the requested audio format/bitrate (kbps); throws with a user-facing message
+function resolveAudioOptions({ format, bitrate } = {}) {
+  const fmt = format ? String(format).toLowerCase() : DEFAULT_AUDIO.format;
+  if (!AUDIO_FORMATS[fmt]) throw new Error(`Unsupported audio format: ${format} (use ${Object.keys(AUDIO_FORMATS).join(', ')})`);
+  if (!AUDIO_FORMATS[fmt].bitrate) return { format: fmt, bitrate: null };
+  const kbps = bitrate != null && bitrate !== '' ? parseInt(String(bitrate), 10) : DEFAULT_AUDIO.bitrate;
+  if (!AUDIO_BITRATES.includes(kbps)) throw new Error(`Unsupported bitrate: ${bitrate} (use ${AUDIO_BITRATES.join(', ')})`);
+  return { format: fmt, bitrate: kbps };
+}
+
+// Input args for a file path or a readable stream (fed through stdin), with an optional [start, end) window
+function inputArgs(input, { start = 0, end = null } = {}) {
+  const args = ['-hide_banner', '-loglevel', 'error'];
+  if (start) args.push('-ss', String(start));
+  args.push('-i', typeof input === 'string' ? input : 'pipe:0');
+  if (end != null) args.push('-t', String(end - (start || 0)));
+  return args;
+}
+
+// `signal` kills ffmpeg when it aborts (the run then rejects with an AbortError). An input stream that
+// fails stops it too, as ffmpeg would wait for the rest forever, and the run fails with the stream's
+// error (child.inputError).
+function spawnFfmpeg(args, input, signal) {
+  const fromStream = typeof input !== 'string';
+  const child = spawn(FFMPEG_BIN, args, { stdio: [fromStream ? 'pipe' : 'ignore', 'pipe', 'pipe'], signal });
+  if (fromStream) {
+    // ffmpeg may stop reading early (e.g. after `end`); that's not an error for us
+    child.stdin.on('error', () => {});
+    input.on('error', (e) => {
+      console.warn('[ffmpeg] input stream error:', e?.message || e);
+      child.inputError = e;
+      child.stdin.destroy();
+      child.kill();
+    });
+    input.pipe(child.stdin);
+  }
+  return child;
+}
+
+// Resolve with ffmpeg's output once it writes its first bytes, or reject if it exits without output.
+// The output only ends when ffmpeg exits with 0; otherwise it fails with the error, so a broken run
+// doesn't pass for a complete file. Destroying it stops ffmpeg.
+function openOutput(child, tag) {
+  return new Promise((resolve, reject) => {
+    let settled = false, stderr = '', failure = null;
+    const stream = new PassThrough();
+    child.stdout.pipe(stream, { end: false });
+    stream.on('close', () => {
+      if (child.exitCode === null && child.signalCode === null) child.kill();
+    });
+    child.stderr.on('data', (c) => stderr += c.toString());
+    child.on('error', (err) => {
+      failure = failure || err;
+      if (!settled) { settled = true; reject(err); }
+    });
+    child.stdout.once('readable', () => {
+      if (settled) return;
+      settled = true;
+      resolve(stream);
+    });
+    child.on('close', (code) => {
+      if (code !== 0) console.warn(`[ffmpeg] ${tag} exited with code ${code}:`, stderr.slice(-200));
+      const err = failure || child.inputError || (code !== 0 ? new Error(`ffmpeg ${tag} failed (${code}): ${stderr.slice(-200)}`) : null);
+      if (err) stream.destroy(err);
+      else stream.end();
+      if (!settled) { settled = true; reject(err || new Error(`ffmpeg ${tag} exited without output`)); }
+    });
+  });
+}
+
+// Wait for an ffmpeg run that writes to a file
+function runToFile(child, tag, output) {
+  return new Promise((resolve, reject) => {
+    let stderr = '';
+    child.stdout.resume();
+    child.stderr.on('data', (c) => stderr += c.toString());
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (child.inputError) return reject(child.inputError);
+      if (code === 0) return resolve(output);
+      reject(new Error(`ffmpeg ${tag} failed (${code}): ${stderr.slice(-200)}`));
+    });
+  });
+}
+
+// Stream to stdout, or write to `output` when given (resolves once the file is complete)
+async function finish(child, tag, output, details) {
+  if (output) return { filepath: await runToFile(child, tag, output), ...details };
+  return { stream: await openOutput(child, tag), child, ...details };
+}
+
+// Cut [start, end) out of a local file. Re-encoded to H.264/AAC in fragmented MP4 so the
+// cut is frame-accurate and streamable.
+async function clip(inputPath, { start = 0, end = null, output = null, signal } = {}) {
+  const args = [...inputArgs(inputPath, { start, end }), '-c:v', 'libx264', '-preset', 'veryfast', '-c:a', 'aac', '-movflags', 'frag_keyframe+empty_moov', '-f', 'mp4'];
+  args.push(...(output ? ['-y', output] : ['pipe:1']));
+  const child = spawnFfmpeg(args, inputPath, signal);
+  return finish(child, 'clip', output, { container: 'mp4', contentType: 'video/mp4' });
+}
+
+// Transcode a file path or stream to one of AUDIO_FORMATS, optionally trimmed to [start, end)
+async function transcodeAudio(input, { format, bitrate, start = 0, end = null, output = null, signal } = {}) {
+  const spec = AUDIO_FORMATS[format];
+  const args = [...inputArgs(input, { start, end }), '-vn'];
+  if (spec.bitrate && bitrate) args.push('-b:a', `${bitrate}k`);
+  args.push(...spec.args);
+  if (output) args.push('-y', output);
+  else args.push('pipe:1');
+  const child = spawnFfmpeg(args, input, signal);
+  return finish(child, `transcode ${format}`, output, { container: format, contentType: spec.contentType });
+}
+
+// Containers that can carry an embedded cover image
+const COVER_CONTAINERS = ['mp4', 'm4a', 'mp3'];
+
+// Copy `input` to `output` (container picked from its extension) adding metadata tags and,
+// where the container supports it, `coverPath` as attached cover art
+async function tagFile(input, output, { tags = {}, coverPath = null, audioOnly = false, signal } = {}) {
+  const container = path.extname(output).slice(1).toLowerCase();
+  const withCover = !!coverPath && COVER_CONTAINERS.includes(container);
+  const args = ['-hide_banner', '-loglevel', 'error', '-i', input];
+  if (withCover) args.push('-i', coverPath);
+  args.push(...(audioOnly ? ['-map', '0:a'] : ['-map', '0:v:0', '-map', '0:a?']));
+  if (withCover) args.push('-map', '1:v', `-disposition:v:${audioOnly ? 0 : 1}`, 'attached_pic');
+  args.push('-c', 'copy');
+  if (container === 'mp3') {
+    args.push('-id3v2_version', '3');
+    if (withCover) args.push('-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+  }
+  if (container === 'mp4' || container === 'm4a') args.push('-movflags', '+faststart');
+  Object.entries(tags).forEach(([key, value]) => {
+    if (value) args.push('-metadata', `${key}=${value}`);
+  });
+  args.push('-y', output);
+  return runToFile(spawnFfmpeg(args, input, signal), 'tag', output);
+}
+
+// Add `subtitlePath` (SRT/VTT) to an MP4 as a soft mov_text subtitle track
+async function muxSubtitles(input, subtitlePath, output, { lang = null, title = null, signal } = {}) {
+  const args = ['-hide_banner', '-loglevel', 'error', '-i', input, '-i', subtitlePath, '-map', '0', '-map', '1', '-c', 'copy', '-c:s', 'mov_text'];
+  if (lang) args.push('-metadata:s:s:0', `language=${lang}`);
+  if (title) args.push('-metadata:s:s:0', `title=${title}`);
+  args.push('-y', output);
+  return runToFile(spawnFfmpeg(args, input, signal), 'subtitles', output);
+}
+
+// Fetch/convert an image (path or http URL) to one of IMAGE_FORMATS
+async function toImage(source, output, format = 'jpg') {
+  const args = ['-hide_banner', '-loglevel', 'error', '-i', source, '-frames:v', '1', ...IMAGE_FORMATS[format].args, '-y', output];
+  return runToFile(spawnFfmpeg(args, source), `image ${format}`, output);
+}
+
+// JPEG suitable for cover art
+async function toJpeg(source, output) {
+  return toImage(source, output, 'jpg');
+}
+
+// Grab the frame at `at` seconds of a local video as an image. Rejects when `at` is past the end,
+// since ffmpeg then exits cleanly without writing anything.
+async function grabFrame(inputPath, { at = 0, format = 'jpg', output, signal }) {
+  const args = [...inputArgs(inputPath, { start: at }), '-frames:v', '1', ...IMAGE_FORMATS[format].args, '-y', output];
+  await runToFile(spawnFfmpeg(args, inputPath, signal), 'frame', output);
+  const written = await fs.stat(output).catch(() => null);
+  if (!written || !written.size) throw new Error(`No frame at ${at}s (past the end of the video?)`);
+  return output;
+}
+
+module.exports = {
+  parseTimestamp,
+  timestampFromUrl,
+  resolveClipRange,
+  resolveAudioOptions,
+  resolveImageFormat,
+  clip,
+  transcodeAudio,
+  tagFile,
+  muxSubtitles,
+  toImage,
+  toJpeg,
+  grabFrame,
+  AUDIO_FORMATS,
+  AUDIO_BITRATES,
+  IMAGE_FORMATS
+};
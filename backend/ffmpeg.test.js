@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+process.env.FFMPEG_PATH = path.join(__dirname, '__fixtures__', 'ffmpeg.js');
+const ffmpeg = require('./ffmpeg');
+
+const MP3 = { format: 'mp3', bitrate: 192 };
+
+function source(...chunks) {
+  const stream = new PassThrough();
+  chunks.forEach((chunk) => stream.write(chunk));
+  return stream;
+}
+
+function read(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (c) => chunks.push(c));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+  });
+}
+
+beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+describe('streamed output', () => {
+  test('ends once ffmpeg exits cleanly', async () => {
+    const input = source('all of it');
+    input.end();
+    const { stream } = await ffmpeg.transcodeAudio(input, MP3);
+    await expect(read(stream)).resolves.toBe('all of it');
+  });
+
+  test("fails with ffmpeg's error when it exits non-zero after writing", async () => {
+    const input = source('part of it', 'FAIL');
+    input.end();
+    const { stream } = await ffmpeg.transcodeAudio(input, MP3);
+    await expect(read(stream)).rejects.toThrow('ffmpeg transcode mp3 failed (1): fake ffmpeg error');
+  });
+
+  test('stops ffmpeg when destroyed', async () => {
+    const { stream, child } = await ffmpeg.transcodeAudio(source('some of it'), MP3);
+    stream.destroy();
+    await new Promise((resolve) => child.once('close', resolve));
+    expect(child.signalCode).toBe('SIGTERM');
+  });
+});
+
+describe('a failing input stream', () => {
+  test("stops ffmpeg and fails the streamed output with the stream's error", async () => {
+    const input = source('some of it');
+    const { stream, child } = await ffmpeg.transcodeAudio(input, MP3);
+    const closed = new Promise((resolve) => child.once('close', resolve));
+    input.destroy(new Error('source broke'));
+    await expect(read(stream)).rejects.toThrow('source broke');
+    await closed;
+    expect(child.signalCode).toBe('SIGTERM');
+  });
+
+  test("fails a run that writes to a file with the stream's error", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ffmpeg-test-'));
+    try {
+      const input = source('some of it');
+      setTimeout(() => input.destroy(new Error('source broke')), 20);
+      await expect(ffmpeg.transcodeAudio(input, { ...MP3, output: path.join(dir, 'audio.mp3') })).rejects.toThrow('source broke');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,204 @@
+// formats.js
+// One format selector for every extractor. Requests send it as `quality`:
+//
+//   "highest" | "lowest"    best / worst available (default "highest")
+//   "720p"                  at most 720p (the shorter side, so vertical Shorts work the same way)
+//   "22", "137", "hls-1"    an exact itag / yt-dlp format_id
+//   { id, maxHeight, codec, container, fps, prefer }
+//                           codec: h264 | vp9 | av1, container: mp4 | webm, fps: maximum frame rate,
+//                           prefer: "highest" | "lowest"
+//
+// Extractors map their own format lists to candidates ({ id, width, height, fps, vcodec, acodec, container,
+// hasVideo, hasAudio, bitrate, audioBitrate, filesize, filesizeApprox }, bitrates in kbps) and let
+// selectFormat pick. normalizeFormats turns the same candidates into /api/video-info's `formats`. Constraints that can't be met are dropped
+// (codec first, then container, fps and maxHeight) and reported back as `unmet`.
+
+const CODEC_ALIASES = {
+  h264: 'h264', 'h.264': 'h264', avc: 'h264', avc1: 'h264',
+  vp9: 'vp9', vp09: 'vp9',
+  av1: 'av1', av01: 'av1',
+};
+const CONTAINERS = ['mp4', 'webm'];
+const RELAX_ORDER = ['codec', 'container', 'fps', 'maxHeight'];
+
+// "avc1.64001F" / "vp09.00.40.08" / "mp4a.40.2" / "opus" -> h264 / vp9 / aac / opus
+function normalizeCodec(codec) {
+  if (!codec || codec === 'none') return null;
+  const base = String(codec).toLowerCase().split('.')[0];
+  if (CODEC_ALIASES[base]) return CODEC_ALIASES[base];
+  if (base === 'mp4a') return 'aac';
+  return base;
+}
+
+function positiveNumber(value, name) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!(n > 0)) throw new Error(`Invalid ${name}: ${value}`);
+  return n;
+}
+
+// Normalize a request's `quality` into { id, maxHeight, codec, container, fps, prefer }.
+// Throws with a user-facing message on values no extractor could honor.
+function parseSelector(quality) {
+  const selector = { id: null, maxHeight: null, codec: null, container: null, fps: null, prefer: 'highest' };
+  if (quality == null || quality === '') return selector;
+
+  if (typeof quality !== 'object') {
+    const str = String(quality).trim().toLowerCase();
+    const height = /^(\d+)p$/.exec(str);
+    if (str === 'highest' || str === 'best') return selector;
+    if (str === 'lowest' || str === 'worst') return { ...selector, prefer: 'lowest' };
+    if (height) return { ...selector, maxHeight: Number(height[1]) };
+    return { ...selector, id: String(quality).trim() };
+  }
+
+  const { id, maxHeight, codec, container, fps, prefer } = quality;
+  if (codec != null && codec !== '' && !CODEC_ALIASES[String(codec).toLowerCase()]) {
+    throw new Error(`Unsupported codec: ${codec} (use h264, vp9, av1)`);
+  }
+  if (container != null && container !== '' && !CONTAINERS.includes(String(container).toLowerCase())) {
+    throw new Error(`Unsupported container: ${container} (use ${CONTAINERS.join(', ')})`);
+  }
+  if (prefer != null && !['highest', 'lowest'].includes(prefer)) throw new Error(`Invalid prefer: ${prefer} (use highest, lowest)`);
+  return {
+    id: id != null && id !== '' ? String(id) : null,
+    maxHeight: positiveNumber(maxHeight, 'maxHeight'),
+    codec: codec ? CODEC_ALIASES[String(codec).toLowerCase()] : null,
+    container: container ? String(container).toLowerCase() : null,
+    fps: positiveNumber(fps, 'fps'),
+    prefer: prefer || 'highest'
+  };
+}
+
+// Audio in an MP4 is usually reported as "m4a"
+function sameContainer(format, container) {
+  return format.container === container || (container === 'mp4' && format.container === 'm4a');
+}
+
+// "720p" names the shorter side: a vertical 720x1280 Short is 720p
+function resolution(f) {
+  return f.width && f.height ? Math.min(f.width, f.height) : f.height || 0;
+}
+
+const CHECKS = {
+  codec: (f, s) => f.vcodec === s.codec,
+  container: (f, s) => sameContainer(f, s.container),
+  fps: (f, s) => !f.fps || f.fps <= s.fps,
+  maxHeight: (f, s) => !resolution(f) || resolution(f) <= s.maxHeight
+};
+
+// Pick a candidate for `selector`. Video requests only consider formats with video (and audio too when
+// `muxedOnly`, for extractors that can't merge); audio requests only audio-only formats, falling back to
+// anything with audio. Returns { format, unmet } where `unmet` lists the selector fields that had to
+// be dropped, or throws when there is nothing to pick from.
+function selectFormat(formats, selector = parseSelector(), { audioOnly = false, muxedOnly = false } = {}) {
+  if (selector.id) {
+    const exact = formats.find((f) => String(f.id) === selector.id);
+    if (exact) return { format: exact, unmet: [] };
+  }
+
+  let candidates;
+  if (audioOnly) {
+    candidates = formats.filter((f) => f.hasAudio && !f.hasVideo);
+    if (!candidates.length) candidates = formats.filter((f) => f.hasAudio);
+  } else {
+    candidates = formats.filter((f) => f.hasVideo && (!muxedOnly || f.hasAudio));
+  }
+  if (!candidates.length) throw new Error(`no ${audioOnly ? 'audio' : 'video'} formats available`);
+
+  // codec, fps and height don't apply to audio-only picks
+  let active = RELAX_ORDER.filter((key) => selector[key] != null && (!audioOnly || key === 'container'));
+  const unmet = selector.id ? ['id'] : [];
+  let matching = candidates.filter((f) => active.every((key) => CHECKS[key](f, selector)));
+  while (!matching.length) {
+    unmet.push(active.shift());
+    matching = candidates.filter((f) => active.every((key) => CHECKS[key](f, selector)));
+  }
+
+  // best first (or worst first for "lowest", and when nothing was small enough); ties go to MP4,
+  // which plays everywhere
+  const direction = selector.prefer === 'lowest' || unmet.includes('maxHeight') ? -1 : 1;
+  const rank = (f) => [resolution(f), f.fps || 0, f.bitrate || 0].map((v) => v * direction).concat(sameContainer(f, 'mp4') ? 1 : 0);
+  const ranked = [...matching].sort((a, b) => {
+    const ka = rank(a), kb = rank(b);
+    for (let i = 0; i < ka.length; i++) if (ka[i] !== kb[i]) return kb[i] - ka[i];
+    return 0;
+  });
+  return { format: ranked[0], unmet };
+}
+
+// Size in bytes from a bitrate in kbps and a duration in seconds, when both are known
+function approxFilesize(kbps, seconds) {
+  return kbps > 0 && seconds > 0 ? Math.round((kbps * 1000 / 8) * seconds) : null;
+}
+
+// "1080p60" / "720p" for video, "128 kbps" for audio-only
+function formatLabel(f) {
+  if (f.hasVideo && resolution(f)) return `${resolution(f)}p${f.fps > 30 ? Math.round(f.fps) : ''}`;
+  if (f.hasAudio && f.audioBitrate) return `${Math.round(f.audioBitrate)} kbps`;
+  return null;
+}
+
+// Candidates -> /api/video-info formats: storyboards and other media-less entries dropped, duplicates
+// (same id, or same resolution/fps/codecs/container) collapsed, video first from the best down, then
+// audio-only from the highest bitrate down
+function normalizeFormats(candidates) {
+  const byId = new Map();
+  const bySignature = new Map();
+  candidates.filter((f) => f && f.id && (f.hasVideo || f.hasAudio)).forEach((f) => {
+    if (byId.has(f.id)) return;
+    byId.set(f.id, f);
+    const signature = [f.hasVideo, f.hasAudio, f.width, f.height, f.fps, f.vcodec, f.acodec, f.container].join('|');
+    const existing = bySignature.get(signature);
+    if (!existing || (f.bitrate || 0) > (existing.bitrate || 0)) bySignature.set(signature, f);
+  });
+
+  const rank = (f) => [f.hasVideo ? 1 : 0, resolution(f), f.fps || 0, f.hasAudio ? 1 : 0, f.bitrate || f.audioBitrate || 0];
+  return [...bySignature.values()]
+    .sort((a, b) => {
+      const ka = rank(a), kb = rank(b);
+      for (let i = 0; i < ka.length; i++) if (ka[i] !== kb[i]) return kb[i] - ka[i];
+      return 0;
+    })
+    .map((f) => ({
+      id: f.id,
+      itag: f.id,
+      quality: formatLabel(f),
+      container: f.container || null,
+      hasVideo: !!f.hasVideo,
+      hasAudio: !!f.hasAudio,
+      width: f.width || null,
+      height: f.height || null,
+      fps: f.fps || null,
+      vcodec: f.vcodec || null,
+      acodec: f.acodec || null,
+      bitrate: f.bitrate ? Math.round(f.bitrate) : null,
+      audioBitrate: f.audioBitrate ? Math.round(f.audioBitrate) : null,
+      filesize: f.filesize || null,
+      filesizeApprox: !!f.filesize && !!f.filesizeApprox
+    }));
+}
+
+// Public shape of a delivered format (what clients see in X-Format / job results)
+function describeFormat(format) {
+  if (!format) return null;
+  const { id, width, height, fps, vcodec, acodec, container } = format;
+  return {
+    id: id != null ? String(id) : null,
+    width: width || null,
+    height: height || null,
+    fps: fps || null,
+    vcodec: vcodec || null,
+    acodec: acodec || null,
+    container: container || null
+  };
+}
+
+// "id=137; width=1920; height=1080; fps=30; vcodec=h264; acodec=aac; container=mp4", skipping unknown fields
+function formatHeader(format) {
+  const described = describeFormat(format);
+  if (!described) return null;
+  return Object.entries(described).filter(([, v]) => v != null).map(([k, v]) => `${k}=${v}`).join('; ');
+}
+
+module.exports = { normalizeCodec, parseSelector, selectFormat, approxFilesize, normalizeFormats, describeFormat, formatHeader };
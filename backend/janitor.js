@@ -0,0 +1,129 @@
+// janitor.js
+// Background cleanup of DOWNLOADS_DIR: saved files expire after DOWNLOADS_MAX_AGE_MS, the oldest go
+// first once DOWNLOADS_MAX_BYTES is exceeded, and partial files left by failed downloads are removed
+// (along with abandoned tmp files/dirs of the download routes).
+//
+//   DOWNLOADS_MAX_AGE_MS   lifetime of a saved file, 0 keeps files forever (default 24 hours)
+//   DOWNLOADS_MAX_BYTES    quota for saved files, 0 for none (default 5 GiB)
+//   JANITOR_INTERVAL_MS    time between sweeps (default 10 minutes)
+//   PARTIAL_GRACE_MS       how long a partial file may sit unmodified before it counts as abandoned (default 1 hour)
+//
+// Only files the server itself names are touched, so a DOWNLOADS_DIR that fell back to the tmpdir is safe.
+
+const path = require("path");
+const fs = require("fs").promises;
+const os = require("os");
+
+const DOWNLOADS_MAX_AGE_MS = Number(process.env.DOWNLOADS_MAX_AGE_MS ?? 24 * 60 * 60 * 1000);
+const DOWNLOADS_MAX_BYTES = Number(process.env.DOWNLOADS_MAX_BYTES ?? 5 * 1024 * 1024 * 1024);
+const JANITOR_INTERVAL_MS = Number(process.env.JANITOR_INTERVAL_MS || 10 * 60 * 1000);
+const PARTIAL_GRACE_MS = Number(process.env.PARTIAL_GRACE_MS || 60 * 60 * 1000);
+
+// "<title>-<timestamp>.<ext>" from buildFilename
+const SAVED_RE = /-\d{13}\.\w+$/;
+// yt-dlp leftovers: "x.mp4.part", "x.mp4.ytdl", "x.part-Frag12", "x.temp.mp4", per-format "x.f137.mp4"
+const PARTIAL_RE = /\.(part|ytdl)$|\.part-Frag\d+$|\.temp\.\w+$|\.f\d+\.\w+$/;
+// tmp files and dirs of the download routes: "video-<timestamp>.mp4", "audio-clip-Ab12Cd", "batch-Xy34Zw", ...
+const TMP_RE = /^(video|audio)-\d{13}|^(video|audio)-(clip|processed)-\w{6}$|^(audio|batch|thumbnail|frame)-\w{6}$/;
+
+function isPartial(name) {
+  return PARTIAL_RE.test(name);
+}
+
+function isSaved(name) {
+  return SAVED_RE.test(name) && !isPartial(name);
+}
+
+// When a saved file expires by age (null when it doesn't)
+function expiresAt(stats) {
+  return DOWNLOADS_MAX_AGE_MS ? new Date(stats.mtimeMs + DOWNLOADS_MAX_AGE_MS).toISOString() : null;
+}
+
+async function entriesOf(dir) {
+  const names = await fs.readdir(dir).catch(() => []);
+  const entries = await Promise.all(names.map(async (name) => {
+    const filepath = path.join(dir, name);
+    const stats = await fs.stat(filepath).catch(() => null);
+    return stats && { name, filepath, stats };
+  }));
+  return entries.filter(Boolean);
+}
+
+// Saved files in `dir`, oldest first
+async function listSaved(dir) {
+  return (await entriesOf(dir))
+    .filter((e) => e.stats.isFile() && isSaved(e.name))
+    .sort((a, b) => a.stats.mtimeMs - b.stats.mtimeMs);
+}
+
+async function usage(dir) {
+  return (await listSaved(dir)).reduce((total, e) => total + e.stats.size, 0);
+}
+
+async function quotaExceeded(dir) {
+  return DOWNLOADS_MAX_BYTES > 0 && (await usage(dir)) >= DOWNLOADS_MAX_BYTES;
+}
+
+// Newest mtime of a file, or of a directory and the files directly in it
+async function lastModified(entry) {
+  if (!entry.stats.isDirectory()) return entry.stats.mtimeMs;
+  const inner = await entriesOf(entry.filepath);
+  return Math.max(entry.stats.mtimeMs, ...inner.map((e) => e.stats.mtimeMs));
+}
+
+async function remove(entry) {
+  await fs.rm(entry.filepath, { recursive: true, force: true });
+  return entry.stats.isFile() ? entry.stats.size : 0;
+}
+
+// One pass over `dir` and the tmpdir. Resolves to counts of what was removed.
+async function sweep(dir) {
+  const now = Date.now();
+  const removed = { expired: 0, overQuota: 0, partial: 0, tmp: 0, bytes: 0 };
+
+  let saved = await listSaved(dir);
+  if (DOWNLOADS_MAX_AGE_MS) {
+    for (const e of saved.filter((f) => now - f.stats.mtimeMs > DOWNLOADS_MAX_AGE_MS)) {
+      removed.bytes += await remove(e);
+      removed.expired += 1;
+    }
+    saved = saved.filter((f) => now - f.stats.mtimeMs <= DOWNLOADS_MAX_AGE_MS);
+  }
+  if (DOWNLOADS_MAX_BYTES) {
+    let total = saved.reduce((sum, e) => sum + e.stats.size, 0);
+    while (total > DOWNLOADS_MAX_BYTES && saved.length) {
+      const e = saved.shift();
+      total -= e.stats.size;
+      removed.bytes += await remove(e);
+      removed.overQuota += 1;
+    }
+  }
+
+  for (const e of (await entriesOf(dir)).filter((f) => f.stats.isFile() && isPartial(f.name))) {
+    if (now - e.stats.mtimeMs < PARTIAL_GRACE_MS) continue;
+    removed.bytes += await remove(e);
+    removed.partial += 1;
+  }
+
+  // an untitled save ("video-<timestamp>.mp4") looks like a tmp file when the downloads dir is the tmpdir
+  const downloadsInTmp = path.resolve(dir) === path.resolve(os.tmpdir());
+  for (const e of (await entriesOf(os.tmpdir())).filter((f) => TMP_RE.test(f.name) && !(downloadsInTmp && isSaved(f.name)))) {
+    if (now - (await lastModified(e)) < PARTIAL_GRACE_MS) continue;
+    removed.bytes += await remove(e);
+    removed.tmp += 1;
+  }
+  return removed;
+}
+
+// Sweep `getDir()` now and every JANITOR_INTERVAL_MS (the downloads dir may change after a fallback)
+function start(getDir) {
+  const run = () => sweep(getDir())
+    .then((removed) => {
+      if (removed.expired + removed.overQuota + removed.partial + removed.tmp) console.log('[janitor] removed', removed);
+    })
+    .catch((err) => console.warn('[janitor] sweep failed:', err?.message || err));
+  run();
+  setInterval(run, JANITOR_INTERVAL_MS).unref();
+}
+
+module.exports = { DOWNLOADS_MAX_BYTES, isSaved, isPartial, expiresAt, listSaved, usage, quotaExceeded, sweep, start };
@@ -0,0 +1,109 @@
+// jobs.js
+// In-memory registry of background jobs (e.g. saving a video on the server).
+// Jobs are kept for JOB_TTL_MS after they finish so clients can still poll the result.
+
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const errors = require("./errors");
+
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS || 60 * 60 * 1000);
+const PROGRESS_INTERVAL_MS = 250;
+
+const jobs = new Map();
+const controllers = new Map(); // job id -> AbortController while it runs
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+function isFinished(job) {
+  return job.state === 'completed' || job.state === 'failed' || job.state === 'cancelled';
+}
+
+function snapshot(job) {
+  return { ...job };
+}
+
+function createJob(type, params = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    state: 'queued',
+    ...params,
+    bytes: 0,
+    totalBytes: null,
+    percent: null,
+    result: null,
+    error: null,
+    errorCode: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  jobs.set(job.id, job);
+  return snapshot(job);
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? snapshot(job) : null;
+}
+
+function updateJob(id, patch) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+  if (isFinished(job)) setTimeout(() => jobs.delete(id), JOB_TTL_MS).unref();
+  const snap = snapshot(job);
+  emitter.emit(id, snap);
+  return snap;
+}
+
+// Listen for updates to one job; returns an unsubscribe function
+function subscribe(id, listener) {
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
+
+// Run `work(onProgress, signal)` in the background and record its outcome on the job.
+// onProgress({ bytes, totalBytes }) is throttled; percent is derived when the total is known.
+// `signal` aborts when the job is cancelled.
+function runJob(id, work) {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  let lastEmit = 0;
+  const onProgress = ({ bytes, totalBytes }) => {
+    const now = Date.now();
+    if (now - lastEmit < PROGRESS_INTERVAL_MS) return;
+    lastEmit = now;
+    const percent = totalBytes ? Math.min(100, Math.round((bytes / totalBytes) * 1000) / 10) : null;
+    updateJob(id, { bytes, totalBytes: totalBytes || null, percent });
+  };
+
+  updateJob(id, { state: 'running' });
+  Promise.resolve()
+    .then(() => work(onProgress, controller.signal))
+    .then((result) => {
+      const bytes = result?.size ?? jobs.get(id)?.bytes ?? 0;
+      updateJob(id, { state: 'completed', bytes, totalBytes: bytes, percent: 100, result });
+    })
+    .catch((err) => {
+      if (controller.signal.aborted) {
+        console.log(`[jobs] ${id} cancelled`);
+        updateJob(id, { state: 'cancelled', error: null });
+        return;
+      }
+      console.error(`[jobs] ${id} failed:`, err?.message || err);
+      updateJob(id, { state: 'failed', error: err?.message || String(err), errorCode: errors.classify(err) || 'internal' });
+    })
+    .finally(() => controllers.delete(id));
+}
+
+// Abort a running job. The job turns "cancelled" once its work has stopped. Returns false when
+// there is nothing to cancel.
+function cancelJob(id) {
+  const controller = controllers.get(id);
+  if (!controller) return false;
+  controller.abort();
+  return true;
+}
+
+module.exports = { createJob, getJob, updateJob, subscribe, runJob, cancelJob, isFinished };
@@ -0,0 +1,176 @@
+// library.js
+// The files saved in DOWNLOADS_DIR as a searchable media library. Every save writes a sidecar record to
+// <DOWNLOADS_DIR>/.library/<filename>.json (video id, title, author, duration, format, source URL,
+// extractor...), and the records double as a download archive: a video already saved is found by its
+// id (like yt-dlp's --download-archive) so it can be skipped or linked instead of downloaded again.
+//
+// Files saved before sidecars existed are listed with what their name and stats tell. Sidecars whose
+// file is gone (the janitor expired it, it was deleted) are removed when the library is next read.
+
+const path = require("path");
+const fs = require("fs").promises;
+const janitor = require("./janitor");
+const sites = require("./shared/sites");
+
+const SIDECAR_DIR = '.library';
+const PAGE_SIZE_DEFAULT = 50;
+const PAGE_SIZE_MAX = 200;
+
+const SORT_FIELDS = {
+  savedAt: (item) => item.savedAt,
+  title: (item) => (item.title || item.filename).toLowerCase(),
+  author: (item) => (item.author || '').toLowerCase(),
+  size: (item) => item.size,
+  duration: (item) => item.durationSeconds ?? -1
+};
+
+function sidecarPath(dir, filename) {
+  return path.join(dir, SIDECAR_DIR, `${filename}.json`);
+}
+
+// "<site>:<id>" for a URL shared/sites.js understands, else null
+function archiveKey(url) {
+  const video = sites.parseVideoUrl(url);
+  return video.ok ? `${video.site}:${video.id}` : null;
+}
+
+// Write `filename`'s sidecar. `info` is the extractor's video info, `download` its downloadToFile result.
+async function record(dir, filename, { url, extractor, info = {}, download = {}, duplicateOf = null }) {
+  const video = sites.parseVideoUrl(url);
+  const entry = {
+    filename,
+    archiveKey: archiveKey(url),
+    site: video.ok ? video.site : null,
+    videoId: video.ok ? video.id : null,
+    title: info.title || download.title || null,
+    author: info.author || null,
+    durationSeconds: info.lengthSeconds != null ? Number(info.lengthSeconds) : null,
+    uploadDate: info.uploadDate || null,
+    thumbnail: info.thumbnail || null,
+    format: download.format || null,
+    sourceUrl: url,
+    canonicalUrl: video.ok ? video.url : null,
+    extractor: extractor || null,
+    duplicateOf,
+    savedAt: new Date().toISOString()
+  };
+  await fs.mkdir(path.join(dir, SIDECAR_DIR), { recursive: true });
+  await fs.writeFile(sidecarPath(dir, filename), JSON.stringify(entry, null, 2), 'utf8');
+  return entry;
+}
+
+async function readSidecar(dir, filename) {
+  try {
+    return JSON.parse(await fs.readFile(sidecarPath(dir, filename), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[library] unreadable sidecar for ${filename}:`, err.message);
+    return null;
+  }
+}
+
+// Every saved file with its record, newest first
+async function list(dir) {
+  const files = await janitor.listSaved(dir);
+  const known = new Set(files.map((f) => f.name));
+  const sidecars = await fs.readdir(path.join(dir, SIDECAR_DIR)).catch(() => []);
+  await Promise.all(sidecars
+    .filter((name) => name.endsWith('.json') && !known.has(name.slice(0, -5)))
+    .map((name) => fs.unlink(path.join(dir, SIDECAR_DIR, name)).catch(() => {})));
+
+  const items = await Promise.all(files.map(async ({ name, stats }) => {
+    const entry = await readSidecar(dir, name);
+    return {
+      archiveKey: null,
+      site: null,
+      videoId: null,
+      title: null,
+      author: null,
+      durationSeconds: null,
+      format: null,
+      sourceUrl: null,
+      extractor: null,
+      duplicateOf: null,
+      ...entry,
+      filename: name,
+      ext: path.extname(name).slice(1).toLowerCase(),
+      size: stats.size,
+      created: stats.birthtime,
+      savedAt: entry?.savedAt || stats.mtime.toISOString(),
+      expiresAt: janitor.expiresAt(stats),
+      downloadUrl: `/downloads/${encodeURIComponent(name)}`
+    };
+  }));
+  return items.sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+}
+
+// The newest saved copy of `url`'s video, or null
+async function findArchived(dir, url) {
+  const key = archiveKey(url);
+  if (!key) return null;
+  return (await list(dir)).find((item) => item.archiveKey === key) || null;
+}
+
+// Save `archived` (a list() item) again as `filename` without downloading it: a hard link to the same
+// data where the filesystem allows, else a copy. The new record points back with `duplicateOf`.
+async function link(dir, archived, filename) {
+  const src = path.join(dir, archived.filename);
+  const dest = path.join(dir, filename);
+  try {
+    await fs.link(src, dest);
+  } catch (err) {
+    if (!['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP'].includes(err.code)) throw err;
+    await fs.copyFile(src, dest);
+  }
+  const { ext, size, created, expiresAt, downloadUrl, ...entry } = archived;
+  const linked = { ...entry, filename, duplicateOf: archived.filename, savedAt: new Date().toISOString() };
+  await fs.mkdir(path.join(dir, SIDECAR_DIR), { recursive: true });
+  await fs.writeFile(sidecarPath(dir, filename), JSON.stringify(linked, null, 2), 'utf8');
+  return linked;
+}
+
+// Remove `filename`'s sidecar (the file itself is the caller's)
+function forget(dir, filename) {
+  return fs.unlink(sidecarPath(dir, filename)).catch(() => {});
+}
+
+// Filter, sort and paginate list(dir) by the listing endpoint's query:
+//   q          words that must all appear in the title, author, filename or source URL
+//   site, author, extractor, ext     exact matches (case-insensitive)
+//   from, to   savedAt range (anything Date parses)
+//   sort       savedAt (default), title, author, size or duration; "-" in front for descending (default -savedAt)
+//   page, pageSize   1-based page, PAGE_SIZE_DEFAULT per page (at most PAGE_SIZE_MAX)
+// Throws with a user-facing message on bad input.
+async function query(dir, params = {}) {
+  const sort = String(params.sort || '-savedAt');
+  const field = sort.replace(/^-/, '');
+  if (!SORT_FIELDS[field]) throw new Error(`Unsupported sort: ${sort} (use ${Object.keys(SORT_FIELDS).join(', ')})`);
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const pageSize = Math.min(PAGE_SIZE_MAX, Math.max(1, parseInt(params.pageSize, 10) || PAGE_SIZE_DEFAULT));
+  const from = params.from ? new Date(params.from) : null;
+  const to = params.to ? new Date(params.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) throw new Error('from and to must be dates');
+
+  const words = String(params.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const exact = ['site', 'author', 'extractor', 'ext'].filter((k) => params[k]).map((k) => [k, String(params[k]).toLowerCase()]);
+  const matches = (item) => {
+    const text = [item.title, item.author, item.filename, item.sourceUrl].filter(Boolean).join(' ').toLowerCase();
+    return words.every((w) => text.includes(w))
+      && exact.every(([k, v]) => String(item[k] || '').toLowerCase() === v)
+      && (!from || new Date(item.savedAt) >= from)
+      && (!to || new Date(item.savedAt) <= to);
+  };
+
+  const key = SORT_FIELDS[field];
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const items = (await list(dir)).filter(matches)
+    .sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0) * direction);
+  return {
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    total: items.length,
+    page,
+    pageSize,
+    pages: Math.ceil(items.length / pageSize)
+  };
+}
+
+module.exports = { SORT_FIELDS, archiveKey, record, list, findArchived, link, forget, query };
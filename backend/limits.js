@@ -0,0 +1,133 @@
+// limits.js
+// Keeps bursts of requests from overwhelming a small instance: a token bucket per client on the routes
+// that start extractors, and a global cap on extractor runs (each may be a yt-dlp process) with a
+// bounded queue in front of it. Both answer 429 with Retry-After when they turn a request away.
+//
+//   RATE_LIMIT_PER_MINUTE          tokens a client gets back per minute, 0 disables rate limiting (default 30)
+//   RATE_LIMIT_BURST               bucket size, i.e. requests a client may fire at once (default 10)
+//   EXTRACTOR_CONCURRENCY          extractor runs at once, 0 for no cap (default 2)
+//   EXTRACTOR_QUEUE_MAX            runs that may wait for a slot; beyond that requests are turned away (default 20)
+//   EXTRACTOR_QUEUE_TIMEOUT_MS     how long a run waits for a slot before giving up (default 60 seconds)
+//
+// Behind a proxy (Render, Fly) set TRUST_PROXY so clients are told apart by their own IP.
+
+const errors = require("./errors");
+
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE ?? 30);
+const RATE_LIMIT_BURST = Number(process.env.RATE_LIMIT_BURST || 10);
+const EXTRACTOR_CONCURRENCY = Number(process.env.EXTRACTOR_CONCURRENCY ?? 2);
+const EXTRACTOR_QUEUE_MAX = Number(process.env.EXTRACTOR_QUEUE_MAX ?? 20);
+const EXTRACTOR_QUEUE_TIMEOUT_MS = Number(process.env.EXTRACTOR_QUEUE_TIMEOUT_MS || 60 * 1000);
+
+// How soon a turned-away run should retry when the queue gives no better estimate
+const BUSY_RETRY_AFTER_S = 10;
+
+// --- per-client token buckets ---
+
+const buckets = new Map(); // client key -> { tokens, updated }
+const refillPerMs = RATE_LIMIT_PER_MINUTE / 60000;
+
+// The API key's id when the request was authenticated with one, else the client IP
+function clientKey(req) {
+  return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+// Take a token from `key`'s bucket. Returns 0 when one was available, else the seconds until one is.
+function take(key) {
+  const now = Date.now();
+  const bucket = buckets.get(key) || { tokens: RATE_LIMIT_BURST, updated: now };
+  bucket.tokens = Math.min(RATE_LIMIT_BURST, bucket.tokens + (now - bucket.updated) * refillPerMs);
+  bucket.updated = now;
+  buckets.set(key, bucket);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+}
+
+// Buckets that have filled up again are the same as no bucket
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    if (bucket.tokens + (now - bucket.updated) * refillPerMs >= RATE_LIMIT_BURST) buckets.delete(key);
+  }
+}, 60 * 1000).unref();
+
+// Middleware for routes that start extractors
+function rateLimit(req, res, next) {
+  if (!RATE_LIMIT_PER_MINUTE) return next();
+  const retryAfter = take(clientKey(req));
+  if (!retryAfter) return next();
+  errors.sendError(res, errors.createError('too-many-requests', undefined, { retryAfter }));
+}
+
+// --- extractor slots ---
+
+let active = 0;
+const queue = []; // { grant, fail } waiting for a slot, oldest first
+
+function slotReleaser() {
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const next = queue.shift();
+    if (next) next.grant();
+    else active--;
+  };
+}
+
+// Wait for an extractor slot; resolves to its release function (safe to call more than once).
+// Rejects with "server-busy" when the queue is full or the wait times out, and with `signal`'s
+// reason when it aborts first.
+function acquire(signal) {
+  if (!EXTRACTOR_CONCURRENCY) return Promise.resolve(() => {});
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  if (active < EXTRACTOR_CONCURRENCY) {
+    active++;
+    return Promise.resolve(slotReleaser());
+  }
+  if (queue.length >= EXTRACTOR_QUEUE_MAX) {
+    return Promise.reject(errors.createError('server-busy', undefined, { retryAfter: BUSY_RETRY_AFTER_S }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      // the releasing run hands its slot over, so `active` stays the same
+      grant: () => {
+        cleanup();
+        resolve(slotReleaser());
+      },
+      fail: (err) => {
+        cleanup();
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(err);
+      }
+    };
+    const onAbort = () => waiter.fail(signal.reason);
+    const timer = setTimeout(() => waiter.fail(errors.createError('server-busy', undefined, { retryAfter: BUSY_RETRY_AFTER_S })), EXTRACTOR_QUEUE_TIMEOUT_MS);
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    queue.push(waiter);
+  });
+}
+
+// Current limits and usage, for /health
+function describe() {
+  return {
+    rateLimit: { perMinute: RATE_LIMIT_PER_MINUTE, burst: RATE_LIMIT_BURST, clients: buckets.size },
+    extractors: {
+      concurrency: EXTRACTOR_CONCURRENCY,
+      active,
+      queued: queue.length,
+      queueMax: EXTRACTOR_QUEUE_MAX,
+      queueTimeoutMs: EXTRACTOR_QUEUE_TIMEOUT_MS
+    }
+  };
+}
+
+module.exports = { rateLimit, acquire, describe, clientKey };
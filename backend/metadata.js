@@ -0,0 +1,50 @@
+// metadata.js
+// Opt-in tagging of downloaded files: title, channel, upload date, description and source URL
+// as MP4 atoms / ID3 frames, plus the video thumbnail as cover art.
+
+const fs = require("fs").promises;
+const ffmpeg = require("./ffmpeg");
+
+// "20240131", "2024-01-31" or an ISO timestamp -> "2024-01-31"
+function normalizeDate(value) {
+  if (!value) return null;
+  const str = String(value);
+  const compact = /^(\d{4})(\d{2})(\d{2})$/.exec(str);
+  if (compact) return `${compact[1]}-${compact[2]}-${compact[3]}`;
+  const iso = /^(\d{4}-\d{2}-\d{2})/.exec(str);
+  return iso ? iso[1] : null;
+}
+
+function buildTags(info, url) {
+  return {
+    title: info.title || null,
+    artist: info.author || null,
+    album_artist: info.author || null,
+    date: normalizeDate(info.uploadDate),
+    description: info.description || null,
+    comment: url ? `Source: ${url}` : null
+  };
+}
+
+// Download the thumbnail as JPEG next to `output`; cover art is best-effort so failures return null
+async function prepareCover(thumbnailUrl, output) {
+  if (!thumbnailUrl || !/^https?:\/\//i.test(thumbnailUrl)) return null;
+  try {
+    return await ffmpeg.toJpeg(thumbnailUrl, `${output}.cover.jpg`);
+  } catch (err) {
+    console.warn('[metadata] could not fetch cover art:', err?.message || err);
+    return null;
+  }
+}
+
+// Write a tagged copy of `inputPath` to `output` (its extension picks the container)
+async function embed(inputPath, output, { info = {}, url, audioOnly = false, signal } = {}) {
+  const coverPath = await prepareCover(info.thumbnail, output);
+  try {
+    return await ffmpeg.tagFile(inputPath, output, { tags: buildTags(info, url), coverPath, audioOnly, signal });
+  } finally {
+    if (coverPath) fs.unlink(coverPath).catch(() => {});
+  }
+}
+
+module.exports = { normalizeDate, buildTags, embed };
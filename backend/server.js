@@ -1,21 +1,39 @@
 // server.js (updated)
 // Serves a production frontend build (./dist) at / and provides API endpoints.
 // If creating the downloads directory fails due to permissions, fall back to os.tmpdir().
+// Request and response types for clients are in shared/api.d.ts; keep them in step with the routes.
 
 const express = require("express");
 const cors = require("cors");
-const play = require("play-dl");
-const { spawn } = require("child_process");
 const path = require("path");
 const fs = require("fs").promises;
 const fsSync = require("fs");
-const { createWriteStream } = require("fs");
 const sanitize = require("sanitize-filename");
 const os = require("os");
+const extractors = require("./extractors");
+const jobs = require("./jobs");
+const batch = require("./batch");
+const ffmpeg = require("./ffmpeg");
+const metadata = require("./metadata");
+const captions = require("./captions");
+const thumbnails = require("./thumbnails");
+const formats = require("./formats");
+const cache = require("./cache");
+const janitor = require("./janitor");
+const staging = require("./staging");
+const errors = require("./errors");
+const sites = require("./sites");
+const limits = require("./limits");
+const auth = require("./auth");
+const library = require("./library");
 
 const app = express();
 const PORT = Number(process.env.PORT || process.env.SERVER_PORT || 3000);
 
+// TRUST_PROXY: Express's "trust proxy" setting ("1" on Render/Fly: one proxy hop), so req.ip is the client's
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) app.set("trust proxy", TRUST_PROXY === "true" ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 // Allow overriding downloads location (useful in Render env)
 let DOWNLOADS_DIR = process.env.DOWNLOADS_DIR || path.join(__dirname, "downloads");
 
@@ -45,11 +63,13 @@ async function ensureDownloadsDir() {
 
 // Express middleware
 app.use(cors({
-  origin: true,
+  origin: auth.corsOrigin(),
   methods: ["GET", "POST", "DELETE"],
-  allowedHeaders: ["Content-Type"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "Range", "If-Range"],
+  exposedHeaders: ["Content-Disposition", "Content-Length", "Content-Range", "Accept-Ranges", "X-Extractor", "X-Format", "X-Format-Fallback", "X-Cache", "X-Resume-Token", "X-Resume-Url", "X-Resume-Expires", "Retry-After"]
 }));
 app.use(express.json());
+app.use(["/api", "/downloads"], auth.authenticate);
 
 // Serve static frontend from dist if it exists (production build)
 // Try both ./dist (when built inside backend) and ../dist (when built at repo root)
@@ -84,379 +104,654 @@ if (DIST_DIR) {
 
 // Health check
 app.get("/health", (req, res) => {
-  res.json({ status: "ok", message: "Swift Shorts Downloader API is running", downloads: DOWNLOADS_DIR });
+  res.json({
+    status: "ok",
+    message: "Swift Shorts Downloader API is running",
+    downloads: DOWNLOADS_DIR,
+    extractors: extractors.describeExtractors(),
+    sites: Object.keys(sites.SITES),
+    limits: limits.describe(),
+    auth: auth.describe()
+  });
 });
 
-// Basic YouTube URL validation (shorts or watch)
-function isValidYouTubeUrl(url) {
-  if (!url || typeof url !== 'string') return false;
-  const patterns = [
-    /^(https?:\/\/)?(www\.)?(youtube\.com\/shorts\/|youtu\.be\/)/i,
-    /^(https?:\/\/)?(www\.)?youtube\.com\/watch\?v=/i
-  ];
-  return patterns.some((p) => p.test(url));
+// 400 for a URL shared/sites.js rejected, with its reason ("playlist", "unsupported-site", ...)
+function rejectUrl(res, video) {
+  return res.status(400).json({ error: video.message, code: "invalid-url", reason: video.reason });
 }
 
-// --- /api/video-info ---
-let ytdl;
-try { ytdl = require('ytdl-core'); } catch (e) { ytdl = null; }
+// Build "<title>-<timestamp>.<ext>", falling back to "<prefix>-<timestamp>.<ext>" when the title is unknown
+function buildFilename(title, prefix, ext) {
+  const safe = title ? sanitize(title) : '';
+  return `${safe || prefix}-${Date.now()}.${ext}`;
+}
+
+// X-Format: the source format the extractor delivered; X-Format-Fallback: selector fields it couldn't honor;
+// X-Cache: HIT when the source came from the download cache
+function setFormatHeaders(res, delivered) {
+  if (!delivered || res.headersSent) return;
+  const header = formats.formatHeader(delivered.format);
+  if (header) res.setHeader("X-Format", header);
+  if (delivered.unmet && delivered.unmet.length) res.setHeader("X-Format-Fallback", delivered.unmet.join(", "));
+  res.setHeader("X-Cache", delivered.cached ? "HIT" : "MISS");
+}
+
+// X-Resume-Url: where a staged file can be fetched again, with Range, until X-Resume-Expires
+function setResumeHeaders(res, entry) {
+  if (res.headersSent) return;
+  res.setHeader("X-Resume-Token", entry.token);
+  res.setHeader("X-Resume-Url", `/api/resume/${entry.token}`);
+  res.setHeader("X-Resume-Expires", entry.expiresAt);
+}
+
+// An AbortSignal for the work behind a response: it fires when the client goes away before the
+// response is complete, so extractors, yt-dlp and ffmpeg stop instead of working for nobody
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
 
-app.post("/api/video-info", async (req, res) => {
+// Clients hanging up is routine; anything else is logged in full
+function logFailure(tag, what, err) {
+  if (err?.name === 'AbortError') console.log(`[${tag}] cancelled by the client`);
+  else console.error(`[${tag}] ${what}:`, err);
+}
+
+// Send an extractor stream as an attachment. `delivered` is the extractor result when `opened` is
+// a post-processed stream. The stream is destroyed if the client hangs up, and a stream that fails
+// midway cuts the response off rather than leaving it to look complete.
+function sendStream(res, tag, extractor, opened, { filename, contentType, delivered = opened }) {
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("X-Extractor", extractor);
+  setFormatHeaders(res, delivered);
+  opened.stream.on("error", (e) => {
+    if (e?.name !== 'AbortError') console.error(`[${tag}] ${extractor} stream error:`, e);
+    res.destroy();
+  });
+  res.on("close", () => {
+    if (!res.writableFinished) opened.stream.destroy();
+  });
+  opened.stream.pipe(res);
+}
+
+// Send a finished file with Content-Length; `onDone` runs once it has been read (or failed). The size is
+// taken from the opened file, so it matches what is read even if the path is replaced or removed meanwhile.
+function sendFile(res, filepath, { filename, contentType, extractor, delivered = null, onDone = () => {} }) {
+  const fd = fsSync.openSync(filepath, 'r');
+  let stat;
   try {
-    const { url } = req.body || {};
-    if (!url) return res.status(400).json({ error: "URL is required" });
-    if (!isValidYouTubeUrl(url)) return res.status(400).json({ error: "Invalid YouTube URL" });
+    stat = fsSync.fstatSync(fd);
+  } catch (err) {
+    fsSync.closeSync(fd);
+    throw err;
+  }
+  if (!res.headersSent) {
+    res.setHeader('Content-Length', stat.size);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('X-Extractor', extractor);
+    setFormatHeaders(res, delivered);
+  }
+
+  const rs = fsSync.createReadStream(filepath, { fd });
+  rs.pipe(res);
+  // a client that hangs up once it has Content-Length bytes would otherwise leave rs paused and never closed
+  res.on('close', () => rs.destroy());
+  rs.on('close', () => setTimeout(onDone, 2000));
+  rs.on('error', (e) => {
+    console.error('[sendFile] read error:', e?.message || e);
+    // pipe() leaves res open; cut it short, or answer with the error while nothing has gone out yet
+    if (res.headersSent) res.destroy(e);
+    else {
+      ['Content-Length', 'Content-Disposition', 'Content-Type'].forEach((h) => res.removeHeader(h));
+      errors.sendError(res, e, "Failed to read the file");
+    }
+    onDone();
+  });
+}
 
-    let title = null, author = null, lengthSeconds = null, viewCount = null, thumbnail = null, description = null, uploadDate = null;
-    let formats = [];
+// Download to a tmp file via the first extractor that manages it, then stream the file and remove it
+async function sendViaTmpFile(res, tag, url, { prefix, contentType, ...opts }) {
+  const { extractor, result } = await cache.downloadToFile(url, { ...opts, dir: os.tmpdir(), basename: `${prefix}-${Date.now()}` }, tag);
+  const downloaded = result.filepath;
+  sendFile(res, downloaded, {
+    filename: path.basename(downloaded),
+    contentType: result.container === 'webm' ? `${contentType.split('/')[0]}/webm` : contentType,
+    extractor,
+    delivered: result,
+    onDone: () => fsSync.unlink(downloaded, () => {})
+  });
+}
 
-    if (ytdl) {
-      try {
-        const yi = await ytdl.getInfo(url);
-        title = yi.videoDetails?.title || null;
-        author = yi.videoDetails?.author?.name || null;
-        lengthSeconds = String(yi.videoDetails?.lengthSeconds || "");
-        viewCount = String(yi.videoDetails?.viewCount || "");
-        thumbnail = yi.videoDetails?.thumbnail?.thumbnails?.slice(-1)[0]?.url || null;
-        description = yi.videoDetails?.shortDescription || null;
-        uploadDate = yi.videoDetails?.uploadDate || null;
-
-        formats = (yi.formats || []).map((f) => ({
-          quality: f.qualityLabel || (f.audioBitrate ? `${f.audioBitrate} kbps` : null) || null,
-          container: f.container || (f.mimeType ? String(f.mimeType).split(';')[0].split('/').pop() : null) || null,
-          hasAudio: !!f.audioBitrate || /audio/i.test(String(f.mimeType)),
-          hasVideo: !!f.qualityLabel || !!f.width || /video/i.test(String(f.mimeType)),
-          itag: f.itag || null
-        }));
-      } catch (err) {
-        console.warn('[video-info] ytdl-core failed:', err?.message || err);
-      }
+// Download the source to a tmp dir, cut [start, end) with ffmpeg and stream the clip
+async function sendClip(res, tag, url, { prefix, start, end, signal, ...opts }) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), `${prefix}-clip-`));
+  const cleanup = () => fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  try {
+    const { extractor, result } = await cache.downloadToFile(url, { ...opts, signal, dir: tmpDir, basename: 'source' }, tag);
+    const clip = await ffmpeg.clip(result.filepath, { start, end, signal });
+    clip.child.on('close', cleanup);
+    sendStream(res, tag, extractor, clip, { filename: buildFilename(result.title, prefix, clip.container), contentType: clip.contentType, delivered: result });
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+}
+
+// Transcode the best audio an extractor offers to `format`/`bitrate`. Streams straight into ffmpeg
+// when possible; clips, and extractors that can't stream, go through a tmp file instead.
+async function sendAudio(res, tag, url, { selector, format, bitrate, start, end, signal }) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-'));
+  const cleanup = () => fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  let input = null;
+  try {
+    let source = null;
+    if (start == null && end == null) {
+      source = await extractors.openStream(url, { selector, audioOnly: true, signal }, tag).catch((err) => {
+        if (err?.name === 'AbortError' || errors.isFinal(err)) throw err;
+        console.warn(`[${tag}] no extractor could stream:`, err?.message || err);
+        return null;
+      });
+    }
+    input = source && source.result.stream;
+    if (!source) {
+      source = await cache.downloadToFile(url, { selector, audioOnly: true, signal, dir: tmpDir, basename: 'source' }, tag);
+      input = source.result.filepath;
     }
 
-    if ((!formats || formats.length === 0)) {
-      try {
-        const info = await play.video_info(url);
-        const video = info.video_details || {};
-        title = title || video.title || null;
-        author = author || video.channel?.name || null;
-        lengthSeconds = lengthSeconds || (video.durationInSec ? String(video.durationInSec) : null);
-        viewCount = viewCount || (video.views ? String(video.views) : null);
-        thumbnail = thumbnail || video.thumbnails?.[video.thumbnails.length - 1]?.url || null;
-        description = description || video.description || null;
-        uploadDate = uploadDate || video.uploadDate || null;
-
-        formats = (info.formats || []).map((f) => ({
-          quality: f.qualityLabel || f.quality || null,
-          container: f.container || null,
-          hasAudio: typeof f.hasAudio === 'boolean' ? f.hasAudio : (f.audioBitrate != null),
-          hasVideo: typeof f.hasVideo === 'boolean' ? f.hasVideo : (f.qualityLabel != null || f.fps != null),
-          itag: f.itag || null
-        }));
-      } catch (err2) {
-        console.warn('[video-info] play.video_info failed:', err2?.message || err2);
-      }
+    const audio = await ffmpeg.transcodeAudio(input, { format, bitrate, start, end, signal });
+    audio.child.on('close', cleanup);
+    sendStream(res, tag, source.extractor, audio, { filename: buildFilename(source.result.title, 'audio', audio.container), contentType: audio.contentType, delivered: source.result });
+  } catch (err) {
+    if (input && typeof input !== 'string') input.destroy();
+    cleanup();
+    throw err;
+  }
+}
+
+// Downloads that need post-processing work on files throughout: download (fetching info in parallel
+// when tagging), clip or transcode if asked, mux a caption track, embed metadata, then send the result.
+// `resumable` stages the result instead of removing it once sent, see setResumeHeaders.
+async function sendProcessed(res, tag, url, { prefix, selector, audio = null, range = null, embedMetadata = false, captionLang = null, resumable = false, signal }) {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), `${prefix}-processed-`));
+  const cleanup = () => fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  try {
+    const audioOnly = !!audio;
+    const [{ extractor, result }, info] = await Promise.all([
+      cache.downloadToFile(url, { selector, audioOnly, signal, dir: tmpDir, basename: 'source' }, tag),
+      embedMetadata ? cache.getInfo(url, tag).then((r) => r.result).catch(() => ({})) : {}
+    ]);
+
+    let processed = { filepath: result.filepath, container: 'mp4', contentType: 'video/mp4' };
+    if (audio) processed = await ffmpeg.transcodeAudio(result.filepath, { ...audio, ...(range || {}), signal, output: path.join(tmpDir, `audio.${audio.format}`) });
+    else if (range) processed = await ffmpeg.clip(result.filepath, { ...range, signal, output: path.join(tmpDir, 'clip.mp4') });
+
+    if (captionLang && !audioOnly) {
+      const { cues } = await captions.fetchCues(url, { lang: captionLang }, tag);
+      const srtPath = path.join(tmpDir, 'captions.srt');
+      await fs.writeFile(srtPath, captions.toSrt(range ? captions.shiftCues(cues, range) : cues), 'utf8');
+      const muxed = await ffmpeg.muxSubtitles(processed.filepath, srtPath, path.join(tmpDir, 'subtitled.mp4'), { lang: captionLang, signal });
+      processed = { ...processed, filepath: muxed };
     }
 
-    // yt-dlp fallback (if available) - spawn yt-dlp -J
-    if ((!formats || formats.length === 0)) {
-      try {
-        const child = spawn('yt-dlp', ['-J', url], { stdio: ['ignore', 'pipe', 'pipe'] });
-        let out = '', errOut = '';
-        child.stdout.on('data', (c) => out += c.toString());
-        child.stderr.on('data', (c) => errOut += c.toString());
-        const exitCode = await new Promise((resolve, reject) => {
-          child.on('error', reject);
-          child.on('close', (code) => resolve(code));
-        });
-        if (exitCode === 0 && out) {
-          try {
-            const parsed = JSON.parse(out);
-            const yformats = parsed.formats || [];
-            formats = yformats.map((f) => ({
-              quality: f.format_note || f.qualityLabel || (f.abr ? `${f.abr} kbps` : null) || null,
-              container: f.ext || (f.format ? String(f.format).split(' ')[0] : null) || null,
-              hasAudio: !!(f.acodec && f.acodec !== 'none') || !!f.abr,
-              hasVideo: !!(f.vcodec && f.vcodec !== 'none') || !!f.width,
-              itag: f.format_id || f.itag || null
-            }));
-          } catch (parseErr) {
-            console.warn('[video-info] failed to parse yt-dlp JSON:', parseErr?.message || parseErr);
-          }
-        } else {
-          console.warn('[video-info] yt-dlp -J failed:', exitCode, errOut.slice(0,200));
-        }
-      } catch (e) {
-        console.warn('[video-info] yt-dlp fallback error:', e?.message || e);
-      }
+    const title = info.title || result.title;
+    if (embedMetadata) {
+      const tagged = await metadata.embed(processed.filepath, path.join(tmpDir, `tagged.${processed.container}`), { info: { ...info, title }, url, audioOnly, signal });
+      processed = { ...processed, filepath: tagged };
+    }
+    const filename = buildFilename(title, prefix, processed.container);
+    const entry = resumable ? await staging.stage(processed.filepath, { filename, contentType: processed.contentType }) : null;
+    if (entry) {
+      cleanup();
+      setResumeHeaders(res, entry);
+      sendFile(res, entry.filepath, { filename, contentType: processed.contentType, extractor, delivered: result });
+      return;
+    }
+    sendFile(res, processed.filepath, { filename, contentType: processed.contentType, extractor, delivered: result, onDone: cleanup });
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+}
+
+// --- /api/video-info ---
+app.post("/api/video-info", auth.requireScope("read-info"), limits.rateLimit, async (req, res) => {
+  try {
+    const { url: input } = req.body || {};
+    if (!input) return res.status(400).json({ error: "URL is required", code: "invalid-request" });
+    const video = sites.parseVideoUrl(input);
+    if (!video.ok) return rejectUrl(res, video);
+    const { url } = video;
+
+    let info = {}, extractor = null;
+    try {
+      ({ extractor, result: info } = await cache.getInfo(url, 'video-info'));
+    } catch (err) {
+      console.warn('[video-info] all extractors failed:', err?.message || err);
+      // a reason the download can't succeed either is reported; otherwise the client may still try
+      if (errors.classify(err) !== 'extractor-failed') return errors.sendError(res, err, "Failed to fetch video info");
     }
 
     res.json({
-      title: title || 'Unknown title',
-      author,
-      lengthSeconds,
-      viewCount,
-      thumbnail: thumbnail || null,
-      description,
-      uploadDate,
-      formats
+      title: info.title || 'Unknown title',
+      author: info.author || null,
+      lengthSeconds: info.lengthSeconds || null,
+      viewCount: info.viewCount || null,
+      thumbnail: info.thumbnail || null,
+      thumbnails: info.thumbnails || [],
+      description: info.description || null,
+      uploadDate: info.uploadDate || null,
+      formats: info.formats || [],
+      captions: info.captions || [],
+      site: video.site,
+      extractor
     });
   } catch (err) {
     console.error("[video-info] unexpected error:", err);
-    res.status(500).json({ error: "Failed to fetch video info", message: err.message });
+    errors.sendError(res, err, "Failed to fetch video info");
   }
 });
 
 // --- /api/download ---
-// Try play-dl stream first, then yt-dlp fallback streaming to stdout , then file-download fallback
-app.post("/api/download", async (req, res) => {
+// Serve from the download cache when possible, else stream from the first extractor that can open one
+// (copying it into the cache on the way), else download to a tmp file and stream that.
+// With start/end (or a t= in the URL) the video is cut server-side instead; embedMetadata tags the file
+// and captions: "<lang>" adds that caption track as a soft subtitle. resumable: true always goes through
+// a file, which stays available for /api/resume after it's sent.
+app.post("/api/download", auth.requireScope("download"), limits.rateLimit, async (req, res) => {
   try {
-    const { url, quality } = req.body || {};
-    if (!url) return res.status(400).json({ error: "URL is required" });
-    if (!isValidYouTubeUrl(url)) return res.status(400).json({ error: "Invalid YouTube URL" });
+    const { url: input, quality, start, end, embedMetadata, captions: captionLang, resumable } = req.body || {};
+    if (!input) return res.status(400).json({ error: "URL is required", code: "invalid-request" });
+    const video = sites.parseVideoUrl(input);
+    if (!video.ok) return rejectUrl(res, video);
+    const { url } = video;
 
-    // Try play-dl stream
+    let range, selector;
     try {
-      const info = await play.video_info(url).catch(() => null);
-      const title = info && info.video_details ? sanitize(info.video_details.title) : `video-${Date.now()}`;
-      const filename = `${title}-${Date.now()}.mp4`;
-
-      // set headers early
-      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-      res.setHeader("Content-Type", "video/mp4");
-
-      let streamInfo;
-      if (quality && !isNaN(Number(quality))) {
-        streamInfo = await play.stream(url, { quality: Number(quality) }).catch(e => null);
-      } else {
-        streamInfo = await play.stream(url).catch(e => null);
-      }
-
-      if (streamInfo && streamInfo.stream) {
-        streamInfo.stream.on("error", (e) => console.error("[download] play stream error:", e));
-        streamInfo.stream.pipe(res);
-        return;
+      range = ffmpeg.resolveClipRange({ url: input, start, end });
+      selector = formats.parseSelector(quality);
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: "invalid-request" });
+    }
+    const signal = abortOnClose(res);
+    if (embedMetadata || captionLang || resumable) {
+      try {
+        return await sendProcessed(res, 'download', url, { prefix: 'video', selector, range, embedMetadata: !!embedMetadata, captionLang: captionLang || null, resumable: !!resumable, signal });
+      } catch (processErr) {
+        logFailure('download', 'processed download failed', processErr);
+        return errors.sendError(res, processErr, "Failed to download video");
       }
-    } catch (playErr) {
-      console.warn("[download] play-dl overall error:", playErr?.message || playErr);
     }
-
-    // Fallback: stream via yt-dlp stdout (merged)
-    try {
-      const ytdlpCmd = "yt-dlp";
-      const ytdlpArgs = ['--no-playlist', '-f', 'bestvideo+bestaudio/best', '-o', '-', url];
-      const child = spawn(ytdlpCmd, ytdlpArgs, { stdio: ['ignore', 'pipe', 'pipe'] });
-
-      child.on('error', (err) => {
-        console.error("[download] yt-dlp spawn error:", err);
-        if (!res.headersSent) {
-          res.status(500).json({
-            error: "yt-dlp not found or failed to spawn",
-            message: err.message
-          });
-        }
-      });
-
-      const fallbackFilename = `video-${Date.now()}.mp4`;
-      if (!res.headersSent) {
-        res.setHeader("Content-Disposition", `attachment; filename="${fallbackFilename}"`);
-        res.setHeader("Content-Type", "video/mp4");
+    if (range) {
+      try {
+        return await sendClip(res, 'download', url, { selector, ...range, prefix: 'video', signal });
+      } catch (clipErr) {
+        logFailure('download', 'clip failed', clipErr);
+        return errors.sendError(res, clipErr, "Failed to clip video");
       }
+    }
 
-      child.stdout.pipe(res);
-      child.stderr.on('data', (c) => console.log("[yt-dlp stderr]", String(c).slice(0,200)));
-      child.on('close', (code) => console.log("[download] yt-dlp closed with code", code));
+    const cached = await cache.lookup(url, { selector });
+    if (cached) {
+      const container = cached.result.container === 'webm' ? 'webm' : 'mp4';
+      sendFile(res, cached.result.filepath, { filename: buildFilename(cached.result.title, 'video', container), contentType: `video/${container}`, extractor: cached.extractor, delivered: cached.result });
       return;
-    } catch (ytdlpErr) {
-      console.warn("[download] yt-dlp streaming fallback failed:", ytdlpErr?.message || ytdlpErr);
     }
 
-    // Final fallback: download to tmp file then stream it
     try {
-      const tmpDir = os.tmpdir();
-      const tmpFilename = `video-${Date.now()}.%(ext)s`;
-      const tmpPattern = path.join(tmpDir, tmpFilename);
-      const child = spawn('yt-dlp', ['--no-playlist', '-f', 'bestvideo+bestaudio/best', '-o', tmpPattern, url], { stdio: ['ignore', 'pipe', 'pipe'] });
-      child.stderr.on('data', (c) => console.log("[yt-dlp stderr]", String(c).slice(0,200)));
-      const exitCode = await new Promise((resolve, reject) => {
-        child.on('error', reject);
-        child.on('close', (code) => resolve(code));
-      });
-      if (exitCode !== 0) throw new Error('yt-dlp failed');
-
-      // pick newest file prefix video-
-      const files = fsSync.readdirSync(tmpDir).filter(f => f.startsWith('video-'));
-      const candidates = files.map(f => ({ f, t: fsSync.statSync(path.join(tmpDir, f)).mtimeMs })).sort((a,b) => b.t - a.t);
-      if (!candidates.length) throw new Error('downloaded file not found');
-      const downloaded = path.join(tmpDir, candidates[0].f);
-
-      const stat = fsSync.statSync(downloaded);
-      if (!res.headersSent) {
-        res.setHeader('Content-Length', stat.size);
-        res.setHeader('Content-Disposition', `attachment; filename="${path.basename(downloaded)}"`);
-        res.setHeader('Content-Type', 'video/mp4');
-      }
-
-      const rs = fsSync.createReadStream(downloaded);
-      rs.pipe(res);
-      rs.on('close', () => setTimeout(() => {
-        fsSync.unlink(downloaded, () => {});
-      }, 2000));
-      rs.on('error', (e) => {
-        try { fsSync.unlinkSync(downloaded); } catch(e) {}
-      });
+      const { extractor, result } = await extractors.openStream(url, { selector, signal }, 'download');
+      const container = result.container === 'webm' ? 'webm' : 'mp4';
+      cache.teeStream(url, { selector }, extractor, result);
+      sendStream(res, 'download', extractor, result, { filename: buildFilename(result.title, 'video', container), contentType: `video/${container}` });
       return;
+    } catch (streamErr) {
+      if (streamErr?.name === 'AbortError') return logFailure('download', 'stream failed', streamErr);
+      if (errors.isFinal(streamErr)) return errors.sendError(res, streamErr, "Failed to download video");
+      console.warn("[download] no extractor could stream:", streamErr?.message || streamErr);
+    }
+
+    try {
+      await sendViaTmpFile(res, 'download', url, { selector, signal, prefix: 'video', contentType: 'video/mp4' });
     } catch (finalErr) {
-      console.error("[download] all fallbacks failed:", finalErr);
-      if (!res.headersSent) return res.status(500).json({ error: "Failed to download video", message: finalErr.message });
+      logFailure('download', 'all fallbacks failed', finalErr);
+      return errors.sendError(res, finalErr, "Failed to download video");
     }
   } catch (err) {
     console.error("[download] unexpected error:", err);
-    if (!res.headersSent) res.status(500).json({ error: "Failed to download video", message: err.message });
+    errors.sendError(res, err, "Failed to download video");
   }
 });
 
 // --- /api/download-to-server (save on server's downloads dir) ---
-app.post("/api/download-to-server", async (req, res) => {
-  try {
-    const { url } = req.body || {};
-    if (!url) return res.status(400).json({ error: "URL is required" });
+// Runs as a background job: responds 202 with a job id, progress via /api/jobs/:id(/events)
 
-    // ensure DOWNLOADS_DIR available and writable (with fallback)
-    await ensureDownloadsDir();
+// The job result for a file in DOWNLOADS_DIR
+async function savedResult(filename, { extractor = null, format = null, formatFallback = [] } = {}) {
+  const stats = await fs.stat(path.join(DOWNLOADS_DIR, filename));
+  return { filename, path: `/downloads/${filename}`, size: stats.size, extractor, format, formatFallback };
+}
+
+const DUPLICATE_MODES = ['skip', 'link', 'download'];
+
+// duplicates: what to do when the video is already in the library: "skip" it (the job's result is the
+// saved file), "link" the saved file under a new name, or "download" it again
+async function saveToServer(url, onProgress, { selector, embedMetadata, duplicates = 'skip', signal } = {}) {
+  const archived = duplicates === 'download' ? null : await library.findArchived(DOWNLOADS_DIR, url);
+  if (archived) {
+    const ext = archived.ext || 'mp4';
+    const filename = duplicates === 'link' ? buildFilename(archived.title, 'video', ext) : archived.filename;
+    if (duplicates === 'link') await library.link(DOWNLOADS_DIR, archived, filename);
+    console.log(`[download-to-server] ${archived.archiveKey} already saved as ${archived.filename} (${duplicates})`);
+    const result = await savedResult(filename, { extractor: archived.extractor, format: archived.format });
+    return { ...result, duplicate: duplicates === 'link' ? 'linked' : 'skipped', duplicateOf: archived.filename };
+  }
+
+  // the title is only known once the extractor has run, so rename afterwards
+  const { extractor, result } = await cache.downloadToFile(url, { dir: DOWNLOADS_DIR, basename: `video-${Date.now()}`, selector, onProgress, signal }, 'download-to-server');
+  const info = await cache.getInfo(url, 'download-to-server').then((r) => r.result).catch(() => ({}));
+  let filename = path.basename(result.filepath);
+  // yt-dlp's downloadToFile doesn't report a title, and the info's is the one adapters (../sites/) fixed up
+  const title = info.title || result.title;
+  if (embedMetadata) {
+    // tag a copy in the source's container, then put it in place of the download so the name stays the
+    // same; the janitor treats an abandoned ".temp.<ext>" as a partial download
+    const { name, ext } = path.parse(filename);
+    const tagged = path.join(DOWNLOADS_DIR, `${name}.temp${ext}`);
+    try {
+      await metadata.embed(result.filepath, tagged, { info: { ...info, title }, url, signal });
+      await fs.rename(tagged, result.filepath);
+    } catch (err) {
+      await fs.unlink(tagged).catch(() => {});
+      await fs.unlink(result.filepath).catch(() => {});
+      throw err;
+    }
+  }
+  if (title) {
+    const titled = buildFilename(title, 'video', path.extname(filename).slice(1) || 'mp4');
+    await fs.rename(path.join(DOWNLOADS_DIR, filename), path.join(DOWNLOADS_DIR, titled));
+    filename = titled;
+  }
+  const format = formats.describeFormat(result.format);
+  await library.record(DOWNLOADS_DIR, filename, { url, extractor, info, download: { title, format } })
+    .catch((err) => console.warn(`[library] could not record ${filename}:`, err?.message || err));
+  return savedResult(filename, { extractor, format, formatFallback: result.unmet || [] });
+}
 
-    const info = await play.video_info(url).catch(() => null);
-    const title = info && info.video_details ? sanitize(info.video_details.title) : `video-${Date.now()}`;
-    const filename = `${title}-${Date.now()}.mp4`;
-    const filepath = path.join(DOWNLOADS_DIR, filename);
+app.post("/api/download-to-server", auth.requireScope("server-save"), limits.rateLimit, async (req, res) => {
+  try {
+    const { url: input, quality, embedMetadata, duplicates = 'skip' } = req.body || {};
+    if (!input) return res.status(400).json({ error: "URL is required", code: "invalid-request" });
+    const video = sites.parseVideoUrl(input);
+    if (!video.ok) return rejectUrl(res, video);
+    const { url } = video;
+    if (!DUPLICATE_MODES.includes(duplicates)) return res.status(400).json({ error: `Unsupported duplicates mode: ${duplicates} (use ${DUPLICATE_MODES.join(', ')})`, code: "invalid-request" });
 
-    const streamInfo = await play.stream(url).catch((e) => { throw e; });
-    if (!streamInfo || !streamInfo.stream) throw new Error("play-dl couldn't create stream");
+    let selector;
+    try { selector = formats.parseSelector(quality); } catch (e) { return res.status(400).json({ error: e.message, code: "invalid-request" }); }
 
-    const writer = createWriteStream(filepath);
-    streamInfo.stream.pipe(writer);
+    // ensure DOWNLOADS_DIR available and writable (with fallback)
+    await ensureDownloadsDir();
+    if (await janitor.quotaExceeded(DOWNLOADS_DIR)) {
+      return res.status(507).json({ error: "Download storage is full", code: "storage-full", message: `Saved files have reached the ${janitor.DOWNLOADS_MAX_BYTES} byte quota; try again once older files expire` });
+    }
 
-    writer.on('finish', () => {
-      res.json({ success: true, filename, path: `/downloads/${filename}` });
-    });
+    const job = jobs.createJob('download-to-server', { url });
+    jobs.runJob(job.id, (onProgress, signal) => saveToServer(url, onProgress, { selector, embedMetadata: !!embedMetadata, duplicates, signal }));
 
-    writer.on('error', (err) => {
-      console.error("Write error:", err);
-      try { fsSync.unlinkSync(filepath); } catch(e) {}
-      res.status(500).json({ error: "Failed to save video", message: err.message });
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
     });
   } catch (err) {
     console.error("[download-to-server] error:", err);
-    res.status(500).json({ error: "Failed to download video", message: err.message });
+    errors.sendError(res, err, "Failed to download video");
   }
 });
 
-// --- /api/download-audio --- (same robust fallback strategy)
-app.post("/api/download-audio", async (req, res) => {
-  try {
-    const { url, quality } = req.body || {};
-    if (!url) return res.status(400).json({ error: "URL is required" });
+// --- /api/jobs/:id --- current job state
+app.get("/api/jobs/:id", auth.requireScope("read-info"), (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(job);
+});
 
-    try {
-      const info = await play.video_info(url).catch(() => null);
-      const title = info && info.video_details ? sanitize(info.video_details.title) : `audio-${Date.now()}`;
-      const filename = `${title}-${Date.now()}.mp3`;
+// --- DELETE /api/jobs/:id --- cancel a running job; it ends up "cancelled" once its work has stopped
+app.delete("/api/jobs/:id", auth.requireScope("server-save"), (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (jobs.isFinished(job) || !jobs.cancelJob(job.id)) return res.status(409).json({ error: `Job already ${job.state}` });
+  res.status(202).json({ success: true, jobId: job.id });
+});
 
-      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-      res.setHeader("Content-Type", "audio/mpeg");
+// --- /api/jobs/:id/events --- server-sent events: "progress" on each update, "end" once finished
+app.get("/api/jobs/:id/events", auth.requireScope("read-info"), (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders();
+
+  let unsubscribe = () => {};
+  const keepAlive = setInterval(() => res.write(": ping\n\n"), 15000);
+  const close = () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  };
+  const send = (snap) => {
+    const finished = jobs.isFinished(snap);
+    res.write(`event: ${finished ? "end" : "progress"}\ndata: ${JSON.stringify(snap)}\n\n`);
+    if (finished) {
+      close();
+      res.end();
+    }
+  };
 
-      let playQuality = 'highestaudio';
-      if (quality && String(quality).toLowerCase() !== 'highest' && !isNaN(Number(quality))) {
-        playQuality = Number(quality);
-      }
+  req.on("close", close);
+  send(job);
+  if (!jobs.isFinished(job)) unsubscribe = jobs.subscribe(job.id, send);
+});
 
-      const streamInfo = await play.stream(url, { quality: playQuality }).catch(e => null);
-      if (streamInfo && streamInfo.stream) {
-        streamInfo.stream.on('error', (e) => console.error('[download-audio] play stream error:', e));
-        streamInfo.stream.pipe(res);
-        return;
-      }
-    } catch (playErr) {
-      console.warn('[download-audio] play-dl failed:', playErr?.message || playErr);
+// --- /api/download-audio ---
+// Always transcoded with ffmpeg so the file really is `format` (mp3, m4a, opus, wav) at `bitrate` kbps.
+// resumable: true as for /api/download.
+app.post("/api/download-audio", auth.requireScope("download"), limits.rateLimit, async (req, res) => {
+  try {
+    const { url: input, quality, start, end, format, bitrate, embedMetadata, resumable } = req.body || {};
+    if (!input) return res.status(400).json({ error: "URL is required", code: "invalid-request" });
+    const video = sites.parseVideoUrl(input);
+    if (!video.ok) return rejectUrl(res, video);
+    const { url } = video;
+
+    let range, audio, selector;
+    try {
+      range = ffmpeg.resolveClipRange({ url: input, start, end });
+      audio = ffmpeg.resolveAudioOptions({ format, bitrate });
+      selector = formats.parseSelector(quality);
+    } catch (e) {
+      return res.status(400).json({ error: e.message, code: "invalid-request" });
     }
 
-    // fallback: yt-dlp to stdout (bestaudio)
+    const signal = abortOnClose(res);
     try {
-      const child = spawn('yt-dlp', ['--no-playlist', '-f', 'bestaudio', '-o', '-', url], { stdio: ['ignore', 'pipe', 'pipe'] });
-      child.on('error', (err) => {
-        console.error('[download-audio] yt-dlp spawn error:', err);
-        if (!res.headersSent) return res.status(500).json({ error: 'yt-dlp spawn failed', message: err.message });
-      });
+      if (embedMetadata || resumable) await sendProcessed(res, 'download-audio', url, { prefix: 'audio', selector, audio, range, embedMetadata: !!embedMetadata, resumable: !!resumable, signal });
+      else await sendAudio(res, 'download-audio', url, { selector, ...audio, ...(range || {}), signal });
+    } catch (audioErr) {
+      logFailure('download-audio', 'failed', audioErr);
+      return errors.sendError(res, audioErr, 'Failed to download audio');
+    }
+  } catch (err) {
+    console.error('[download-audio] unexpected:', err);
+    errors.sendError(res, err, 'Failed');
+  }
+});
 
-      const fallbackFilename = `audio-${Date.now()}.mp3`;
-      if (!res.headersSent) {
-        res.setHeader('Content-Disposition', `attachment; filename="${fallbackFilename}"`);
-        res.setHeader('Content-Type', 'application/octet-stream');
-      }
+// --- /api/resume/:token --- a staged download again, honoring Range (bytes=<received>-) until it expires
+app.get("/api/resume/:token", (req, res) => {
+  const entry = staging.get(req.params.token);
+  if (!entry) return res.status(404).json({ error: "Unknown or expired download" });
+  setResumeHeaders(res, entry);
+  res.sendFile(entry.filepath, {
+    headers: { "Content-Type": entry.contentType, "Content-Disposition": `attachment; filename="${entry.filename}"` }
+  }, (err) => {
+    if (err && !res.headersSent) res.status(err.status || 500).json({ error: "Failed to resume download" });
+  });
+});
 
-      child.stdout.pipe(res);
-      child.stderr.on('data', (c) => console.log('[yt-dlp stderr]', String(c).slice(0,200)));
-      child.on('close', (code) => console.log('[download-audio] yt-dlp close', code));
-      return;
-    } catch (e) {
-      console.warn('[download-audio] yt-dlp streaming fallback failed:', e?.message || e);
+// DELETE: the client has the whole file, so it needn't be kept until it expires
+app.delete("/api/resume/:token", (req, res) => {
+  if (!staging.remove(req.params.token)) return res.status(404).json({ error: "Unknown or expired download" });
+  res.json({ success: true });
+});
+
+// --- /api/captions ---
+// Without `lang`: list the available tracks. With `lang`: download it as srt, vtt (default) or txt.
+app.post("/api/captions", auth.requireScope("download"), limits.rateLimit, async (req, res) => {
+  try {
+    const { url: input, lang, format = 'vtt', auto } = req.body || {};
+    if (!input) return res.status(400).json({ error: "URL is required", code: "invalid-request" });
+    const video = sites.parseVideoUrl(input);
+    if (!video.ok) return rejectUrl(res, video);
+    const { url } = video;
+
+    if (!lang) {
+      const { extractor, result } = await captions.listCaptions(url);
+      return res.json({ captions: result, extractor });
     }
 
-    // final fallback: file download via yt-dlp then stream file
+    const fmt = String(format).toLowerCase();
+    if (!captions.CAPTION_FORMATS[fmt]) return res.status(400).json({ error: `Unsupported caption format: ${format} (use srt, vtt, txt)`, code: "invalid-request" });
+
+    const { extractor, cues } = await captions.fetchCues(url, { lang, auto: !!auto });
+    res.setHeader("Content-Disposition", `attachment; filename="captions-${sanitize(lang)}-${Date.now()}.${fmt}"`);
+    res.setHeader("Content-Type", captions.CAPTION_FORMATS[fmt]);
+    res.setHeader("X-Extractor", extractor);
+    res.send(captions.convert(cues, fmt));
+  } catch (err) {
+    console.error("[captions] error:", err);
+    errors.sendError(res, err, "Failed to fetch captions");
+  }
+});
+
+// --- /api/thumbnail ---
+// The largest thumbnail by default; `width` picks the smallest at least that wide, `index` one from
+// video-info's `thumbnails`. Converted to jpg (default), webp or png.
+app.post("/api/thumbnail", auth.requireScope("download"), limits.rateLimit, async (req, res) => {
+  let tmpDir = null;
+  const cleanup = () => tmpDir && fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  try {
+    const { url: input, format, width, index } = req.body || {};
+    if (!input) return res.status(400).json({ error: "URL is required", code: "invalid-request" });
+    const video = sites.parseVideoUrl(input);
+    if (!video.ok) return rejectUrl(res, video);
+    const { url } = video;
+
+    let fmt;
     try {
-      const tmpDir = os.tmpdir();
-      const tmpFilename = `audio-${Date.now()}.%(ext)s`;
-      const tmpPattern = path.join(tmpDir, tmpFilename);
-      const child = spawn('yt-dlp', ['--no-playlist', '-f', 'bestaudio', '-o', tmpPattern, url], { stdio: ['ignore', 'pipe', 'pipe'] });
-      child.stderr.on('data', (c) => console.log('[yt-dlp stderr]', String(c).slice(0,200)));
-      const exitCode = await new Promise((resolve, reject) => {
-        child.on('error', reject);
-        child.on('close', (code) => resolve(code));
-      });
-      if (exitCode !== 0) throw new Error('yt-dlp failed');
-
-      const files = fsSync.readdirSync(tmpDir).filter(f => f.startsWith('audio-'));
-      const candidates = files.map(f => ({ f, t: fsSync.statSync(path.join(tmpDir, f)).mtimeMs })).sort((a,b) => b.t - a.t);
-      if (!candidates.length) throw new Error('downloaded audio file not found');
-      const downloaded = path.join(tmpDir, candidates[0].f);
-
-      const stat = fsSync.statSync(downloaded);
-      if (!res.headersSent) {
-        res.setHeader('Content-Length', stat.size);
-        res.setHeader('Content-Disposition', `attachment; filename="${path.basename(downloaded)}"`);
-        res.setHeader('Content-Type', 'application/octet-stream');
-      }
+      fmt = ffmpeg.resolveImageFormat(format);
+    } catch (err) {
+      return res.status(400).json({ error: err.message, code: "invalid-request" });
+    }
 
-      const rs = fsSync.createReadStream(downloaded);
-      rs.pipe(res);
-      rs.on('close', () => setTimeout(() => {
-        fsSync.unlink(downloaded, () => {});
-      }, 2000));
-      return;
-    } catch (finalErr) {
-      console.error('[download-audio] all fallbacks failed:', finalErr);
-      if (!res.headersSent) return res.status(500).json({ error: 'Failed to download audio', message: finalErr.message });
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'thumbnail-'));
+    const saved = await thumbnails.saveThumbnail(url, { index, width, format: fmt, output: path.join(tmpDir, `thumbnail.${fmt}`) });
+    sendFile(res, saved.filepath, {
+      filename: buildFilename(saved.title, 'thumbnail', fmt),
+      contentType: ffmpeg.IMAGE_FORMATS[fmt].contentType,
+      extractor: saved.extractor,
+      onDone: cleanup
+    });
+  } catch (err) {
+    cleanup();
+    console.error("[thumbnail] error:", err);
+    errors.sendError(res, err, "Failed to fetch thumbnail");
+  }
+});
+
+// --- /api/frame --- still frame at `at` (seconds or hh:mm:ss; default the URL's t=, else 0)
+app.post("/api/frame", auth.requireScope("download"), limits.rateLimit, async (req, res) => {
+  let tmpDir = null;
+  const cleanup = () => tmpDir && fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+  try {
+    const { url: input, at, format, quality } = req.body || {};
+    if (!input) return res.status(400).json({ error: "URL is required", code: "invalid-request" });
+    const video = sites.parseVideoUrl(input);
+    if (!video.ok) return rejectUrl(res, video);
+    const { url } = video;
+
+    let fmt, seconds, selector;
+    try {
+      fmt = ffmpeg.resolveImageFormat(format);
+      selector = formats.parseSelector(quality);
+      seconds = at != null && at !== '' ? ffmpeg.parseTimestamp(at) : ffmpeg.timestampFromUrl(input) || 0;
+      if (Number.isNaN(seconds)) throw new Error(`Invalid timestamp: ${at}`);
+    } catch (err) {
+      return res.status(400).json({ error: err.message, code: "invalid-request" });
     }
+
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'frame-'));
+    const saved = await thumbnails.saveFrame(url, { at: seconds, format: fmt, selector, dir: tmpDir, signal: abortOnClose(res) });
+    sendFile(res, saved.filepath, {
+      filename: buildFilename(saved.title, 'frame', fmt),
+      contentType: ffmpeg.IMAGE_FORMATS[fmt].contentType,
+      extractor: saved.extractor,
+      onDone: cleanup
+    });
   } catch (err) {
-    console.error('[download-audio] unexpected:', err);
-    if (!res.headersSent) res.status(500).json({ error: 'Failed', message: err.message });
+    cleanup();
+    logFailure('frame', 'error', err);
+    errors.sendError(res, err, "Failed to grab frame");
   }
 });
 
-// List files in downloads folder (if accessible)
-app.get("/api/downloads", async (req, res) => {
+// --- /api/batch --- list of URLs, playlist or channel /shorts tab -> ZIP with manifest.json
+app.post("/api/batch", auth.requireScope("download"), limits.rateLimit, async (req, res) => {
+  try {
+    const { urls, url, quality, audioOnly, limit } = req.body || {};
+    const sources = [...(Array.isArray(urls) ? urls : []), ...(url ? [url] : [])]
+      .filter((u) => typeof u === 'string' && u.trim())
+      .map((u) => u.trim());
+    if (!sources.length) return res.status(400).json({ error: "urls or url is required", code: "invalid-request" });
+
+    let selector;
+    try { selector = formats.parseSelector(quality); } catch (e) { return res.status(400).json({ error: e.message, code: "invalid-request" }); }
+
+    const max = Math.min(Number(limit) || batch.BATCH_MAX_ITEMS, batch.BATCH_MAX_ITEMS);
+    const { items, failed } = await batch.expandSources(sources, { limit: max });
+    if (!items.length) return res.status(400).json({ error: "No downloadable videos found", code: "invalid-request", failed });
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="batch-${Date.now()}.zip"`);
+    res.flushHeaders();
+
+    const manifest = await batch.streamBatchZip(res, items, { failed, selector, audioOnly: !!audioOnly, signal: abortOnClose(res) });
+    console.log(`[batch] finished: ${manifest.succeeded} ok, ${manifest.failed} failed`);
+  } catch (err) {
+    logFailure('batch', 'error', err);
+    if (!res.headersSent) errors.sendError(res, err, "Failed to build batch");
+    else res.destroy(err);
+  }
+});
+
+// --- /api/downloads --- the media library: saved files with their records, filtered, sorted and paged
+// (q, site, author, extractor, ext, from, to, sort, page, pageSize; see library.js)
+app.get("/api/downloads", auth.requireScope("server-save"), async (req, res) => {
   try {
     await ensureDownloadsDir();
-    const files = await fs.readdir(DOWNLOADS_DIR);
-    const details = await Promise.all(files.map(async (f) => {
-      const stats = await fs.stat(path.join(DOWNLOADS_DIR, f));
-      return {
-        filename: f,
-        size: stats.size,
-        created: stats.birthtime,
-        downloadUrl: `/downloads/${f}`
-      };
-    }));
-    res.json(details);
+    let result;
+    try {
+      result = await library.query(DOWNLOADS_DIR, req.query);
+    } catch (err) {
+      return res.status(400).json({ error: err.message, code: "invalid-request" });
+    }
+    res.json(result);
   } catch (err) {
     console.error("/api/downloads error:", err);
     res.status(500).json({ error: "Failed to list downloads" });
@@ -465,23 +760,64 @@ app.get("/api/downloads", async (req, res) => {
 
 // Serve downloads statically (only works if DOWNLOADS_DIR is readable by node process)
 try {
-  app.use("/downloads", express.static(DOWNLOADS_DIR));
+  app.use("/downloads", auth.requireScope("server-save", { signed: true }), express.static(DOWNLOADS_DIR));
 } catch (e) {
   console.warn("Could not mount static downloads:", e?.message || e);
 }
 
+// Path of a file saved in DOWNLOADS_DIR, or null when `filename` is anything but one of them
+// (a path, a dotfile, a partial download, the contacts folder...)
+function savedFilePath(filename) {
+  if (typeof filename !== 'string' || !janitor.isSaved(filename)) return null;
+  if (filename !== path.basename(filename) || /[\\/\0]/.test(filename) || filename.startsWith('.')) return null;
+  const filepath = path.resolve(DOWNLOADS_DIR, filename);
+  return path.dirname(filepath) === path.resolve(DOWNLOADS_DIR) ? filepath : null;
+}
+
+// --- /api/downloads/:filename/url --- a signed link to a saved file for <video>, <audio> and plain links,
+// which can't send the API key; it expires after MEDIA_URL_TTL_MS (see auth.js)
+app.get("/api/downloads/:filename/url", auth.requireScope("server-save"), async (req, res) => {
+  try {
+    const filepath = savedFilePath(req.params.filename);
+    if (!filepath) return res.status(400).json({ error: "Invalid filename", code: "invalid-request" });
+    await fs.access(filepath);
+    res.json(auth.signMediaUrl(`/downloads/${encodeURIComponent(req.params.filename)}`));
+  } catch (err) {
+    if (err.code === 'ENOENT') return res.status(404).json({ error: "File not found" });
+    console.error("Error signing file link:", err);
+    res.status(500).json({ error: "Failed to link file" });
+  }
+});
+
 // Delete file
-app.delete("/api/downloads/:filename", async (req, res) => {
+app.delete("/api/downloads/:filename", auth.requireScope("delete"), async (req, res) => {
   try {
-    const { filename } = req.params;
-    await fs.unlink(path.join(DOWNLOADS_DIR, filename));
+    const filepath = savedFilePath(req.params.filename);
+    if (!filepath) return res.status(400).json({ error: "Invalid filename", code: "invalid-request" });
+    await fs.unlink(filepath);
+    await library.forget(DOWNLOADS_DIR, req.params.filename);
     res.json({ success: true });
   } catch (err) {
+    if (err.code === 'ENOENT') return res.status(404).json({ error: "File not found" });
     console.error("Error deleting file:", err);
     res.status(500).json({ error: "Failed to delete file" });
   }
 });
 
+// Admin endpoints need a key with the "admin" scope (ADMIN_TOKEN is one); without any, only local requests get in
+
+// --- /api/admin/cache --- download cache contents; DELETE purges it (all, or ?videoId= / ?url=)
+app.get("/api/admin/cache", auth.requireScope("admin"), (req, res) => {
+  res.json(cache.stats());
+});
+
+app.delete("/api/admin/cache", auth.requireScope("admin"), (req, res) => {
+  const { videoId, url } = req.query;
+  const removed = cache.purge({ videoId: videoId || (url ? cache.videoKey(url) : undefined) });
+  console.log('[cache] purged', removed);
+  res.json({ success: true, removed });
+});
+
 // Contact endpoint (saves to downloads/contacts when SMTP not configured)
 let nodemailer;
 try { nodemailer = require('nodemailer'); } catch (e) { nodemailer = null; }
@@ -489,7 +825,7 @@ try { nodemailer = require('nodemailer'); } catch (e) { nodemailer = null; }
 app.post('/api/contact', async (req, res) => {
   try {
     const { name, email, message } = req.body || {};
-    if (!message) return res.status(400).json({ error: 'Message required' });
+    if (!message) return res.status(400).json({ error: 'Message required', code: 'invalid-request' });
 
     const contact = { name: name || 'Anonymous', email: email || null, message, receivedAt: new Date().toISOString() };
 
@@ -546,4 +882,7 @@ ensureDownloadsDir().then(() => {
     console.log(`🚀 Swift Shorts Downloader Backend running at http://${addr.address}:${addr.port}`);
     console.log(`📁 Downloads directory (fallback): ${DOWNLOADS_DIR}`);
   });
-});
+}).finally(() => janitor.start(() => DOWNLOADS_DIR));
+
+// Exit through process.exit on SIGINT/SIGTERM so exit handlers run (yt-dlp kills its process groups there)
+["SIGINT", "SIGTERM"].forEach((sig) => process.once(sig, () => process.exit(0)));
@@ -0,0 +1,371 @@
+// shared/api.d.ts
+// Request and response types of the HTTP API in ../server.js, for clients: the SDK in
+// src/services/apiClient.ts (and through it the web app) is typed with them. Keep them in step with the
+// route handlers; comments name the route each type belongs to.
+
+// --- errors (see ../errors.js) ---
+
+// Codes the server sends in error bodies
+export type ServerErrorCode =
+  | "invalid-request"
+  | "invalid-url"
+  | "unauthorized"
+  | "forbidden"
+  | "private"
+  | "age-restricted"
+  | "geo-blocked"
+  | "removed"
+  | "live-not-ended"
+  | "rate-limited"
+  | "too-many-requests"
+  | "server-busy"
+  | "extractor-missing"
+  | "storage-full"
+  | "extractor-failed"
+  | "internal";
+
+// Every error response: { error, code, message } with the underlying detail in `message`. 400s for a
+// rejected link add the reason from shared/sites.js ("playlist", "unsupported-site", ...).
+export interface ErrorBody {
+  error: string;
+  code?: ServerErrorCode;
+  message?: string;
+  reason?: string;
+  failed?: BatchFailure[]; // /api/batch when none of the links could be used
+}
+
+// --- shared pieces ---
+
+export type Site = "youtube" | "instagram" | "tiktok" | "x";
+
+// Format selector, accepted as `quality` by every download route (see the README's "Format selection"):
+// "highest" (default), "lowest", "720p", an itag / yt-dlp format_id, or constraints:
+export type FormatSelector =
+  | string
+  | {
+      id?: string;
+      maxHeight?: number;
+      codec?: string; // "h264", "vp9" or "av1"
+      container?: "mp4" | "webm";
+      fps?: number;
+      prefer?: "highest" | "lowest";
+    };
+
+// One of /api/video-info's formats, normalized by ../formats.js
+export interface VideoFormat {
+  id: string;
+  itag?: number | string;
+  quality?: string | null; // "1080p60", "720p" or "128 kbps"
+  container?: string | null;
+  hasAudio?: boolean;
+  hasVideo?: boolean;
+  width?: number | null;
+  height?: number | null;
+  fps?: number | null;
+  vcodec?: string | null;
+  acodec?: string | null;
+  bitrate?: number | null; // kbps
+  audioBitrate?: number | null; // kbps
+  filesize?: number | null; // bytes
+  filesizeApprox?: boolean;
+}
+
+// The source format a download was made from (formats.describeFormat; the X-Format header as an object)
+export interface DeliveredFormat {
+  id?: string | null;
+  width?: number | null;
+  height?: number | null;
+  fps?: number | null;
+  vcodec?: string | null;
+  acodec?: string | null;
+  container?: string | null;
+}
+
+// Timestamps: seconds, "mm:ss" or "hh:mm:ss"
+export type Timestamp = number | string;
+
+export type ImageFormat = "jpg" | "webp" | "png";
+
+export type AudioFormat = "mp3" | "m4a" | "opus" | "wav";
+
+export type AudioBitrate = 64 | 96 | 128 | 160 | 192 | 256 | 320;
+
+export type CaptionFormat = "srt" | "vtt" | "txt";
+
+// --- GET /health ---
+
+export interface Health {
+  status: "ok";
+  message: string;
+  downloads: string;
+  extractors: { name: string; enabled: boolean; available: boolean }[];
+  sites: Site[];
+  limits: {
+    rateLimit: { perMinute: number; burst: number; clients: number };
+    extractors: { concurrency: number; active: number; queued: number; queueMax: number; queueTimeoutMs: number };
+  };
+  auth: { publicScopes: string[] };
+}
+
+// --- POST /api/video-info ---
+
+export interface VideoInfoRequest {
+  url: string;
+}
+
+export interface Thumbnail {
+  url: string;
+  width: number | null;
+  height: number | null;
+}
+
+export interface CaptionTrack {
+  lang: string;
+  name: string;
+  auto: boolean;
+}
+
+export interface VideoInfo {
+  title: string;
+  author: string | null;
+  lengthSeconds: number | null;
+  viewCount: number | null;
+  thumbnail: string | null;
+  thumbnails: Thumbnail[]; // smallest first
+  description: string | null;
+  uploadDate: string | null;
+  formats: VideoFormat[]; // video best first, then audio-only by bitrate
+  captions: CaptionTrack[];
+  site: Site;
+  extractor: string | null; // null when every extractor failed for a reason a download might get past
+}
+
+// --- POST /api/download --- answers with the file
+
+export interface DownloadRequest {
+  url: string;
+  quality?: FormatSelector;
+  start?: Timestamp;
+  end?: Timestamp;
+  embedMetadata?: boolean;
+  captions?: string; // a caption track's lang, embedded as a soft subtitle
+  resumable?: boolean; // stage the file so /api/resume can send the rest after a dropped connection
+}
+
+// --- POST /api/download-audio --- answers with the file
+
+export interface AudioRequest {
+  url: string;
+  quality?: FormatSelector; // the source audio
+  start?: Timestamp;
+  end?: Timestamp;
+  format?: AudioFormat;
+  bitrate?: AudioBitrate; // ignored for wav
+  embedMetadata?: boolean;
+  resumable?: boolean;
+}
+
+// --- POST /api/captions ---
+
+// Without `lang` the available tracks are listed; with it the track comes back as a file
+export interface CaptionsRequest {
+  url: string;
+  lang?: string;
+  format?: CaptionFormat;
+  auto?: boolean; // prefer the auto-generated track
+}
+
+export interface CaptionList {
+  captions: CaptionTrack[];
+  extractor: string;
+}
+
+// --- POST /api/thumbnail --- answers with the image
+
+export interface ThumbnailRequest {
+  url: string;
+  format?: ImageFormat;
+  width?: number; // the smallest thumbnail at least this wide
+  index?: number; // one from VideoInfo.thumbnails
+}
+
+// --- POST /api/frame --- answers with the image
+
+export interface FrameRequest {
+  url: string;
+  at?: Timestamp | null; // default the URL's t=, else the first frame
+  format?: ImageFormat;
+  quality?: FormatSelector;
+}
+
+// --- POST /api/batch --- answers with a ZIP including manifest.json
+
+export interface BatchRequest {
+  urls?: string[]; // videos, playlists or channels' /shorts tabs
+  url?: string;
+  quality?: FormatSelector;
+  audioOnly?: boolean;
+  limit?: number;
+}
+
+export interface BatchFailure {
+  url: string;
+  status: "failed";
+  title?: string;
+  error: string;
+  code?: ServerErrorCode;
+}
+
+// --- POST /api/download-to-server, /api/jobs/:id ---
+
+export type DuplicateMode = "skip" | "link" | "download";
+
+export interface SaveRequest {
+  url: string;
+  quality?: FormatSelector;
+  embedMetadata?: boolean;
+  duplicates?: DuplicateMode; // when the video is already in the library (default "skip")
+}
+
+export interface SaveStarted {
+  success: true;
+  jobId: string;
+  statusUrl: string;
+  eventsUrl: string;
+}
+
+export type JobState = "queued" | "running" | "completed" | "failed" | "cancelled";
+
+export interface SaveResult {
+  filename: string;
+  path: string; // under /downloads
+  size: number;
+  extractor: string | null;
+  format: DeliveredFormat | null;
+  formatFallback: string[];
+  duplicate?: "skipped" | "linked";
+  duplicateOf?: string;
+}
+
+// A snapshot of a background job (../jobs.js); /events sends them as "progress" and finally "end"
+export interface Job {
+  id: string;
+  type: "download-to-server";
+  state: JobState;
+  url: string;
+  bytes: number;
+  totalBytes: number | null;
+  percent: number | null;
+  result: SaveResult | null;
+  error: string | null;
+  errorCode: ServerErrorCode | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface JobCancelled {
+  success: true;
+  jobId: string;
+}
+
+// --- GET /api/downloads, GET /api/downloads/:filename/url, DELETE /api/downloads/:filename (the media library, ../library.js) ---
+
+export type LibrarySortField = "savedAt" | "title" | "author" | "size" | "duration";
+
+export interface LibraryQuery {
+  q?: string;
+  site?: Site | "";
+  author?: string;
+  extractor?: string;
+  ext?: string;
+  from?: string; // savedAt bounds, ISO dates
+  to?: string;
+  sort?: LibrarySortField | `-${LibrarySortField}`; // "-" for descending (default "-savedAt")
+  page?: number;
+  pageSize?: number;
+}
+
+export interface LibraryItem {
+  filename: string;
+  ext: string;
+  size: number;
+  savedAt: string;
+  expiresAt: string | null;
+  downloadUrl: string;
+  // from the file's record; null for files saved before records existed
+  title: string | null;
+  author: string | null;
+  site: Site | null;
+  videoId: string | null;
+  durationSeconds: number | null;
+  thumbnail?: string | null;
+  format: DeliveredFormat | null;
+  sourceUrl: string | null;
+  extractor: string | null;
+  duplicateOf: string | null;
+}
+
+export interface LibraryPage {
+  items: LibraryItem[];
+  total: number;
+  page: number;
+  pageSize: number;
+  pages: number;
+}
+
+// a signed link to a saved file, relative to the server (../auth.js)
+export interface MediaUrl {
+  url: string;
+  expiresAt: string;
+}
+
+export interface Deleted {
+  success: true;
+}
+
+// --- /api/admin/cache (../cache.js) ---
+
+export interface CacheEntry {
+  key: string;
+  videoId: string;
+  audioOnly: boolean;
+  size: number;
+  title: string | null;
+  container: string | null;
+  extractor: string | null;
+  format: DeliveredFormat | null;
+  createdAt: string;
+  lastAccess: string;
+  hits: number;
+}
+
+export interface CacheStats {
+  dir: string;
+  enabled: boolean;
+  maxBytes: number;
+  totalBytes: number;
+  files: CacheEntry[]; // most recently used first
+  info: { entries: number; ttlMs: number };
+}
+
+// DELETE purges everything, or one video by id or link
+export interface CachePurgeQuery {
+  videoId?: string;
+  url?: string;
+}
+
+export interface CachePurged {
+  success: true;
+  removed: { files: number; bytes: number; info: number };
+}
+
+// --- POST /api/contact ---
+
+export interface ContactRequest {
+  name?: string;
+  email?: string;
+  message: string;
+}
+
+// Mailed when SMTP is configured, else saved under /downloads/contacts
+export type ContactResult = { success: true; sent: true } | { success: true; saved: true; path: string };
@@ -0,0 +1,76 @@
+// Contract check for api.d.ts: real /api/video-info responses (the server running on the recorded yt-dlp
+// output in ../sites/__fixtures__/) must type-check as VideoInfo.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ts = require('typescript');
+
+const BACKEND = path.join(__dirname, '..');
+const URLS = [
+  'https://www.instagram.com/reel/C8xQ2mRsT4k/',
+  'https://www.tiktok.com/@milo.skates/video/7356512345678901234',
+  'https://x.com/NASA/status/1778123456789012345'
+];
+
+let tmp, server, baseUrl;
+
+beforeAll(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'api-contract-'));
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: BACKEND,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      PORT: '0',
+      DOWNLOADS_DIR: path.join(tmp, 'downloads'),
+      CACHE_DIR: path.join(tmp, 'cache'),
+      EXTRACTORS: 'yt-dlp',
+      YTDLP_PATH: path.join(BACKEND, 'sites', '__fixtures__', 'yt-dlp.js'),
+      PUBLIC_SCOPES: 'read-info'
+    }
+  });
+  baseUrl = await new Promise((resolve, reject) => {
+    let out = '';
+    server.stdout.on('data', (c) => {
+      out += c;
+      const m = /running at http:\/\/[^:]+:(\d+)/.exec(out);
+      if (m) resolve(`http://127.0.0.1:${m[1]}`);
+    });
+    server.on('exit', (code) => reject(new Error(`server exited (${code}): ${out}`)));
+  });
+}, 20000);
+
+afterAll(() => {
+  server?.kill();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// Type errors in TypeScript `source`, as "<offending line>: <message>"
+function typeErrors(source) {
+  const file = path.join(tmp, 'contract.ts');
+  fs.writeFileSync(file, source);
+  const program = ts.createProgram([file], { strict: true, noEmit: true, skipLibCheck: true, types: [], target: ts.ScriptTarget.ES2020 });
+  return ts.getPreEmitDiagnostics(program).map((d) => {
+    const line = d.file ? d.file.text.split('\n')[d.file.getLineAndCharacterOfPosition(d.start).line].trim() : '';
+    return `${line}: ${ts.flattenDiagnosticMessageText(d.messageText, ' ')}`;
+  });
+}
+
+test('/api/video-info answers match VideoInfo', async () => {
+  const bodies = [];
+  for (const url of URLS) {
+    const res = await fetch(`${baseUrl}/api/video-info`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url })
+    });
+    expect(res.status).toBe(200);
+    bodies.push(await res.json());
+  }
+  expect(bodies.map((b) => b.extractor)).toEqual(['yt-dlp', 'yt-dlp', 'yt-dlp']);
+
+  const api = JSON.stringify(path.join(__dirname, 'api'));
+  expect(typeErrors(`import type { VideoInfo } from ${api};\nexport const bodies: VideoInfo[] = ${JSON.stringify(bodies, null, 2)};\n`)).toEqual([]);
+});
@@ -0,0 +1,45 @@
+// shared/build-cjs.js
+// The shared modules (*.mjs) are ES modules so the web app can import them, but the server is CommonJS
+// and runs on Node 18, which can't require() them. This writes each one's CommonJS build next to it
+// (sites.mjs -> sites.js); `npm run build:shared` after changing a .mjs file. build-cjs.test.js fails
+// when a build is out of date.
+//
+// Only the module syntax the shared files use is converted: `import { a, b as c } from './x.mjs';`,
+// `export function` and `export const`. Anything else is an error rather than a broken build.
+
+const fs = require('fs');
+const path = require('path');
+
+const IMPORT_RE = /^import \{([^}]+)\} from '\.\/([\w-]+)\.mjs';$/gm;
+const EXPORT_RE = /^export (function|const) (\w+)/gm;
+
+function toCommonJs(source, file) {
+  const names = [];
+  const code = source
+    .replace(IMPORT_RE, (_, list, name) => `const {${list.replace(/\s+as\s+/g, ': ')}} = require('./${name}');`)
+    .replace(EXPORT_RE, (_, kind, name) => {
+      names.push(name);
+      return `${kind} ${name}`;
+    });
+  const unsupported = /^(import|export)\b.*$/m.exec(code);
+  if (unsupported) throw new Error(`${file}: can't convert "${unsupported[0]}"`);
+  return `// Generated from ${file} by build-cjs.js; edit that instead.\n${code}\nmodule.exports = { ${names.join(', ')} };\n`;
+}
+
+// [source, build] paths of every shared module
+function modules(dir = __dirname) {
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.mjs'))
+    .map((name) => [path.join(dir, name), path.join(dir, name.replace(/\.mjs$/, '.js'))]);
+}
+
+function build() {
+  for (const [source, output] of modules()) {
+    fs.writeFileSync(output, toCommonJs(fs.readFileSync(source, 'utf8'), path.basename(source)));
+    console.log(`[build-cjs] ${path.basename(source)} -> ${path.basename(output)}`);
+  }
+}
+
+if (require.main === module) build();
+
+module.exports = { toCommonJs, modules };
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const { toCommonJs, modules } = require('./build-cjs');
+
+test.each(modules().map(([source, output]) => [path.basename(output), source, output]))(
+  '%s is up to date (npm run build:shared)',
+  (name, source, output) => {
+    expect(fs.readFileSync(output, 'utf8')).toBe(toCommonJs(fs.readFileSync(source, 'utf8'), path.basename(source)));
+  }
+);
+
+test('converts named imports and exports', () => {
+  const source = "import { a, b as c } from './x.mjs';\n\nexport const D = 1;\nexport function e() {}\n";
+  expect(toCommonJs(source, 'y.mjs')).toBe(
+    "// Generated from y.mjs by build-cjs.js; edit that instead.\n" +
+      "const { a, b: c } = require('./x');\n\nconst D = 1;\nfunction e() {}\n\nmodule.exports = { D, e };\n"
+  );
+});
+
+test.each([
+  'export default 1;',
+  "export { a } from './x.mjs';",
+  "import x from './x.mjs';",
+  "import { a } from 'some-package';"
+])('refuses %s', (line) => {
+  expect(() => toCommonJs(`${line}\n`, 'y.mjs')).toThrow(`y.mjs: can't convert`);
+});
@@ -0,0 +1,101 @@
+// shared/sites.mjs
+// Which short-form platforms links are accepted from, and their URL normalizers. Shared by the server
+// and the web app (src/lib/sites.ts) like youtube-url.mjs, which handles YouTube; the server requires
+// the CommonJS build, sites.js.
+//
+//   youtube     see youtube-url.mjs
+//   instagram   instagram.com/reel/<code>, /reels/<code>, /p/<code>, /tv/<code>
+//   tiktok      tiktok.com/@<user>/video/<id>, /embed/<id>, m.tiktok.com/v/<id>.html;
+//               vm.tiktok.com/<code>, vt.tiktok.com/<code>, tiktok.com/t/<code> short links
+//   x           x.com and twitter.com /<user>/status/<id> (optionally /video/<n> or /photo/<n>)
+//
+// Parsing only ever looks at the URL; the server's site adapters (../sites/) handle the rest.
+
+import { REASONS as YOUTUBE_REASONS, parseYouTubeUrl } from './youtube-url.mjs';
+
+export const SITES = {
+  youtube: { name: 'youtube', label: 'YouTube' },
+  instagram: { name: 'instagram', label: 'Instagram' },
+  tiktok: { name: 'tiktok', label: 'TikTok' },
+  x: { name: 'x', label: 'X' }
+};
+
+export const REASONS = Object.assign({}, YOUTUBE_REASONS, {
+  'empty': 'Enter a video URL',
+  'unsupported-site': "That site isn't supported (YouTube, Instagram, TikTok and X links are)",
+  'no-video-id': "That link doesn't point to a video",
+  'invalid-video-id': "That link's video id isn't valid"
+});
+
+function reject(reason, site) {
+  return { ok: false, reason, message: REASONS[reason], site: site || null };
+}
+
+function video(site, id, url, kind) {
+  return { ok: true, site, id, url, kind, start: null, playlistId: null };
+}
+
+// Each normalizer gets the host (without www./m.) and the path segments, and returns a video,
+// a rejection or null for "no video here"
+const NORMALIZERS = {
+  instagram: {
+    hosts: ['instagram.com'],
+    parse(host, segments) {
+      const kind = { reel: 'reel', reels: 'reel', p: 'post', tv: 'tv' }[segments[0]];
+      const code = segments[1];
+      if (!kind || !code) return null;
+      if (!/^[\w-]{5,}$/.test(code)) return reject('invalid-video-id', 'instagram');
+      const prefix = kind === 'post' ? 'p' : kind;
+      return video('instagram', code, `https://www.instagram.com/${prefix}/${code}/`, kind);
+    }
+  },
+  tiktok: {
+    hosts: ['tiktok.com', 'vm.tiktok.com', 'vt.tiktok.com'],
+    parse(host, segments) {
+      // short links redirect to the video; yt-dlp follows them, so they stay as they are
+      const code = host === 'tiktok.com' ? (segments[0] === 't' ? segments[1] : null) : segments[0];
+      if (code) {
+        return /^[\w-]+$/.test(code)
+          ? video('tiktok', code, `https://${host === 'tiktok.com' ? 'www.tiktok.com/t' : host}/${code}/`, 'short-link')
+          : reject('invalid-video-id', 'tiktok');
+      }
+      let id = null, user = null;
+      if (segments[0] && segments[0][0] === '@' && segments[1] === 'video') [user, , id] = segments;
+      else if (segments[0] === 'embed') id = segments[segments[1] === 'v2' ? 2 : 1];
+      else if (segments[0] === 'v') id = (segments[1] || '').replace(/\.html$/, '');
+      if (!id) return null;
+      if (!/^\d+$/.test(id)) return reject('invalid-video-id', 'tiktok');
+      return video('tiktok', id, user ? `https://www.tiktok.com/${user}/video/${id}` : `https://www.tiktok.com/embed/${id}`, 'video');
+    }
+  },
+  x: {
+    hosts: ['x.com', 'twitter.com', 'mobile.twitter.com', 'mobile.x.com'],
+    parse(host, segments) {
+      const at = segments.indexOf('status');
+      const id = at > 0 ? segments[at + 1] : null;
+      if (!id) return null;
+      if (!/^\d+$/.test(id)) return reject('invalid-video-id', 'x');
+      return video('x', id, `https://x.com/${segments[at - 1]}/status/${id}`, 'status');
+    }
+  }
+};
+
+// Like youtube-url.mjs's parseYouTubeUrl, plus `site`. Unknown hosts are "unsupported-site".
+export function parseVideoUrl(input) {
+  const youtube = parseYouTubeUrl(input);
+  if (youtube.ok) return Object.assign({ site: 'youtube' }, youtube);
+  if (youtube.reason === 'empty' || youtube.reason === 'not-a-url') return reject(youtube.reason);
+  if (youtube.reason !== 'not-youtube') return Object.assign({ site: 'youtube' }, youtube);
+
+  const parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(input.trim()) ? input.trim() : `https://${input.trim()}`);
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m)\./, '');
+  const site = Object.keys(NORMALIZERS).find((name) => NORMALIZERS[name].hosts.includes(host));
+  if (!site) return reject('unsupported-site');
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  return NORMALIZERS[site].parse(host, segments) || reject('no-video-id', site);
+}
+
+// The site a URL belongs to (whether or not it points to a video), or null
+export function siteOf(input) {
+  return parseVideoUrl(input).site;
+}
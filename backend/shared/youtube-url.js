@@ -0,0 +1,92 @@
+// Generated from youtube-url.mjs by build-cjs.js; edit that instead.
+// shared/youtube-url.mjs
+// YouTube URL parsing shared by the server and the web app (src/lib/youtubeUrl.ts), so both accept and
+// reject the same links. No dependencies. The server requires its CommonJS build, youtube-url.js (see
+// build-cjs.js).
+//
+// Accepted: youtube.com (www., m., music.) /watch?v=, /shorts/, /embed/, /live/, /v/; youtu.be/<id>;
+// youtube-nocookie.com/embed/<id>; a bare 11-character id. Scheme optional, extra query params ignored.
+
+const ID_RE = /^[\w-]{11}$/;
+const HOSTS = { 'youtube.com': 'youtube', 'youtube-nocookie.com': 'youtube', 'youtu.be': 'short-link' };
+const PATH_KINDS = { shorts: 'shorts', embed: 'embed', live: 'live', v: 'embed' };
+
+const REASONS = {
+  'empty': 'Enter a YouTube video URL',
+  'not-a-url': "That doesn't look like a URL",
+  'not-youtube': "That isn't a YouTube link",
+  'playlist': 'That is a playlist, not a single video',
+  'channel': 'That is a channel, not a single video',
+  'no-video-id': "That YouTube link doesn't point to a video",
+  'invalid-video-id': "That YouTube link's video id isn't valid"
+};
+
+function reject(reason, extra) {
+  return Object.assign({ ok: false, reason, message: REASONS[reason] }, extra);
+}
+
+function canonicalUrl(id) {
+  return `https://www.youtube.com/watch?v=${id}`;
+}
+
+// t=/start= in seconds: "90", "90s", "1m30s", "1h2m3s". Null when absent or unreadable.
+function parseStart(value) {
+  if (!value) return null;
+  if (/^\d+(\.\d+)?s?$/.test(value)) return parseFloat(value);
+  const m = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+  if (m && (m[1] || m[2] || m[3])) return Number(m[1] || 0) * 3600 + Number(m[2] || 0) * 60 + Number(m[3] || 0);
+  return null;
+}
+
+// { ok: true, id, url, kind, start, playlistId } for a single video, where `url` is the canonical
+// watch URL, `kind` how it was linked (watch, shorts, embed, live, short-link, id), `start` the t= hint
+// in seconds and `playlistId` the list= hint (both null when absent).
+// { ok: false, reason, message } otherwise; playlists and channels carry playlistId / nothing extra.
+function parseYouTubeUrl(input) {
+  const str = typeof input === 'string' ? input.trim() : '';
+  if (!str) return reject('empty');
+  if (ID_RE.test(str)) return { ok: true, id: str, url: canonicalUrl(str), kind: 'id', start: null, playlistId: null };
+
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(str) ? str : `https://${str}`);
+  } catch (e) {
+    return reject('not-a-url');
+  }
+  if (!/^https?:$/.test(parsed.protocol) || !parsed.hostname.includes('.')) return reject('not-a-url');
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m|music)\./, '');
+  if (!HOSTS[host]) return reject('not-youtube');
+
+  const params = parsed.searchParams;
+  const playlistId = params.get('list') || null;
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  let id, kind;
+  if (HOSTS[host] === 'short-link') {
+    [id] = segments;
+    kind = 'short-link';
+  } else if (segments[0] === 'watch') {
+    id = params.get('v');
+    kind = 'watch';
+  } else if (PATH_KINDS[segments[0]]) {
+    id = segments[1];
+    kind = PATH_KINDS[segments[0]];
+  } else if (segments[0] === 'playlist') {
+    return playlistId ? reject('playlist', { playlistId }) : reject('no-video-id');
+  } else if (/^(@|channel$|c$|user$)/.test(segments[0] || '')) {
+    return reject('channel');
+  }
+
+  if (!id) return playlistId ? reject('playlist', { playlistId }) : reject('no-video-id');
+  if (!ID_RE.test(id)) return reject('invalid-video-id');
+  return {
+    ok: true,
+    id,
+    url: canonicalUrl(id),
+    kind,
+    start: parseStart(params.get('t') || params.get('start')),
+    playlistId
+  };
+}
+
+module.exports = { REASONS, parseYouTubeUrl };
@@ -0,0 +1,64 @@
+const { parseYouTubeUrl, REASONS } = require('./youtube-url');
+
+const ID = 'dQw4w9WgXcQ';
+const CANONICAL = `https://www.youtube.com/watch?v=${ID}`;
+
+describe('parseYouTubeUrl accepts', () => {
+  test.each([
+    // [input, kind, start, playlistId]
+    [`https://www.youtube.com/shorts/${ID}`, 'shorts', null, null],
+    [`youtube.com/shorts/${ID}?feature=share`, 'shorts', null, null],
+    [`https://m.youtube.com/shorts/${ID}`, 'shorts', null, null],
+    [`https://www.youtube.com/watch?v=${ID}`, 'watch', null, null],
+    [`http://youtube.com/watch?feature=shared&v=${ID}`, 'watch', null, null],
+    [`https://m.youtube.com/watch?v=${ID}`, 'watch', null, null],
+    [`https://music.youtube.com/watch?v=${ID}`, 'watch', null, null],
+    [`https://www.youtube.com/watch?v=${ID}&list=PL123`, 'watch', null, 'PL123'],
+    [`https://youtu.be/${ID}`, 'short-link', null, null],
+    [`youtu.be/${ID}?si=abc`, 'short-link', null, null],
+    [`https://www.youtube.com/embed/${ID}`, 'embed', null, null],
+    [`https://www.youtube-nocookie.com/embed/${ID}`, 'embed', null, null],
+    [`https://www.youtube.com/v/${ID}`, 'embed', null, null],
+    [`https://www.youtube.com/live/${ID}`, 'live', null, null],
+    [ID, 'id', null, null],
+    [`  ${ID}  `, 'id', null, null],
+    [`https://youtu.be/${ID}?t=90`, 'short-link', 90, null],
+    [`https://www.youtube.com/watch?v=${ID}&t=90s`, 'watch', 90, null],
+    [`https://www.youtube.com/watch?v=${ID}&t=1m30s`, 'watch', 90, null],
+    [`https://www.youtube.com/watch?v=${ID}&t=1h2m3s`, 'watch', 3723, null],
+    [`https://www.youtube.com/embed/${ID}?start=12`, 'embed', 12, null],
+    [`https://www.youtube.com/watch?v=${ID}&t=soon`, 'watch', null, null]
+  ])('%s', (input, kind, start, playlistId) => {
+    expect(parseYouTubeUrl(input)).toEqual({ ok: true, id: ID, url: CANONICAL, kind, start, playlistId });
+  });
+});
+
+describe('parseYouTubeUrl rejects', () => {
+  test.each([
+    ['', 'empty'],
+    ['   ', 'empty'],
+    [null, 'empty'],
+    ['not a link', 'not-a-url'],
+    ['localhost/watch', 'not-a-url'],
+    [`ftp://youtube.com/watch?v=${ID}`, 'not-a-url'],
+    [`https://vimeo.com/${ID}`, 'not-youtube'],
+    [`https://youtube.com.evil.example/watch?v=${ID}`, 'not-youtube'],
+    ['https://www.youtube.com/playlist?list=PL123', 'playlist'],
+    ['https://www.youtube.com/watch?list=PL123', 'playlist'],
+    ['https://www.youtube.com/@somechannel', 'channel'],
+    ['https://www.youtube.com/channel/UC123', 'channel'],
+    ['https://www.youtube.com/user/someone', 'channel'],
+    ['https://www.youtube.com/', 'no-video-id'],
+    ['https://www.youtube.com/watch', 'no-video-id'],
+    ['https://www.youtube.com/playlist', 'no-video-id'],
+    ['https://www.youtube.com/shorts/tooShort', 'invalid-video-id'],
+    [`https://youtu.be/${ID}extra`, 'invalid-video-id']
+  ])('%s', (input, reason) => {
+    const result = parseYouTubeUrl(input);
+    expect(result).toMatchObject({ ok: false, reason, message: REASONS[reason] });
+  });
+
+  test('a playlist carries its id', () => {
+    expect(parseYouTubeUrl('https://www.youtube.com/playlist?list=PL123')).toMatchObject({ playlistId: 'PL123' });
+  });
+});
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Stand-in for the yt-dlp binary (YTDLP_PATH) that answers `-J ... -- <url>` with the recorded output
+// next to it for the url's site.
+
+const sites = require("../../shared/sites");
+
+const url = process.argv[process.argv.indexOf('--') + 1];
+if (!process.argv.includes('-J') || !url) {
+  console.error('ERROR: only -J is recorded');
+  process.exit(2);
+}
+process.stdout.write(JSON.stringify(require(`./${sites.siteOf(url)}.json`)));
@@ -0,0 +1,22 @@
+// sites/index.js
+// Server side of the site registry. URL parsing is in ../shared/sites.js (the web app uses it too);
+// each site here can add an adapter for what yt-dlp reports about its videos:
+//
+//   name                  site id from ../shared/sites.js
+//   mapInfo(info, raw)    -> info: the generic getInfo result fixed up from yt-dlp's raw JSON
+//                         (titles from captions, the right author field, ...)
+//
+// Extractors say which sites they handle with `sites` (see ../extractors/index.js).
+
+const shared = require("../shared/sites");
+
+const adapters = new Map();
+[require('./instagram'), require('./tiktok'), require('./x')].forEach((a) => adapters.set(a.name, a));
+
+// `info` as `url`'s site adapter maps it; unchanged for sites without one
+function mapInfo(url, info, raw) {
+  const adapter = adapters.get(shared.siteOf(url));
+  return adapter && typeof adapter.mapInfo === 'function' ? adapter.mapInfo(info, raw) : info;
+}
+
+module.exports = { ...shared, adapters, mapInfo };
@@ -0,0 +1,16 @@
+// sites/instagram.js
+// Instagram Reels and video posts. yt-dlp titles them "Video by <username>"; the caption makes a better one.
+
+const { captionTitle } = require("./util");
+
+module.exports = {
+  name: 'instagram',
+
+  mapInfo(info, raw) {
+    return {
+      ...info,
+      title: captionTitle(raw.description) || info.title,
+      author: raw.channel || raw.uploader_id || info.author
+    };
+  }
+};
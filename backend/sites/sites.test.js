@@ -0,0 +1,153 @@
+// getInfo through yt-dlp for each site with an adapter, fed the recorded `yt-dlp -J` output in
+// __fixtures__/ instead of running the binary.
+
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+const { spawn } = require('child_process');
+const ytdlp = require('../extractors/yt-dlp');
+
+// A finished yt-dlp run that printed `json`
+function fakeRun(json) {
+  const child = Object.assign(new EventEmitter(), {
+    pid: 0,
+    exitCode: 0,
+    signalCode: null,
+    stdout: new PassThrough(),
+    stderr: new PassThrough()
+  });
+  process.nextTick(() => {
+    child.stdout.end(JSON.stringify(json));
+    child.stderr.end();
+    child.stdout.on('end', () => child.emit('close', 0));
+    child.stdout.resume();
+  });
+  return child;
+}
+
+async function infoFor(site, url) {
+  spawn.mockImplementationOnce(() => fakeRun(require(`./__fixtures__/${site}.json`)));
+  const info = await ytdlp.getInfo(url);
+  expect(spawn).toHaveBeenLastCalledWith(expect.any(String), ['-J', '--no-playlist', '--', url], expect.any(Object));
+  return info;
+}
+
+const ids = (info) => info.formats.map((f) => f.id);
+
+afterEach(() => spawn.mockReset());
+
+describe('instagram', () => {
+  const url = 'https://www.instagram.com/reel/C8xQ2mRsT4k/';
+
+  test('titles the reel with its caption and credits the account name', async () => {
+    const info = await infoFor('instagram', url);
+    expect(info).toMatchObject({
+      title: 'A humpback whale breaching off the coast of Maui 🐋',
+      author: 'natgeo',
+      lengthSeconds: 15,
+      viewCount: null,
+      uploadDate: '20240415',
+      captions: []
+    });
+  });
+
+  test('thumbnails smallest first without duplicates', async () => {
+    const info = await infoFor('instagram', url);
+    expect(info.thumbnail).toBe('https://scontent.cdninstagram.com/v/t51.29350-15/436_n.jpg?stp=dst-jpg_e35');
+    expect(info.thumbnails.map((t) => [t.width, t.height])).toEqual([[480, 852], [640, 1136], [1080, 1920]]);
+  });
+
+  test('DASH formats best first, the duplicate rendition and the codec-less progressive file dropped', async () => {
+    const info = await infoFor('instagram', url);
+    expect(ids(info)).toEqual(['dash-873245091v', 'dash-1012876503v', 'dash-1146587362a']);
+    expect(info.formats[0]).toEqual({
+      id: 'dash-873245091v',
+      itag: 'dash-873245091v',
+      quality: '1080p',
+      container: 'mp4',
+      hasVideo: true,
+      hasAudio: false,
+      width: 1080,
+      height: 1920,
+      fps: 30,
+      vcodec: 'h264',
+      acodec: null,
+      bitrate: 2105,
+      audioBitrate: null,
+      filesize: 3937112,
+      filesizeApprox: false
+    });
+    expect(info.formats[2]).toMatchObject({ quality: '69 kbps', container: 'm4a', acodec: 'aac', filesize: 129830, filesizeApprox: true });
+  });
+});
+
+describe('tiktok', () => {
+  const url = 'https://www.tiktok.com/@milo.skates/video/7356512345678901234';
+
+  test('titles the video with its caption minus hashtags and credits the creator', async () => {
+    const info = await infoFor('tiktok', url);
+    expect(info).toMatchObject({
+      title: 'day 3 of teaching my cat to skateboard 🛹',
+      author: 'Milo the Cat',
+      lengthSeconds: 21,
+      viewCount: 1843200,
+      description: 'day 3 of teaching my cat to skateboard 🛹 #cat #skateboard #fyp'
+    });
+  });
+
+  test('covers without a size sort first; the last one listed is the thumbnail when none is given', async () => {
+    const info = await infoFor('tiktok', url);
+    expect(info.thumbnail).toBe('https://p16-sign-va.tiktokcdn.com/obj/origin-cover.image');
+    expect(info.thumbnails).toEqual([
+      { url: 'https://p16-sign-va.tiktokcdn.com/obj/dynamic-cover.image', width: null, height: null },
+      { url: 'https://p16-sign-va.tiktokcdn.com/obj/cover.image', width: 576, height: 1024 },
+      { url: 'https://p16-sign-va.tiktokcdn.com/obj/origin-cover.image', width: 720, height: 1280 }
+    ]);
+  });
+
+  test('muxed formats with the mirror and the watermarked copy collapsed into the best-bitrate one', async () => {
+    const info = await infoFor('tiktok', url);
+    expect(ids(info)).toEqual(['bytevc1_720p_754322-0', 'h264_540p_1094621-0']);
+    expect(info.formats.map((f) => [f.quality, f.vcodec, f.acodec, f.hasAudio])).toEqual([
+      ['720p', 'h265', 'aac', true],
+      ['576p', 'h264', 'aac', true]
+    ]);
+  });
+});
+
+describe('x', () => {
+  const url = 'https://x.com/NASA/status/1778123456789012345';
+
+  test('titles the video with the post text alone and credits the account', async () => {
+    const info = await infoFor('x', url);
+    expect(info).toMatchObject({
+      title: 'Liftoff! A new crew is on its way to the @Space_Station.',
+      author: 'NASA',
+      lengthSeconds: 42,
+      viewCount: null
+    });
+  });
+
+  test('falls back to the @handle when there is no display name', async () => {
+    const fixture = require('./__fixtures__/x.json');
+    spawn.mockImplementationOnce(() => fakeRun({ ...fixture, uploader: null }));
+    expect((await ytdlp.getInfo(url)).author).toBe('@NASA');
+  });
+
+  test('thumbnails from the named sizes', async () => {
+    const info = await infoFor('x', url);
+    expect(info.thumbnails.map((t) => t.url.split('name=')[1])).toEqual(['thumb', 'small', 'orig']);
+  });
+
+  test('HLS renditions (known frame rate first), the muxed MP4 and the audio track, without the codec-less HTTP copy', async () => {
+    const info = await infoFor('x', url);
+    expect(ids(info)).toEqual(['hls-2176', 'http-2176', 'hls-256', 'hls-audio-128000-Audio']);
+    expect(info.formats.map((f) => [f.quality, f.hasVideo, f.hasAudio])).toEqual([
+      ['720p', true, false],
+      ['720p', true, true],
+      ['270p', true, false],
+      ['128 kbps', false, true]
+    ]);
+  });
+});
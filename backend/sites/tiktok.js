@@ -0,0 +1,16 @@
+// sites/tiktok.js
+// TikTok videos. The title is the caption (hashtags and all) and the uploader is the @handle.
+
+const { captionTitle } = require("./util");
+
+module.exports = {
+  name: 'tiktok',
+
+  mapInfo(info, raw) {
+    return {
+      ...info,
+      title: captionTitle(raw.description || raw.title) || info.title,
+      author: raw.creator || raw.uploader || info.author
+    };
+  }
+};
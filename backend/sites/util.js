@@ -0,0 +1,13 @@
+// sites/util.js
+// Helpers shared by the site adapters.
+
+const TITLE_MAX_CHARS = 100;
+
+// A title from a post's caption: its first non-empty line without trailing hashtags, cut at TITLE_MAX_CHARS
+function captionTitle(text) {
+  const line = String(text || '').split(/\r?\n/).map((l) => l.trim()).find(Boolean) || '';
+  const title = line.replace(/(\s*#[^\s#]+)+$/, '').replace(/\s*https?:\/\/\S+$/, '').trim() || line;
+  return title.length > TITLE_MAX_CHARS ? `${title.slice(0, TITLE_MAX_CHARS - 1).trimEnd()}…` : title || null;
+}
+
+module.exports = { captionTitle };
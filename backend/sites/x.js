@@ -0,0 +1,16 @@
+// sites/x.js
+// Videos in X (Twitter) posts. yt-dlp titles them "<name> - <post text>"; the post text alone is used.
+
+const { captionTitle } = require("./util");
+
+module.exports = {
+  name: 'x',
+
+  mapInfo(info, raw) {
+    return {
+      ...info,
+      title: captionTitle(raw.description) || info.title,
+      author: raw.uploader || (raw.uploader_id ? `@${raw.uploader_id}` : info.author)
+    };
+  }
+};
@@ -0,0 +1,89 @@
+// staging.js
+// Resumable direct downloads: a finished file is moved into STAGING_DIR under an unguessable token and
+// can be fetched again (with Range) from /api/resume/<token> until it expires, so a client whose
+// connection drops picks up where it stopped instead of starting over.
+//
+//   STAGING_DIR         where staged files live (default <tmpdir>/swift-shorts-staging)
+//   RESUME_TTL_MS       how long a staged file stays available (default 1 hour)
+//   STAGING_MAX_BYTES   byte quota, oldest staged files evicted first; 0 disables staging (default 1 GiB)
+//
+// Tokens live in memory only, so anything left in STAGING_DIR at startup is removed.
+
+const path = require("path");
+const fs = require("fs").promises;
+const os = require("os");
+const crypto = require("crypto");
+
+const STAGING_DIR = process.env.STAGING_DIR || path.join(os.tmpdir(), 'swift-shorts-staging');
+const RESUME_TTL_MS = Number(process.env.RESUME_TTL_MS || 60 * 60 * 1000);
+const STAGING_MAX_BYTES = Number(process.env.STAGING_MAX_BYTES ?? 1024 * 1024 * 1024);
+
+const staged = new Map(); // token -> { token, filepath, filename, contentType, size, expiresAt }
+let moving = 0;           // bytes of files being moved in, already counted against the quota
+
+const initialized = fs.rm(STAGING_DIR, { recursive: true, force: true })
+  .then(() => fs.mkdir(STAGING_DIR, { recursive: true }))
+  .catch((err) => console.warn(`[staging] unable to use ${STAGING_DIR}:`, err?.message || err));
+
+async function moveFile(src, dest) {
+  try {
+    await fs.rename(src, dest);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.copyFile(src, dest);
+    await fs.unlink(src);
+  }
+}
+
+function totalBytes() {
+  let total = 0;
+  staged.forEach((e) => { total += e.size; });
+  return total;
+}
+
+// Drop the oldest staged files until `incoming` more bytes fit the quota
+function evict(incoming) {
+  let total = totalBytes() + moving + incoming;
+  for (const entry of staged.values()) {
+    if (total <= STAGING_MAX_BYTES) break;
+    console.log(`[staging] evicting ${entry.token} (${entry.size} bytes)`);
+    remove(entry.token);
+    total -= entry.size;
+  }
+}
+
+// Move `filepath` (a file the caller is done with) into staging. Resolves to its entry, or null when
+// the file can't be staged (bigger than the quota); the file is left in place in that case.
+async function stage(filepath, { filename, contentType }) {
+  await initialized;
+  const { size } = await fs.stat(filepath);
+  if (!STAGING_MAX_BYTES || size > STAGING_MAX_BYTES) return null;
+  evict(size);
+  const token = crypto.randomBytes(18).toString('base64url');
+  const dest = path.join(STAGING_DIR, `${token}${path.extname(filepath)}`);
+  moving += size;
+  try {
+    await moveFile(filepath, dest);
+  } finally {
+    moving -= size;
+  }
+  const entry = { token, filepath: dest, filename, contentType, size, expiresAt: new Date(Date.now() + RESUME_TTL_MS).toISOString() };
+  staged.set(token, entry);
+  setTimeout(() => remove(token), RESUME_TTL_MS).unref();
+  return entry;
+}
+
+function get(token) {
+  return staged.get(token) || null;
+}
+
+// Drop a staged file early (the client has all of it); false when the token is unknown or expired
+function remove(token) {
+  const entry = staged.get(token);
+  if (!entry) return false;
+  staged.delete(token);
+  fs.unlink(entry.filepath).catch(() => {});
+  return true;
+}
+
+module.exports = { stage, get, remove };
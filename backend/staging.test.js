@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'staging-test-'));
+process.env.STAGING_DIR = path.join(dir, 'staged');
+process.env.STAGING_MAX_BYTES = '10';
+const staging = require('./staging');
+
+function file(name, bytes) {
+  const filepath = path.join(dir, name);
+  fs.writeFileSync(filepath, 'x'.repeat(bytes));
+  return filepath;
+}
+
+const META = { filename: 'video.mp4', contentType: 'video/mp4' };
+
+beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('drops the oldest staged files to make room', async () => {
+  const first = await staging.stage(file('a.mp4', 4), META);
+  const second = await staging.stage(file('b.mp4', 4), META);
+  const third = await staging.stage(file('c.mp4', 4), META);
+  expect(staging.get(first.token)).toBeNull();
+  expect(staging.get(second.token)).toBe(second);
+  expect(staging.get(third.token)).toBe(third);
+  // remove() unlinks in the background
+  for (let i = 0; i < 50 && fs.existsSync(first.filepath); i++) await new Promise((r) => setTimeout(r, 10));
+  expect(fs.existsSync(first.filepath)).toBe(false);
+  expect(fs.existsSync(third.filepath)).toBe(true);
+  staging.remove(second.token);
+  staging.remove(third.token);
+});
+
+test('leaves a file bigger than the quota where it is', async () => {
+  const big = file('big.mp4', 11);
+  await expect(staging.stage(big, META)).resolves.toBeNull();
+  expect(fs.existsSync(big)).toBe(true);
+});
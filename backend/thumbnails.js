@@ -0,0 +1,35 @@
+// thumbnails.js
+// Thumbnail downloads in any resolution the extractors expose, and still frames grabbed with ffmpeg.
+
+const path = require("path");
+const cache = require("./cache");
+const ffmpeg = require("./ffmpeg");
+
+// `index` into the thumbnails list, else the smallest at least `width` wide, else the largest
+function pickThumbnail(thumbnails, { index, width } = {}) {
+  if (!thumbnails.length) return null;
+  if (index != null && index !== '') return thumbnails[Number(index)] || null;
+  const w = Number(width);
+  if (w > 0) return thumbnails.find((t) => t.width && t.width >= w) || thumbnails[thumbnails.length - 1];
+  return thumbnails[thumbnails.length - 1];
+}
+
+// Convert the chosen thumbnail to `format` at `output`. Resolves to { filepath, title, extractor }.
+async function saveThumbnail(url, { index, width, format, output }, tag = 'thumbnail') {
+  const { extractor, result: info } = await cache.getInfo(url, tag);
+  const thumbnails = info.thumbnails && info.thumbnails.length ? info.thumbnails : (info.thumbnail ? [{ url: info.thumbnail }] : []);
+  const thumb = pickThumbnail(thumbnails, { index, width });
+  if (!thumb) throw new Error(index != null && index !== '' ? `No thumbnail at index ${index}` : 'No thumbnail available');
+  await ffmpeg.toImage(thumb.url, output, format);
+  return { filepath: output, title: info.title || null, extractor };
+}
+
+// Download the video into `dir` and grab the frame at `at` seconds; `signal` aborts both
+async function saveFrame(url, { at, format, selector, dir, signal }, tag = 'frame') {
+  const { extractor, result } = await cache.downloadToFile(url, { selector, audioOnly: false, dir, basename: 'source', signal }, tag);
+  const output = path.join(dir, `frame.${format}`);
+  await ffmpeg.grabFrame(result.filepath, { at, format, output, signal });
+  return { filepath: output, title: result.title || null, extractor };
+}
+
+module.exports = { pickThumbnail, saveThumbnail, saveFrame };
@@ -0,0 +1,56 @@
+// download-sw.js
+// Turns a stream the page hands over (see src/lib/download.ts) into an ordinary browser download, so
+// the download manager writes it to disk as it arrives instead of the page buffering the whole file.
+//
+// The page posts { id, filename, size } with a MessagePort, then loads __download__/<id>/<filename> in a
+// hidden iframe. The response body pulls chunks over the port: "pull" asks for the next one, the page
+// answers { chunk } / { done } / { error }; "cancel" tells the page the user cancelled the download.
+
+const PREFIX = new URL('__download__/', self.location).pathname;
+const pending = new Map();
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  const { id, filename, size } = event.data || {};
+  const port = event.ports[0];
+  if (!id || !port) return;
+  pending.set(id, { filename, size, port });
+  port.postMessage('ready');
+});
+
+self.addEventListener('fetch', (event) => {
+  const { pathname } = new URL(event.request.url);
+  if (!pathname.startsWith(PREFIX)) return;
+  const id = pathname.slice(PREFIX.length).split('/')[0];
+  const download = pending.get(id);
+  // unknown ids (e.g. a reloaded frame) go to the network and 404
+  if (!download) return;
+  pending.delete(id);
+
+  const { filename, size, port } = download;
+  const body = new ReadableStream({
+    pull(controller) {
+      return new Promise((resolve) => {
+        port.onmessage = ({ data }) => {
+          if (data.error) controller.error(new Error(data.error));
+          else if (data.done) controller.close();
+          else controller.enqueue(data.chunk);
+          resolve();
+        };
+        port.postMessage('pull');
+      });
+    },
+    cancel() {
+      port.postMessage('cancel');
+    }
+  });
+
+  const headers = {
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`
+  };
+  if (size) headers['Content-Length'] = String(size);
+  event.respondWith(new Response(body, { headers }));
+});
@@ -0,0 +1,129 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
+import { Loader2, LogIn, User } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { supabase } from "@/integrations/supabase/client";
+import { useSession } from "@/hooks/use-session";
+import { importLocalHistory } from "@/lib/history";
+
+// Optional sign-in (an emailed link), so the download history follows the user across devices
+const AccountMenu = () => {
+  const session = useSession();
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const [email, setEmail] = useState("");
+  const [sending, setSending] = useState(false);
+
+  // what was recorded while signed out moves into the account
+  useEffect(() => {
+    const { data } = supabase.auth.onAuthStateChange((event) => {
+      if (event !== "SIGNED_IN") return;
+      // Supabase asks not to call it from inside this callback
+      setTimeout(() => {
+        importLocalHistory()
+          .then((count) => {
+            if (count) toast.success(`Added ${count} items from this browser to your history`);
+            queryClient.invalidateQueries({ queryKey: ["history"] });
+          })
+          .catch((err) => console.warn("could not import local history", err));
+      });
+    });
+    return () => data.subscription.unsubscribe();
+  }, [queryClient]);
+
+  const handleSignIn = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSending(true);
+    const { error } = await supabase.auth.signInWithOtp({
+      email: email.trim(),
+      options: { emailRedirectTo: window.location.href },
+    });
+    setSending(false);
+    if (error) {
+      toast.error(`Could not send the sign-in link: ${error.message}`);
+      return;
+    }
+    setOpen(false);
+    toast.success("Check your email for a sign-in link");
+  };
+
+  const handleSignOut = async () => {
+    await supabase.auth.signOut();
+    queryClient.invalidateQueries({ queryKey: ["history"] });
+  };
+
+  if (session === undefined) return null;
+
+  if (session) {
+    return (
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="ghost" size="icon" aria-label="Account">
+            <User className="w-5 h-5" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end">
+          <DropdownMenuLabel className="font-normal text-muted-foreground">{session.user.email}</DropdownMenuLabel>
+          <DropdownMenuSeparator />
+          <DropdownMenuItem asChild>
+            <Link to="/history">History</Link>
+          </DropdownMenuItem>
+          <DropdownMenuItem onClick={handleSignOut}>Sign out</DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+    );
+  }
+
+  return (
+    <>
+      <Button variant="ghost" size="sm" onClick={() => setOpen(true)}>
+        <LogIn className="w-4 h-4 mr-2" />
+        Sign in
+      </Button>
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="max-w-sm">
+          <DialogHeader>
+            <DialogTitle>Sign in</DialogTitle>
+            <DialogDescription>
+              We'll email you a link. Signing in keeps your download history across devices; without it, it stays in this
+              browser.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSignIn} className="flex gap-2">
+            <Input
+              type="email"
+              required
+              placeholder="you@example.com"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="flex-1"
+            />
+            <Button type="submit" disabled={sending}>
+              {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : "Send link"}
+            </Button>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default AccountMenu;
@@ -0,0 +1,312 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { ListPlus, Loader2, RotateCcw, Upload, X } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { cn } from "@/lib/utils";
+import { api, describeError, formatBytes } from "@/lib/api";
+import { saveResponse, stripUnsafe, type DownloadProgress } from "@/lib/download";
+import { buildFormatOptions } from "@/lib/formats";
+import { SITES } from "@/lib/sites";
+import { recordHistory } from "@/lib/history";
+import {
+  PARALLELISM_CHOICES,
+  itemsFromText,
+  loadQueue,
+  saveQueue,
+  type QueueItem,
+  type QueueStatus,
+} from "@/lib/queue";
+
+type UpdateItem = (id: string, patch: Partial<QueueItem>) => void;
+
+const STATUS_LABELS: Record<QueueStatus, string> = {
+  pending: "Waiting for info",
+  fetching: "Fetching info",
+  ready: "Ready",
+  queued: "Queued",
+  downloading: "Downloading",
+  done: "Done",
+  failed: "Failed",
+};
+
+const STATUS_VARIANTS: Partial<Record<QueueStatus, "default" | "secondary" | "destructive" | "outline">> = {
+  done: "default",
+  failed: "destructive",
+  downloading: "secondary",
+  fetching: "secondary",
+};
+
+// Each task returns the item's final state
+const fetchInfo = async (item: QueueItem, update: UpdateItem, signal: AbortSignal): Promise<Partial<QueueItem>> => {
+  update(item.id, { status: "fetching", error: null });
+  const info = await api.getVideoInfo(item.url, { signal });
+  return {
+    status: "ready",
+    info: { title: info.title ?? item.url, thumbnail: info.thumbnail, author: info.author, formats: info.formats },
+  };
+};
+
+const download = async (item: QueueItem, update: UpdateItem, signal: AbortSignal): Promise<Partial<QueueItem>> => {
+  update(item.id, { status: "downloading", error: null, progress: null });
+  const audio = item.format === "audio";
+  const option = audio ? null : buildFormatOptions(item.info?.formats ?? [], false).find((o) => o.value === item.format);
+  const request = audio ? { url: item.url, format: "mp3" as const } : { url: item.url, quality: option ? option.selector : item.format };
+  const options = { signal, onProgress: (progress: DownloadProgress) => update(item.id, { progress }) };
+  const file = audio ? await api.downloadAudio(request, options) : await api.downloadVideo(request, options);
+  await saveResponse(file.response, `${stripUnsafe(item.info?.title ?? "video")}.${audio ? "mp3" : "mp4"}`, { signal });
+  recordHistory({ action: audio ? "audio" : "download", url: item.url, ...item.info, request });
+  return { status: "done", progress: null };
+};
+
+// Many links at once: each gets its info fetched, a format picked and is then downloaded in the browser,
+// `parallelism` at a time. The queue is kept in localStorage, so a reload resumes it.
+const BatchQueue = () => {
+  const [{ items, parallelism }, setQueue] = useState(loadQueue);
+  const [links, setLinks] = useState("");
+  const [dragging, setDragging] = useState(false);
+  const fileInput = useRef<HTMLInputElement>(null);
+  // running items' controllers, so removing an item stops it
+  const running = useRef(new Map<string, AbortController>());
+
+  const setItems = useCallback(
+    (change: (items: QueueItem[]) => QueueItem[]) => setQueue((queue) => ({ ...queue, items: change(queue.items) })),
+    [],
+  );
+  const update = useCallback<UpdateItem>(
+    (id, patch) => setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item))),
+    [setItems],
+  );
+
+  useEffect(() => saveQueue({ items, parallelism }), [items, parallelism]);
+
+  // Start what's waiting whenever a slot is free
+  useEffect(() => {
+    const waiting = items.filter((item) => (item.status === "pending" || item.status === "queued") && !running.current.has(item.id));
+    waiting.slice(0, Math.max(0, parallelism - running.current.size)).forEach((item) => {
+      const controller = new AbortController();
+      running.current.set(item.id, controller);
+      const task = item.status === "pending" ? fetchInfo : download;
+      task(item, update, controller.signal)
+        .catch((err): Partial<QueueItem> | null => {
+          // removed from the queue (or the page is going away)
+          if (controller.signal.aborted) return null;
+          console.error("queue item error", err);
+          return { status: "failed", error: describeError(err, ""), progress: null };
+        })
+        .then((patch) => {
+          // free the slot before the update re-runs this effect
+          running.current.delete(item.id);
+          if (patch) update(item.id, patch);
+        });
+    });
+  }, [items, parallelism, update]);
+
+  useEffect(() => {
+    const controllers = running.current;
+    return () => controllers.forEach((controller) => controller.abort());
+  }, []);
+
+  const addLinks = (text: string) => {
+    const added = itemsFromText(text, items);
+    if (added.items.length) setItems((prev) => [...prev, ...added.items]);
+    const skipped = [
+      added.invalid && `${added.invalid} not a supported video link`,
+      added.duplicates && `${added.duplicates} already queued`,
+    ].filter(Boolean);
+    if (!added.items.length) toast.error(skipped.length ? `No links added (${skipped.join(", ")})` : "Paste some video links first");
+    else if (skipped.length) toast.info(`Added ${added.items.length} (skipped ${skipped.join(", ")})`);
+    return added.items.length > 0;
+  };
+
+  const handleAdd = () => {
+    if (addLinks(links)) setLinks("");
+  };
+
+  const addFiles = async (files: FileList | null) => {
+    const texts = await Promise.all([...(files ?? [])].map((file) => file.text()));
+    if (texts.length) addLinks(texts.join("\n"));
+  };
+
+  const remove = (item: QueueItem) => {
+    running.current.get(item.id)?.abort();
+    setItems((prev) => prev.filter((i) => i.id !== item.id));
+  };
+
+  const retry = (item: QueueItem) => update(item.id, { status: item.info ? "queued" : "pending", error: null });
+
+  const ready = items.filter((item) => item.status === "ready");
+  const finished = items.filter((item) => item.status === "done");
+
+  return (
+    <div className="space-y-4">
+      <div
+        className={cn("rounded-md transition-shadow", dragging && "ring-2 ring-primary")}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          // text files, or links dragged in as text
+          if (e.dataTransfer.files.length) addFiles(e.dataTransfer.files);
+          else addLinks(e.dataTransfer.getData("text/plain"));
+        }}
+      >
+        <Textarea
+          placeholder="Paste video links, one per line, or drop a text file with them here"
+          value={links}
+          onChange={(e) => setLinks(e.target.value)}
+          rows={4}
+        />
+      </div>
+      <div className="flex gap-2">
+        <Button type="button" onClick={handleAdd} className="flex-1 bg-gradient-primary hover:opacity-90">
+          <ListPlus className="w-4 h-4 mr-2" />
+          Add to queue
+        </Button>
+        <Button type="button" variant="outline" onClick={() => fileInput.current?.click()}>
+          <Upload className="w-4 h-4 mr-2" />
+          Load file
+        </Button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".txt,.csv,text/plain"
+          multiple
+          hidden
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {items.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-muted-foreground">At a time:</span>
+            <Select
+              value={String(parallelism)}
+              onValueChange={(val) => setQueue((queue) => ({ ...queue, parallelism: Number(val) }))}
+            >
+              <SelectTrigger className="w-16 h-8">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {PARALLELISM_CHOICES.map((n) => (
+                  <SelectItem key={n} value={String(n)}>
+                    {n}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <div className="ml-auto flex gap-2">
+              {finished.length > 0 && (
+                <Button type="button" variant="ghost" size="sm" onClick={() => setItems((prev) => prev.filter((i) => i.status !== "done"))}>
+                  Clear finished
+                </Button>
+              )}
+              <Button type="button" variant="ghost" size="sm" onClick={() => items.forEach(remove)}>
+                Clear all
+              </Button>
+              <Button
+                type="button"
+                size="sm"
+                disabled={!ready.length}
+                onClick={() => setItems((prev) => prev.map((i) => (i.status === "ready" ? { ...i, status: "queued" } : i)))}
+              >
+                Download {ready.length > 0 ? ready.length : ""} ready
+              </Button>
+            </div>
+          </div>
+
+          <ul className="space-y-2">
+            {items.map((item) => {
+              const options = item.info ? buildFormatOptions(item.info.formats, false) : [];
+              const editable = item.status === "ready" || item.status === "failed";
+              return (
+                <li key={item.id} className="flex gap-3 items-start rounded-md border p-3">
+                  {item.info?.thumbnail ? (
+                    <img src={item.info.thumbnail} alt="" className="w-14 h-14 rounded object-cover shrink-0" />
+                  ) : (
+                    <div className="w-14 h-14 rounded bg-muted shrink-0 flex items-center justify-center">
+                      {item.status === "fetching" && <Loader2 className="w-5 h-5 animate-spin text-muted-foreground" />}
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0 space-y-1">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium truncate" title={item.url}>
+                        {item.info?.title ?? item.url}
+                      </span>
+                      <Badge variant={STATUS_VARIANTS[item.status] ?? "outline"} className="shrink-0">
+                        {STATUS_LABELS[item.status]}
+                      </Badge>
+                    </div>
+                    <div className="text-xs text-muted-foreground truncate">
+                      {SITES[item.site].label}
+                      {item.info?.author ? ` · ${item.info.author}` : ""}
+                    </div>
+                    {item.error && <p className="text-xs text-destructive">{item.error}</p>}
+                    {item.status === "downloading" && item.progress && (
+                      <div className="space-y-1">
+                        <Progress
+                          value={item.progress.total ? (item.progress.loaded / item.progress.total) * 100 : 100}
+                          className={cn("h-1.5", !item.progress.total && "animate-pulse")}
+                        />
+                        <p className="text-xs text-muted-foreground text-right">
+                          {formatBytes(item.progress.loaded)}
+                          {item.progress.total ? ` of ${formatBytes(item.progress.total)}` : ""}
+                        </p>
+                      </div>
+                    )}
+                    {item.info && (
+                      <Select value={item.format} onValueChange={(format) => update(item.id, { format })} disabled={!editable}>
+                        <SelectTrigger className="h-8 text-xs">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="highest">Highest quality</SelectItem>
+                          <SelectItem value="lowest">Lowest quality</SelectItem>
+                          {options.map((o) => (
+                            <SelectItem key={o.value} value={o.value}>
+                              {o.label}
+                            </SelectItem>
+                          ))}
+                          <SelectItem value="audio">Audio – MP3</SelectItem>
+                        </SelectContent>
+                      </Select>
+                    )}
+                  </div>
+                  <div className="flex shrink-0">
+                    {item.status === "failed" && (
+                      <Button type="button" variant="ghost" size="icon" onClick={() => retry(item)} aria-label="Retry">
+                        <RotateCcw className="w-4 h-4" />
+                      </Button>
+                    )}
+                    <Button type="button" variant="ghost" size="icon" onClick={() => remove(item)} aria-label="Remove">
+                      <X className="w-4 h-4" />
+                    </Button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchQueue;
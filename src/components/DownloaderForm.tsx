@@ -1,9 +1,12 @@
 // src/components/downloaderForm.tsx
-import { useState } from "react";
-import { Download, Loader2, CheckCircle2 } from "lucide-react";
+import { useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Download, Loader2, CheckCircle2, X, Youtube, Instagram, Twitter, Music2, Server, type LucideIcon } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Card } from "@/components/ui/card";
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Progress } from "@/components/ui/progress";
 import {
   Select,
   SelectContent,
@@ -12,101 +15,127 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { toast } from "sonner";
-
-interface BackendFormat {
-  quality?: string | null;    // qualityLabel or null
-  container?: string | null;
-  hasAudio?: boolean;
-  hasVideo?: boolean;
-  itag?: number | string;
-}
-
-interface VideoResult {
-  title: string;
-  thumbnail: string;
-  formats: BackendFormat[];
-  author?: string;
-  lengthSeconds?: string;
-  viewCount?: string;
-  description?: string;
-}
-
-const BACKEND = (import.meta.env.VITE_BACKEND_URL as string) || (typeof window !== "undefined" ? window.location.origin : "http://localhost:3000");
+import { cn } from "@/lib/utils";
+import { discardSaveFile, pickSaveFile, saveResponse, stripUnsafe, type DownloadProgress } from "@/lib/download";
+import { SITES, parseVideoUrl, type Site } from "@/lib/sites";
+import { api, describeError, formatBytes } from "@/lib/api";
+import { buildFormatOptions, type FormatSelector } from "@/lib/formats";
+import { loadQueue } from "@/lib/queue";
+import { recordHistory } from "@/lib/history";
+import BatchQueue from "@/components/BatchQueue";
+import type {
+  AudioBitrate,
+  AudioFormat,
+  AudioRequest,
+  CaptionTrack,
+  Download as FileDownload,
+  DownloadRequest,
+  VideoInfo,
+} from "@/services/apiClient";
+
+type OutputFormat = "video" | "mp3" | "m4a" | "opus" | "wav";
+
+const OUTPUT_FORMATS: { value: OutputFormat; label: string }[] = [
+  { value: "video", label: "Video (MP4)" },
+  { value: "mp3", label: "Audio – MP3" },
+  { value: "m4a", label: "Audio – M4A (AAC)" },
+  { value: "opus", label: "Audio – Opus" },
+  { value: "wav", label: "Audio – WAV (lossless)" },
+];
+
+// kbps; WAV ignores the bitrate
+const AUDIO_BITRATES = ["96", "128", "192", "256", "320"];
+
+const IMAGE_FORMATS = ["jpg", "webp", "png"] as const;
+type ImageFormat = (typeof IMAGE_FORMATS)[number];
+
+const CAPTION_FORMATS = ["srt", "vtt", "txt"] as const;
+type CaptionFormat = (typeof CAPTION_FORMATS)[number];
+
+// "id=22, width=720, height=1280, ..."
+const describeFormat = (format: FileDownload["format"]) =>
+  Object.entries(format ?? {}).map(([key, value]) => `${key}=${value}`).join(", ");
+
+// Select values need to be unique, and a language can have both a manual and an auto track
+const captionKey = (c: CaptionTrack) => `${c.lang}${c.auto ? ":auto" : ""}`;
+
+// lucide has no TikTok mark
+const SITE_ICONS: Record<Site, LucideIcon> = {
+  youtube: Youtube,
+  instagram: Instagram,
+  tiktok: Music2,
+  x: Twitter,
+};
 
 const DownloaderForm = () => {
+  // one URL with all the options, or the batch queue
+  const [mode, setMode] = useState<"single" | "batch">(() => (loadQueue().items.length ? "batch" : "single"));
   const [url, setUrl] = useState("");
   const [loadingInfo, setLoadingInfo] = useState(false);
+  const navigate = useNavigate();
   const [downloading, setDownloading] = useState(false);
-  const [result, setResult] = useState<VideoResult | null>(null);
-  const [selectedItag, setSelectedItag] = useState<string | number | null>("highest");
-  const [audioOnly, setAudioOnly] = useState(false);
-
-  const validateUrl = (url: string) => {
-    const regex = /^(https?:\/\/)?(www\.)?(youtube\.com\/shorts\/|youtu\.be\/)[a-zA-Z0-9_-]+/;
-    return regex.test(url);
-  };
+  // set while a server-side save runs; the download's progress bar and Cancel button follow it too
+  const [savingToServer, setSavingToServer] = useState(false);
+  // aborting the request also makes the server stop the download (or cancels the save job)
+  const downloadAbort = useRef<AbortController | null>(null);
+  const [progress, setProgress] = useState<DownloadProgress | null>(null);
+  const [result, setResult] = useState<VideoInfo | null>(null);
+  // "highest", "lowest" or the value of one of formatOptions
+  const [selectedFormat, setSelectedFormat] = useState("highest");
+  const [outputFormat, setOutputFormat] = useState<OutputFormat>("video");
+  const [bitrate, setBitrate] = useState("192");
+  const audioOnly = outputFormat !== "video";
+  const [embedMetadata, setEmbedMetadata] = useState(false);
+  // Optional trim (seconds or mm:ss / hh:mm:ss); the backend also honors a t= in the URL
+  const [clipStart, setClipStart] = useState("");
+  const [clipEnd, setClipEnd] = useState("");
+  const [captionKeySel, setCaptionKeySel] = useState("");
+  const [captionFormat, setCaptionFormat] = useState<CaptionFormat>("srt");
+  const [embedCaptions, setEmbedCaptions] = useState(false);
+  const [downloadingCaptions, setDownloadingCaptions] = useState(false);
+  const formatOptions = result ? buildFormatOptions(result.formats, audioOnly) : [];
+  const selectedCaption = result?.captions?.find((c) => captionKey(c) === captionKeySel) ?? null;
+  // index into result.thumbnails (smallest first); the backend converts to imageFormat
+  const [thumbnailIndex, setThumbnailIndex] = useState("");
+  const [imageFormat, setImageFormat] = useState<ImageFormat>("jpg");
+  const [frameAt, setFrameAt] = useState("");
+  const [savingImage, setSavingImage] = useState<"thumbnail" | "frame" | null>(null);
+
+  // the pasted link's platform, shown as an icon in the URL field
+  const site = url.trim() ? parseVideoUrl(url).site : null;
+  const SiteIcon = site ? SITE_ICONS[site] : null;
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
-    if (!url) {
-      toast.error("Please enter a YouTube Shorts URL");
-      return;
-    }
-
-    if (!validateUrl(url)) {
-      toast.error("Please enter a valid YouTube Shorts URL");
+    const video = parseVideoUrl(url);
+    if (video.ok === false) {
+      toast.error(video.message);
       return;
     }
 
     setLoadingInfo(true);
     setResult(null);
-    setSelectedItag("highest");
+    setSelectedFormat("highest");
+    setCaptionKeySel("");
+    setEmbedCaptions(false);
+    setThumbnailIndex("");
 
     try {
-      const res = await fetch(`${BACKEND}/api/video-info`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ url }),
-      });
-
-      if (!res.ok) {
-        const body = await res.json().catch(() => ({}));
-        throw new Error(body.error || body.message || res.statusText);
-      }
+      const info = await api.getVideoInfo(url);
 
-      const json = await res.json();
-
-      // Map backend formats to the shape we use in UI
-      const formats: BackendFormat[] = (json.formats || []).map((f: any) => ({
-        quality: f.quality || (f.qualityLabel ?? null),
-        container: f.container ?? null,
-        hasAudio: f.hasAudio ?? null,
-        hasVideo: f.hasVideo ?? null,
-        itag: f.itag ?? null,
-      }));
-
-      setResult({
-        title: json.title ?? "Unknown title",
-        thumbnail: json.thumbnail ?? "https://source.unsplash.com/random/400x300/?video",
-        formats,
-        author: json.author,
-        lengthSeconds: json.lengthSeconds,
-        viewCount: json.viewCount,
-        description: json.description,
-      });
-
-      // Prefer selecting the highest available itag if present
-      if (formats.length > 0) {
-        // pick first format with hasVideo & hasAudio or fallback to first
-        const preferred = formats.find(f => f.hasVideo && f.hasAudio) || formats[0];
-        setSelectedItag(preferred.itag ?? "highest");
-      }
+      setResult({ ...info, thumbnail: info.thumbnail ?? "https://source.unsplash.com/random/400x300/?video" });
+      if (info.thumbnails.length) setThumbnailIndex(String(info.thumbnails.length - 1));
+
+      // Default to the first manual track, else whatever is available
+      const defaultTrack = info.captions.find((c) => !c.auto) || info.captions[0];
+      if (defaultTrack) setCaptionKeySel(captionKey(defaultTrack));
 
       toast.success("Video information retrieved!");
-    } catch (err: any) {
+      recordHistory({ action: "info", url, title: info.title, author: info.author, thumbnail: info.thumbnail });
+    } catch (err) {
       console.error("video-info error", err);
-      toast.error("Failed to fetch video info: " + (err.message || err));
+      toast.error(describeError(err, "Failed to fetch video info: "));
     } finally {
       setLoadingInfo(false);
     }
@@ -118,69 +147,141 @@ const DownloaderForm = () => {
       return;
     }
 
-    if (!selectedItag) {
-      toast.error("Please pick a format");
-      return;
-    }
-
+    const controller = new AbortController();
+    downloadAbort.current = controller;
     setDownloading(true);
+    setProgress(null);
+    let file: FileSystemFileHandle | null = null;
     try {
-      // When backend expects quality string, we send the itag if available (safer),
-      // otherwise send 'highest'
-      const qualityParam = selectedItag ?? "highest";
-
-      let res: Response;
+      // fallback to title if the disposition has no filename
+      const ext = audioOnly ? `.${outputFormat}` : ".mp4";
+      const fallbackName = stripUnsafe(result?.title ?? (audioOnly ? "audio" : "video")) + ext;
+      // the save dialog (where supported) needs the click's user activation, so it opens before the request
+      file = await pickSaveFile(fallbackName);
+
+      // "highest"/"lowest" as is, otherwise the option's selector object
+      const option = formatOptions.find((o) => o.value === selectedFormat);
+      const qualityParam: string | FormatSelector = option ? option.selector : selectedFormat;
+
+      const clip: { start?: string; end?: string } = {};
+      if (clipStart.trim()) clip.start = clipStart.trim();
+      if (clipEnd.trim()) clip.end = clipEnd.trim();
+      const extras = { ...clip, ...(embedMetadata ? { embedMetadata: true } : {}) };
+      // soft subtitle track; only MP4 video output can carry it
+      const subtitles = !audioOnly && embedCaptions && selectedCaption ? { captions: selectedCaption.lang } : {};
+
+      const options = { signal: controller.signal, onProgress: setProgress };
+      let download: FileDownload;
+      // what was asked for, so the history can repeat it
+      let request: DownloadRequest | AudioRequest;
       if (audioOnly) {
         // Use audio-only endpoint. If user selected a format itag, include it as quality.
-        const body: any = { url };
-        if (qualityParam && String(qualityParam) !== "highest") body.quality = qualityParam;
-
-        res = await fetch(`${BACKEND}/api/download-audio`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(body),
-        });
+        const audio: AudioRequest = { url, format: outputFormat as AudioFormat, ...extras };
+        if (outputFormat !== "wav") audio.bitrate = Number(bitrate) as AudioBitrate;
+        if (qualityParam !== "highest") audio.quality = qualityParam;
+        request = audio;
+        download = await api.downloadAudio(audio, options);
       } else {
-        res = await fetch(`${BACKEND}/api/download`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ url, quality: qualityParam }),
-        });
+        const video: DownloadRequest = { url, quality: qualityParam, ...extras, ...subtitles };
+        request = video;
+        download = await api.downloadVideo(video, options);
       }
 
-      if (!res.ok) {
-        const body = await res.json().catch(() => ({}));
-        throw new Error(body.error || body.message || res.statusText);
-      }
+      // written to disk as it arrives where the browser allows it
+      await saveResponse(download.response, fallbackName, { file, signal: controller.signal });
 
-  const disposition = res.headers.get("Content-Disposition") || "";
-      // try to extract filename from disposition
-      let filename = "video.mp4";
-      const match = /filename\*?=.*?''?([^;"]+)/i.exec(disposition);
-      if (match && match[1]) {
-        filename = decodeURIComponent(match[1]);
-      } else {
-        // fallback to title if available
-        const ext = audioOnly ? ".mp3" : ".mp4";
-        filename = (result?.title ?? (audioOnly ? "audio" : "video")).replace(/[\/\\?%*:|"<>]/g, "") + ext;
+      // the backend sends the closest format it had when the selected one isn't available
+      if (download.formatFallback.length && download.format) {
+        toast.info(`Selected format unavailable, downloaded ${describeFormat(download.format)}`);
+      }
+      toast.success("Download complete");
+      recordHistory({ action: audioOnly ? "audio" : "download", url, title: result?.title, author: result?.author, thumbnail: result?.thumbnail, request });
+    } catch (err) {
+      await discardSaveFile(file);
+      // also a dismissed save dialog
+      if (controller.signal.aborted || (err as Error)?.name === "AbortError") {
+        toast.info("Download cancelled");
+        return;
       }
-
-      const blob = await res.blob();
-      const blobUrl = window.URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = blobUrl;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      window.URL.revokeObjectURL(blobUrl);
-
-      toast.success("Download started");
-    } catch (err: any) {
       console.error("download error", err);
-      toast.error("Download failed: " + (err.message || err));
+      toast.error(describeError(err, "Download failed: "));
     } finally {
+      downloadAbort.current = null;
       setDownloading(false);
+      setProgress(null);
+    }
+  };
+
+  const handleCancelDownload = () => downloadAbort.current?.abort();
+
+  // Save into the server's library instead of this device (video only; see the Library page)
+  const handleSaveToServer = async () => {
+    if (!url) return;
+
+    const controller = new AbortController();
+    downloadAbort.current = controller;
+    setSavingToServer(true);
+    setProgress(null);
+    try {
+      const option = formatOptions.find((o) => o.value === selectedFormat);
+      const request = { quality: option ? option.selector : selectedFormat, embedMetadata };
+      const job = await api.saveToServer(
+        { url, ...request },
+        {
+          signal: controller.signal,
+          onUpdate: (j) => j.bytes > 0 && setProgress({ loaded: j.bytes, total: j.totalBytes || null }),
+        },
+      );
+      const openLibrary = { label: "Open library", onClick: () => navigate("/library") };
+      if (job.result?.duplicate === "skipped") toast.info("This video is already in your library", { action: openLibrary });
+      else toast.success("Saved to your library", { action: openLibrary });
+      recordHistory({ action: "server-save", url, title: result?.title, author: result?.author, thumbnail: result?.thumbnail, request });
+    } catch (err) {
+      if (controller.signal.aborted || (err as Error)?.name === "AbortError") {
+        toast.info("Save cancelled");
+        return;
+      }
+      console.error("download-to-server error", err);
+      toast.error(describeError(err, "Save to server failed: "));
+    } finally {
+      downloadAbort.current = null;
+      setSavingToServer(false);
+      setProgress(null);
+    }
+  };
+
+  const handleDownloadCaptions = async () => {
+    if (!url || !selectedCaption) return;
+
+    setDownloadingCaptions(true);
+    try {
+      const download = await api.downloadCaptions({ url, lang: selectedCaption.lang, auto: !!selectedCaption.auto, format: captionFormat });
+      const title = stripUnsafe(result?.title ?? "captions");
+      await saveResponse(download.response, `${title}.${selectedCaption.lang}.${captionFormat}`);
+      toast.success("Captions downloaded");
+    } catch (err) {
+      console.error("captions error", err);
+      toast.error(describeError(err, "Captions download failed: "));
+    } finally {
+      setDownloadingCaptions(false);
+    }
+  };
+
+  const handleSaveImage = async (kind: "thumbnail" | "frame") => {
+    if (!url) return;
+
+    setSavingImage(kind);
+    try {
+      const download = kind === "thumbnail"
+        ? await api.downloadThumbnail({ url, format: imageFormat, ...(thumbnailIndex ? { index: Number(thumbnailIndex) } : {}) })
+        : await api.downloadFrame({ url, format: imageFormat, ...(frameAt.trim() ? { at: frameAt.trim() } : {}) });
+      await saveResponse(download.response, `${stripUnsafe(result?.title ?? kind)}.${imageFormat}`);
+      toast.success(kind === "thumbnail" ? "Thumbnail saved" : "Frame saved");
+    } catch (err) {
+      console.error(`${kind} error`, err);
+      toast.error(describeError(err, `Could not save ${kind}: `));
+    } finally {
+      setSavingImage(null);
     }
   };
 
@@ -192,15 +293,35 @@ const DownloaderForm = () => {
             Download YouTube Shorts
           </h2>
 
-          <form onSubmit={handleSubmit} className="space-y-4">
+          <Tabs value={mode} onValueChange={(val) => setMode(val as "single" | "batch")} className="mb-6">
+            <TabsList className="grid w-full grid-cols-2">
+              <TabsTrigger value="single">One video</TabsTrigger>
+              <TabsTrigger value="batch">Many videos</TabsTrigger>
+            </TabsList>
+          </Tabs>
+
+          {/* kept mounted while hidden so switching tabs doesn't stop the queue */}
+          <div className={cn(mode !== "batch" && "hidden")}>
+            <BatchQueue />
+          </div>
+
+          <form onSubmit={handleSubmit} className={cn("space-y-4", mode !== "single" && "hidden")}>
             <div className="flex gap-2">
-              <Input
-                type="text"
-                placeholder="Paste YouTube Shorts URL (e.g., https://youtube.com/shorts/abc123)"
-                value={url}
-                onChange={(e) => setUrl(e.target.value)}
-                className="flex-1 h-12 text-base"
-              />
+              <div className="relative flex-1">
+                {SiteIcon && (
+                  <SiteIcon
+                    className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-muted-foreground"
+                    aria-label={SITES[site].label}
+                  />
+                )}
+                <Input
+                  type="text"
+                  placeholder="Paste a Shorts, Reels, TikTok or X video URL (e.g., https://youtube.com/shorts/abc123)"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  className={cn("h-12 text-base", SiteIcon && "pl-11")}
+                />
+              </div>
               <Button
                 type="submit"
                 disabled={loadingInfo}
@@ -218,7 +339,7 @@ const DownloaderForm = () => {
             </div>
           </form>
 
-          {result && (
+          {mode === "single" && result && (
             <div className="mt-8 animate-scale-in">
               <div className="flex gap-4 items-start mb-6">
                 <img
@@ -240,34 +361,48 @@ const DownloaderForm = () => {
               </div>
 
               <div className="space-y-3">
-                <div className="flex items-center justify-between">
-                  <label className="text-sm font-medium">Select Quality:</label>
-                  <label className="inline-flex items-center text-sm gap-2">
-                    <input type="checkbox" checked={audioOnly} onChange={(e) => setAudioOnly(e.target.checked)} />
-                    <span className="text-muted-foreground">Audio only</span>
-                  </label>
+                <div className="flex gap-2">
+                  <Select
+                    value={outputFormat}
+                    onValueChange={(val) => {
+                      // video and audio offer different format options
+                      if ((val === "video") !== (outputFormat === "video")) setSelectedFormat("highest");
+                      setOutputFormat(val as OutputFormat);
+                    }}
+                  >
+                    <SelectTrigger className="flex-1">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {OUTPUT_FORMATS.map((f) => (
+                        <SelectItem key={f.value} value={f.value}>
+                          {f.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+
+                  {audioOnly && outputFormat !== "wav" && (
+                    <Select value={bitrate} onValueChange={setBitrate}>
+                      <SelectTrigger className="w-32">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {AUDIO_BITRATES.map((b) => (
+                          <SelectItem key={b} value={b}>
+                            {b} kbps
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  )}
                 </div>
 
-                <Select
-                  value={String(selectedItag ?? "")}
-                  onValueChange={(val) => {
-                    setSelectedItag(val || null);
-                  }}
-                >
+                <label className="text-sm font-medium block">Select Quality:</label>
+
+                <Select value={selectedFormat} onValueChange={setSelectedFormat}>
                   <SelectTrigger className="w-full">
-                    <SelectValue>
-                      {(() => {
-                        if (!result.formats || result.formats.length === 0) return "No formats";
-                        // Special labels for highest/lowest
-                        if (String(selectedItag) === "highest") return "Highest quality";
-                        if (String(selectedItag) === "lowest") return "Lowest quality";
-
-                        // when audioOnly is selected, prefer audio-capable formats
-                        const available = audioOnly ? result.formats.filter(f => f.hasAudio !== false) : result.formats;
-                        const sel = available.find((f) => String(f.itag) === String(selectedItag));
-                        return sel ? `${sel.quality ?? sel.itag} ${sel.container ? `(${sel.container})` : ""}` : "Select format";
-                      })()}
-                    </SelectValue>
+                    <SelectValue placeholder="Select format" />
                   </SelectTrigger>
 
                   <SelectContent>
@@ -275,54 +410,187 @@ const DownloaderForm = () => {
                     <SelectItem value={"highest"}>Highest quality</SelectItem>
                     <SelectItem value={"lowest"}>Lowest quality</SelectItem>
 
-                    {/* Simplified resolution list */}
-                    {(() => {
-                      const resolutions = [360, 480, 720, 1080, 1440, 2160];
-                      // Build a list of candidate formats to choose from for each resolution
-                      const available = audioOnly ? result.formats.filter(f => f.hasAudio !== false) : result.formats;
-                      const items: any[] = [];
-
-                      resolutions.forEach((r) => {
-                        const qRegex = new RegExp(`\\b${r}p\\b`, "i");
-                        // prefer combined formats (hasAudio && hasVideo) for this resolution
-                        const combined = available.find((f) => f.hasVideo && f.hasAudio && qRegex.test(String(f.quality || "")));
-                        // then any audio-capable format (audio only or combined)
-                        const withAudio = available.find((f) => f.hasAudio && qRegex.test(String(f.quality || "")));
-                        // then video-only formats
-                        const videoOnly = available.find((f) => f.hasVideo && !f.hasAudio && qRegex.test(String(f.quality || "")));
-
-                        const pick = combined || withAudio || videoOnly;
-                        if (pick) {
-                          const hasA = !!pick.hasAudio;
-                          const hasV = !!pick.hasVideo;
-                          const label = `${r}p${hasA && hasV ? "" : hasA ? " (audio only)" : " (video only)"}`;
-                          items.push({ itag: pick.itag, label });
-                        }
-                      });
-
-                      return items.map((it) => (
-                        <SelectItem key={String(it.itag)} value={String(it.itag)}>
-                          {it.label}
-                        </SelectItem>
-                      ));
-                    })()}
+                    {formatOptions.map((o) => (
+                      <SelectItem key={o.value} value={o.value}>
+                        {o.label}
+                      </SelectItem>
+                    ))}
                   </SelectContent>
                 </Select>
 
-                <Button
-                  onClick={handleDownload}
-                  className="w-full h-12 bg-gradient-primary hover:opacity-90"
-                  disabled={downloading}
-                >
-                  {downloading ? (
-                    <Loader2 className="w-5 h-5 animate-spin mr-2" />
-                  ) : (
-                    <>
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="text-sm">
+                    <span className="text-muted-foreground">Start (optional)</span>
+                    <Input
+                      placeholder="0:00"
+                      value={clipStart}
+                      onChange={(e) => setClipStart(e.target.value)}
+                      className="mt-1"
+                    />
+                  </label>
+                  <label className="text-sm">
+                    <span className="text-muted-foreground">End (optional)</span>
+                    <Input
+                      placeholder="e.g. 0:15"
+                      value={clipEnd}
+                      onChange={(e) => setClipEnd(e.target.value)}
+                      className="mt-1"
+                    />
+                  </label>
+                </div>
+
+                <label className="inline-flex items-center text-sm gap-2">
+                  <input type="checkbox" checked={embedMetadata} onChange={(e) => setEmbedMetadata(e.target.checked)} />
+                  <span className="text-muted-foreground">Embed title, channel and cover art</span>
+                </label>
+
+                {result.captions && result.captions.length > 0 && (
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium block">Captions:</label>
+                    <div className="flex gap-2">
+                      <Select value={captionKeySel} onValueChange={setCaptionKeySel}>
+                        <SelectTrigger className="flex-1">
+                          <SelectValue placeholder="Select language" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {result.captions.map((c) => (
+                            <SelectItem key={captionKey(c)} value={captionKey(c)}>
+                              {c.name || c.lang}{c.auto ? " (auto)" : ""}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+
+                      <Select value={captionFormat} onValueChange={(val) => setCaptionFormat(val as CaptionFormat)}>
+                        <SelectTrigger className="w-24">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {CAPTION_FORMATS.map((f) => (
+                            <SelectItem key={f} value={f}>
+                              {f.toUpperCase()}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+
+                      <Button
+                        type="button"
+                        variant="outline"
+                        onClick={handleDownloadCaptions}
+                        disabled={!selectedCaption || downloadingCaptions}
+                      >
+                        {downloadingCaptions ? <Loader2 className="w-4 h-4 animate-spin" /> : "Save"}
+                      </Button>
+                    </div>
+
+                    {!audioOnly && (
+                      <label className="inline-flex items-center text-sm gap-2">
+                        <input type="checkbox" checked={embedCaptions} onChange={(e) => setEmbedCaptions(e.target.checked)} />
+                        <span className="text-muted-foreground">Embed as a subtitle track in the MP4</span>
+                      </label>
+                    )}
+                  </div>
+                )}
+
+                <div className="space-y-2">
+                  <label className="text-sm font-medium block">Thumbnail or frame:</label>
+                  <div className="flex gap-2">
+                    {result.thumbnails && result.thumbnails.length > 1 && (
+                      <Select value={thumbnailIndex} onValueChange={setThumbnailIndex}>
+                        <SelectTrigger className="flex-1">
+                          <SelectValue placeholder="Size" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {result.thumbnails.map((t, i) => (
+                            <SelectItem key={t.url} value={String(i)}>
+                              {t.width && t.height ? `${t.width}×${t.height}` : `Thumbnail ${i + 1}`}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    )}
+
+                    <Select value={imageFormat} onValueChange={(val) => setImageFormat(val as ImageFormat)}>
+                      <SelectTrigger className="w-24">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {IMAGE_FORMATS.map((f) => (
+                          <SelectItem key={f} value={f}>
+                            {f.toUpperCase()}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => handleSaveImage("thumbnail")}
+                      disabled={savingImage !== null}
+                    >
+                      {savingImage === "thumbnail" ? <Loader2 className="w-4 h-4 animate-spin" /> : "Save thumbnail"}
+                    </Button>
+                  </div>
+                  <div className="flex gap-2">
+                    <Input
+                      placeholder="Frame at (e.g. 0:05)"
+                      value={frameAt}
+                      onChange={(e) => setFrameAt(e.target.value)}
+                      className="flex-1"
+                    />
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => handleSaveImage("frame")}
+                      disabled={savingImage !== null}
+                    >
+                      {savingImage === "frame" ? <Loader2 className="w-4 h-4 animate-spin" /> : "Save frame"}
+                    </Button>
+                  </div>
+                </div>
+
+                {(downloading || savingToServer) && progress && (
+                  <div className="space-y-1">
+                    {/* without a Content-Length there's no percentage, so the bar just pulses */}
+                    <Progress
+                      value={progress.total ? (progress.loaded / progress.total) * 100 : 100}
+                      className={cn("h-2", !progress.total && "animate-pulse")}
+                    />
+                    <p className="text-xs text-muted-foreground text-right">
+                      {formatBytes(progress.loaded)}
+                      {progress.total ? ` of ${formatBytes(progress.total)}` : ""}
+                    </p>
+                  </div>
+                )}
+
+                {downloading || savingToServer ? (
+                  <div className="flex gap-2">
+                    <Button className="flex-1 h-12 bg-gradient-primary hover:opacity-90" disabled>
+                      <Loader2 className="w-5 h-5 animate-spin mr-2" />
+                      {savingToServer ? "Saving to server..." : "Downloading..."}
+                    </Button>
+                    <Button variant="outline" className="h-12" onClick={handleCancelDownload}>
+                      <X className="w-5 h-5 mr-2" />
+                      Cancel
+                    </Button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2">
+                    <Button onClick={handleDownload} className="flex-1 h-12 bg-gradient-primary hover:opacity-90">
                       <Download className="w-5 h-5 mr-2" />
                       Download
-                    </>
-                  )}
-                </Button>
+                    </Button>
+                    {/* server-side saves are always MP4 video */}
+                    {!audioOnly && (
+                      <Button variant="outline" className="h-12" onClick={handleSaveToServer}>
+                        <Server className="w-5 h-5 mr-2" />
+                        Save to server
+                      </Button>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -1,6 +1,7 @@
 import { Play } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Link } from "react-router-dom";
+import AccountMenu from "@/components/AccountMenu";
 
 const Header = () => {
   return (
@@ -17,6 +18,12 @@ const Header = () => {
           <Link to="/" className="text-sm font-medium text-muted-foreground hover:text-foreground transition-colors">
             Home
           </Link>
+          <Link to="/library" className="text-sm font-medium text-muted-foreground hover:text-foreground transition-colors">
+            Library
+          </Link>
+          <Link to="/history" className="text-sm font-medium text-muted-foreground hover:text-foreground transition-colors">
+            History
+          </Link>
           <Link to="/about" className="text-sm font-medium text-muted-foreground hover:text-foreground transition-colors">
             About
           </Link>
@@ -28,6 +35,7 @@ const Header = () => {
               Get Started
             </Button>
           </Link>
+          <AccountMenu />
         </nav>
       </div>
     </header>
@@ -0,0 +1,16 @@
+import * as React from "react";
+import type { Session } from "@supabase/supabase-js";
+import { supabase } from "@/integrations/supabase/client";
+
+// The signed-in Supabase session, or null; undefined until it's known
+export function useSession() {
+  const [session, setSession] = React.useState<Session | null | undefined>(undefined);
+
+  React.useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+    const { data } = supabase.auth.onAuthStateChange((_event, next) => setSession(next));
+    return () => data.subscription.unsubscribe();
+  }, []);
+
+  return session;
+}
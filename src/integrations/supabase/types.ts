@@ -14,7 +14,51 @@ export type Database = {
   }
   public: {
     Tables: {
-      [_ in never]: never
+      download_history: {
+        Row: {
+          action: string
+          author: string | null
+          created_at: string
+          favorite: boolean
+          id: string
+          request: Json | null
+          site: string | null
+          thumbnail: string | null
+          title: string | null
+          url: string
+          user_id: string
+          video_id: string | null
+        }
+        Insert: {
+          action: string
+          author?: string | null
+          created_at?: string
+          favorite?: boolean
+          id?: string
+          request?: Json | null
+          site?: string | null
+          thumbnail?: string | null
+          title?: string | null
+          url: string
+          user_id?: string
+          video_id?: string | null
+        }
+        Update: {
+          action?: string
+          author?: string | null
+          created_at?: string
+          favorite?: boolean
+          id?: string
+          request?: Json | null
+          site?: string | null
+          thumbnail?: string | null
+          title?: string | null
+          url?: string
+          user_id?: string
+          video_id?: string | null
+        }
+        Relationships: []
+      }
     }
     Views: {
       [_ in never]: never
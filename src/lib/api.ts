@@ -0,0 +1,48 @@
+// What the pages share for talking to the backend: the API client, the API key it sends (kept in
+// localStorage, see the README's "API keys") and turning its errors into messages.
+import { ShortsDownloaderAPI, type ShortsDownloaderError } from "@/services/apiClient";
+
+export const BACKEND = (import.meta.env.VITE_BACKEND_URL as string) || (typeof window !== "undefined" ? window.location.origin : "http://localhost:3000");
+
+const API_KEY_STORAGE = "swift-shorts-api-key";
+
+export const getApiKey = () => localStorage.getItem(API_KEY_STORAGE) || "";
+
+export const setApiKey = (key: string) => {
+  if (key.trim()) localStorage.setItem(API_KEY_STORAGE, key.trim());
+  else localStorage.removeItem(API_KEY_STORAGE);
+};
+
+export const api = new ShortsDownloaderAPI(BACKEND, { apiKey: getApiKey });
+
+// What to tell the user for the backend's error codes (see backend/errors.js); anything else shows the
+// server's message
+export const ERROR_HINTS: Record<string, string> = {
+  "invalid-url": "That link doesn't point to a supported video.",
+  private: "This video is private or members-only, so it can't be downloaded.",
+  "age-restricted": "This video is age-restricted and can't be downloaded.",
+  "geo-blocked": "This video isn't available in the region our servers are in.",
+  removed: "This video has been removed or doesn't exist.",
+  "live-not-ended": "This is a live stream or premiere that hasn't ended yet. Try again once it's over.",
+  "rate-limited": "YouTube is limiting our requests right now. Please try again in a few minutes.",
+  "too-many-requests": "You're sending requests too quickly. Please wait a moment and try again.",
+  "server-busy": "The server is busy with other downloads. Please try again shortly.",
+  "extractor-missing": "Downloads are unavailable right now. Please try again later.",
+  "storage-full": "The server is out of space for saved downloads. Please try again later.",
+  unauthorized: "This needs an API key. Add one on the Library page.",
+  forbidden: "Your API key isn't allowed to do that.",
+  network: "Couldn't reach the server. Check your connection and try again.",
+  timeout: "The server took too long to answer. Please try again.",
+  expired: "The download expired before it finished. Please start it again.",
+};
+
+export type ApiError = ShortsDownloaderError;
+
+// A tailored message for known codes, else `prefix` and the error's own message
+export const describeError = (err: unknown, prefix: string) => {
+  const hint = ERROR_HINTS[(err as ApiError)?.code ?? ""];
+  return hint ?? prefix + (err instanceof Error ? err.message : String(err));
+};
+
+export const formatBytes = (bytes: number) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
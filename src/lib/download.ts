@@ -0,0 +1,133 @@
+// Saving download responses (see Download in src/services/apiClient.ts) as files without holding them in
+// memory. Best available first:
+//   1. File System Access API (desktop Chromium): the body is piped into a file the user picked.
+//      The picker needs the click's user activation, so callers open it with pickSaveFile() before fetching.
+//   2. public/download-sw.js: a service worker serves the body back to the browser as an ordinary
+//      download, so the browser's download manager writes it to disk as it arrives (Chromium, Firefox, Android).
+//   3. A Blob, which buffers the whole file (Safari, insecure origins, private windows without service workers).
+import { filenameFrom } from "../services/apiClient";
+
+export type { DownloadProgress } from "../services/apiClient";
+
+interface SaveOptions {
+  file?: FileSystemFileHandle | null;
+  signal?: AbortSignal;
+}
+
+type SaveFilePicker = (options: { suggestedName?: string }) => Promise<FileSystemFileHandle>;
+
+const abortError = () => new DOMException("Download cancelled", "AbortError");
+
+// `name` without the characters filesystems reject
+export const stripUnsafe = (name: string) => name.replace(/[/\\?%*:|"<>]/g, "");
+
+// The browser's save dialog where the File System Access API exists, null elsewhere. Call it from a
+// click handler; it rejects with an AbortError when the dialog is dismissed.
+export const pickSaveFile = async (suggestedName: string): Promise<FileSystemFileHandle | null> => {
+  const picker = (window as Window & { showSaveFilePicker?: SaveFilePicker }).showSaveFilePicker;
+  return picker ? picker({ suggestedName }) : null;
+};
+
+// Chromium creates the picked file straight away; remove it again when nothing was saved into it
+export const discardSaveFile = async (file: FileSystemFileHandle | null) => {
+  await (file as (FileSystemFileHandle & { remove?: () => Promise<void> }) | null)?.remove?.().catch(() => {});
+};
+
+let worker: Promise<ServiceWorker | null> | null = null;
+
+// The active download worker, or null where it can't be used
+const downloadWorker = () => {
+  if (!worker) {
+    // Safari doesn't turn service-worker responses into downloads
+    const safari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
+    worker = !safari && window.isSecureContext && "serviceWorker" in navigator && "ReadableStream" in window
+      ? navigator.serviceWorker
+          .register(`${import.meta.env.BASE_URL}download-sw.js`)
+          .then(() => navigator.serviceWorker.ready)
+          .then((registration) => registration.active)
+          .catch((err) => {
+            console.warn("download worker unavailable, buffering downloads in memory", err);
+            return null;
+          })
+      : Promise.resolve(null);
+  }
+  return worker;
+};
+
+// Hand `body` to the worker chunk by chunk as the browser's download pulls it. Resolves once the last
+// chunk is handed over; rejects when the download is cancelled in the browser or `signal` aborts.
+const saveViaWorker = (sw: ServiceWorker, body: ReadableStream<Uint8Array>, filename: string, total: number | null, signal?: AbortSignal) =>
+  new Promise<void>((resolve, reject) => {
+    const id = crypto.randomUUID();
+    const channel = new MessageChannel();
+    const reader = body.getReader();
+    let frame: HTMLIFrameElement | null = null;
+
+    const finish = (err?: unknown) => {
+      signal?.removeEventListener("abort", onAbort);
+      channel.port1.onmessage = null;
+      // the frame's request has handed off to the download manager by now, but give it a moment
+      setTimeout(() => frame?.remove(), 1000);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onAbort = () => {
+      channel.port1.postMessage({ error: "cancelled" });
+      reader.cancel().catch(() => {});
+      finish(abortError());
+    };
+    signal?.addEventListener("abort", onAbort);
+
+    channel.port1.onmessage = async ({ data }) => {
+      if (data === "ready") {
+        frame = document.createElement("iframe");
+        frame.hidden = true;
+        frame.src = `${sw.scriptURL.replace(/[^/]*$/, "")}__download__/${id}/${encodeURIComponent(filename)}`;
+        document.body.appendChild(frame);
+      } else if (data === "cancel") {
+        reader.cancel().catch(() => {});
+        finish(abortError());
+      } else if (data === "pull") {
+        try {
+          const { done, value } = await reader.read();
+          channel.port1.postMessage(done ? { done: true } : { chunk: value });
+          if (done) finish();
+        } catch (err) {
+          channel.port1.postMessage({ error: String(err) });
+          finish(signal?.aborted ? abortError() : err);
+        }
+      }
+    };
+    sw.postMessage({ id, filename, size: total }, [channel.port2]);
+  });
+
+// Save a fetch response as a file, named from Content-Disposition when present. Resolves to the filename.
+export const saveResponse = async (res: Response, fallbackName: string, { file, signal }: SaveOptions = {}) => {
+  const filename = filenameFrom(res.headers, fallbackName);
+  const length = Number(res.headers.get("Content-Length"));
+  const total = length > 0 ? length : null;
+  const body = res.body;
+
+  if (body && file) {
+    // pipeTo discards the partly written file when the download fails or is aborted
+    await body.pipeTo(await file.createWritable(), { signal });
+    return file.name;
+  }
+
+  const sw = body ? await downloadWorker() : null;
+  if (sw) {
+    await saveViaWorker(sw, body, filename, total, signal);
+    return filename;
+  }
+
+  const blob = await res.blob();
+  const blobUrl = window.URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = blobUrl;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.URL.revokeObjectURL(blobUrl);
+  return filename;
+};
@@ -0,0 +1,57 @@
+// Format choices from /api/video-info, shared by the single download form and the batch queue.
+
+import type { FormatSelector, VideoFormat } from "../services/apiClient";
+import { formatBytes } from "./api";
+
+// /api/video-info formats: normalized by the backend, de-duplicated and sorted best first
+export type BackendFormat = VideoFormat;
+
+export type { FormatSelector };
+
+export interface FormatOption {
+  value: string;
+  label: string;
+  selector: FormatSelector;
+}
+
+// One option per resolution/frame rate/codec for video (sent as a selector so every extractor can honor
+// it, merging in audio where needed), one per audio-only format otherwise
+export const buildFormatOptions = (formats: BackendFormat[], audioOnly: boolean): FormatOption[] => {
+  if (audioOnly) {
+    return formats
+      .filter((f) => f.hasAudio && !f.hasVideo)
+      .map((f) => ({
+        value: f.id,
+        label: [f.quality ?? f.id, f.acodec?.toUpperCase(), f.filesize ? `${f.filesizeApprox ? "~" : ""}${formatBytes(f.filesize)}` : null]
+          .filter(Boolean)
+          .join(" · "),
+        selector: { id: f.id },
+      }));
+  }
+
+  const bestAudio = formats.find((f) => f.hasAudio && !f.hasVideo);
+  const options: FormatOption[] = [];
+  formats
+    .filter((f) => f.hasVideo && f.quality)
+    .forEach((f) => {
+      const value = `${f.quality}|${f.vcodec ?? ""}`;
+      if (options.some((o) => o.value === value)) return;
+      // video-only formats get the best audio track merged in, so count it towards the size
+      const extra = f.hasAudio ? 0 : bestAudio?.filesize ?? 0;
+      const size = f.filesize ? f.filesize + extra : null;
+      options.push({
+        value,
+        label: [
+          f.quality,
+          f.vcodec?.toUpperCase(),
+          size ? `${f.filesizeApprox || extra ? "~" : ""}${formatBytes(size)}` : null,
+        ].filter(Boolean).join(" · "),
+        selector: {
+          maxHeight: parseInt(String(f.quality), 10),
+          ...(f.vcodec ? { codec: f.vcodec } : {}),
+          ...(f.fps ? { fps: f.fps } : {}),
+        },
+      });
+    });
+  return options;
+};
@@ -0,0 +1,202 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import { localSupabase, memoryStorage } from "@/test/localSupabase";
+import { importLocalHistory, listHistory, recordHistory, removeHistory, setFavorite } from "./history";
+
+vi.mock("@/integrations/supabase/client", async () => ({
+  supabase: (await import("@/test/localSupabase")).localSupabase.client,
+}));
+
+const SHORT = "https://youtube.com/shorts/dQw4w9WgXcQ?feature=share";
+const REEL = "https://www.instagram.com/reel/C8xQ2mRsT4k/";
+
+const insertAs = (userId: string | null, row: Record<string, unknown>) =>
+  localSupabase.run(userId, "insert into public.download_history (action, url) values ($1, $2) returning *", [row.action, row.url]);
+
+beforeEach(async () => {
+  vi.stubGlobal("localStorage", memoryStorage());
+  await localSupabase.reset();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("download_history migration", () => {
+  test("a row belongs to whoever inserted it", async () => {
+    const alice = await localSupabase.addUser();
+    const [row] = await insertAs(alice, { action: "download", url: SHORT });
+    expect(row).toMatchObject({ user_id: alice, favorite: false, request: null });
+    expect(row.id).toEqual(expect.any(String));
+  });
+
+  test("users only see, change and delete their own rows", async () => {
+    const alice = await localSupabase.addUser();
+    const bob = await localSupabase.addUser();
+    const [own] = await insertAs(alice, { action: "download", url: SHORT });
+    const [other] = await insertAs(bob, { action: "audio", url: REEL });
+
+    expect(await localSupabase.run(alice, "select id from public.download_history")).toEqual([{ id: own.id }]);
+    expect(await localSupabase.run(alice, "update public.download_history set favorite = true where id = $1 returning id", [other.id])).toEqual([]);
+    expect(await localSupabase.run(alice, "delete from public.download_history where id = $1 returning id", [other.id])).toEqual([]);
+    expect(await localSupabase.allRows("download_history")).toEqual([
+      expect.objectContaining({ id: own.id, favorite: false }),
+      expect.objectContaining({ id: other.id, favorite: false }),
+    ]);
+  });
+
+  test("a row can't be added to or moved into someone else's history", async () => {
+    const alice = await localSupabase.addUser();
+    const bob = await localSupabase.addUser();
+    const [own] = await insertAs(alice, { action: "download", url: SHORT });
+
+    await expect(
+      localSupabase.run(alice, "insert into public.download_history (user_id, action, url) values ($1, 'download', $2)", [bob, SHORT]),
+    ).rejects.toThrow(/row-level security/);
+    await expect(
+      localSupabase.run(alice, "update public.download_history set user_id = $1 where id = $2", [bob, own.id]),
+    ).rejects.toThrow(/row-level security/);
+  });
+
+  test("signed out there is nothing to read or write", async () => {
+    const alice = await localSupabase.addUser();
+    await insertAs(alice, { action: "download", url: SHORT });
+    expect(await localSupabase.run(null, "select * from public.download_history")).toEqual([]);
+    await expect(insertAs(null, { action: "download", url: SHORT })).rejects.toThrow();
+  });
+
+  test("only known actions are accepted", async () => {
+    const alice = await localSupabase.addUser();
+    await expect(insertAs(alice, { action: "stream", url: SHORT })).rejects.toThrow(/check constraint/);
+  });
+
+  test("deleting the account deletes its history", async () => {
+    const alice = await localSupabase.addUser();
+    await insertAs(alice, { action: "download", url: SHORT });
+    await localSupabase.db.query("delete from auth.users where id = $1", [alice]);
+    expect(await localSupabase.allRows("download_history")).toEqual([]);
+  });
+});
+
+describe("history while signed out", () => {
+  test("is kept in localStorage, newest first, with canonical links", async () => {
+    await recordHistory({ action: "download", url: SHORT, title: "Never Gonna Give You Up", request: { quality: "720p" } });
+    await recordHistory({ action: "audio", url: REEL, title: "Whales", author: "natgeo" });
+
+    const entries = await listHistory();
+    expect(entries.map((e) => [e.action, e.url, e.site, e.video_id])).toEqual([
+      ["audio", REEL, "instagram", "C8xQ2mRsT4k"],
+      ["download", "https://www.youtube.com/watch?v=dQw4w9WgXcQ", "youtube", "dQw4w9WgXcQ"],
+    ]);
+    expect(entries[1].request).toEqual({ quality: "720p" });
+    expect(await localSupabase.allRows("download_history")).toEqual([]);
+  });
+
+  test("searches, favorites and removes locally", async () => {
+    await recordHistory({ action: "download", url: SHORT, title: "Never Gonna Give You Up" });
+    await recordHistory({ action: "audio", url: REEL, title: "Whales", author: "natgeo" });
+    const [whales, rick] = await listHistory();
+
+    expect((await listHistory({ q: "NATGEO" })).map((e) => e.id)).toEqual([whales.id]);
+    await setFavorite(rick, true);
+    expect((await listHistory({ favoritesOnly: true })).map((e) => e.id)).toEqual([rick.id]);
+    await removeHistory(whales);
+    expect((await listHistory()).map((e) => e.id)).toEqual([rick.id]);
+  });
+});
+
+describe("history while signed in", () => {
+  test("goes to the table under the user's id", async () => {
+    const alice = await localSupabase.addUser();
+    localSupabase.signIn(alice);
+    await recordHistory({ action: "download", url: SHORT, title: "Never Gonna Give You Up", request: { quality: "720p" } });
+
+    expect(localStorage.length).toBe(0);
+    expect(await localSupabase.allRows("download_history")).toEqual([
+      expect.objectContaining({ user_id: alice, url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ", video_id: "dQw4w9WgXcQ", request: { quality: "720p" } }),
+    ]);
+  });
+
+  test("lists, searches, favorites and removes only the user's own entries", async () => {
+    const alice = await localSupabase.addUser();
+    const bob = await localSupabase.addUser();
+    localSupabase.signIn(bob);
+    await recordHistory({ action: "download", url: SHORT, title: "Bob's copy" });
+    localSupabase.signIn(alice);
+    await recordHistory({ action: "download", url: SHORT, title: "Never Gonna Give You Up" });
+    await recordHistory({ action: "audio", url: REEL, title: "Whales, 100% (the ocean)", author: "natgeo" });
+
+    const [whales, rick] = await listHistory();
+    expect([whales.title, rick.title]).toEqual(["Whales, 100% (the ocean)", "Never Gonna Give You Up"]);
+    expect((await listHistory({ q: "(ocean)" })).map((e) => e.id)).toEqual([whales.id]);
+    expect((await listHistory({ q: "instagram.com" })).map((e) => e.id)).toEqual([whales.id]);
+
+    await setFavorite(rick, true);
+    expect((await listHistory({ favoritesOnly: true })).map((e) => e.id)).toEqual([rick.id]);
+    await removeHistory(whales);
+    expect((await listHistory()).map((e) => e.id)).toEqual([rick.id]);
+
+    localSupabase.signIn(bob);
+    expect((await listHistory()).map((e) => e.title)).toEqual(["Bob's copy"]);
+  });
+
+  test("a failed insert doesn't throw", async () => {
+    localSupabase.signIn(crypto.randomUUID()); // a session for an account that no longer exists
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    await expect(recordHistory({ action: "download", url: SHORT })).resolves.toBeUndefined();
+    expect(warn).toHaveBeenCalledWith("could not record history", expect.objectContaining({ code: "23503" }));
+    warn.mockRestore();
+  });
+});
+
+describe("importLocalHistory", () => {
+  test("does nothing while signed out", async () => {
+    await recordHistory({ action: "download", url: SHORT });
+    expect(await importLocalHistory()).toBe(0);
+    expect(await listHistory()).toHaveLength(1);
+  });
+
+  test("moves what was recorded while signed out into the account on sign-in", async () => {
+    await recordHistory({ action: "download", url: SHORT, title: "Never Gonna Give You Up", request: { quality: "720p" } });
+    await recordHistory({ action: "audio", url: REEL, title: "Whales" });
+    const [whales] = await listHistory();
+    await setFavorite(whales, true);
+    const local = await listHistory();
+
+    const alice = await localSupabase.addUser();
+    localSupabase.signIn(alice);
+    expect(await importLocalHistory()).toBe(2);
+
+    expect(localStorage.getItem("swift-shorts-history")).toBeNull();
+    const imported = await listHistory();
+    expect(imported.map((e) => [e.title, e.favorite, e.request, Date.parse(e.created_at)])).toEqual(
+      local.map((e) => [e.title, e.favorite, e.request, Date.parse(e.created_at)]),
+    );
+    expect(imported.every((e) => !local.some((l) => l.id === e.id))).toBe(true);
+    expect(await importLocalHistory()).toBe(0);
+  });
+
+  test("the same local entries can be imported into two accounts", async () => {
+    await recordHistory({ action: "download", url: SHORT });
+    const saved = localStorage.getItem("swift-shorts-history");
+
+    const alice = await localSupabase.addUser();
+    const bob = await localSupabase.addUser();
+    localSupabase.signIn(alice);
+    expect(await importLocalHistory()).toBe(1);
+    // e.g. a second tab that still had them
+    localStorage.setItem("swift-shorts-history", saved);
+    localSupabase.signIn(bob);
+    expect(await importLocalHistory()).toBe(1);
+
+    const rows = await localSupabase.allRows("download_history");
+    expect(rows.map((r) => r.user_id).sort()).toEqual([alice, bob].sort());
+    expect(new Set(rows.map((r) => r.id)).size).toBe(2);
+  });
+
+  test("keeps the local entries when the insert fails", async () => {
+    await recordHistory({ action: "download", url: SHORT });
+    localSupabase.signIn(crypto.randomUUID());
+    await expect(importLocalHistory()).rejects.toMatchObject({ code: "23503" });
+    expect(localStorage.getItem("swift-shorts-history")).not.toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+// The user's download history: the download_history table (supabase/migrations) when signed in,
+// localStorage otherwise. Recording never fails a download; errors are only logged.
+import { supabase } from "@/integrations/supabase/client";
+import type { Json, Tables } from "@/integrations/supabase/types";
+import { parseVideoUrl } from "./sites";
+
+export type HistoryAction = "info" | "download" | "audio" | "server-save";
+
+export type HistoryEntry = Omit<Tables<"download_history">, "user_id" | "action"> & { action: HistoryAction };
+
+export interface NewHistoryEntry {
+  action: HistoryAction;
+  url: string;
+  title?: string | null;
+  author?: string | null;
+  thumbnail?: string | null;
+  request?: object | null;
+}
+
+const HISTORY_STORAGE = "swift-shorts-history";
+// localStorage is small; the table keeps everything
+const LOCAL_MAX_ENTRIES = 200;
+const FETCH_LIMIT = 200;
+
+const readLocal = (): HistoryEntry[] => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(HISTORY_STORAGE) || "[]");
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeLocal = (entries: HistoryEntry[]) =>
+  localStorage.setItem(HISTORY_STORAGE, JSON.stringify(entries.slice(0, LOCAL_MAX_ENTRIES)));
+
+const currentUserId = async () => (await supabase.auth.getSession()).data.session?.user.id ?? null;
+
+export const recordHistory = async (entry: NewHistoryEntry) => {
+  const video = parseVideoUrl(entry.url);
+  const row = {
+    action: entry.action,
+    url: video.ok ? video.url : entry.url,
+    site: video.site,
+    video_id: video.ok ? video.id : null,
+    title: entry.title ?? null,
+    author: entry.author ?? null,
+    thumbnail: entry.thumbnail ?? null,
+    request: (entry.request ?? null) as Json,
+  };
+  try {
+    if (await currentUserId()) {
+      const { error } = await supabase.from("download_history").insert(row);
+      if (error) throw error;
+    } else {
+      writeLocal([{ ...row, id: crypto.randomUUID(), favorite: false, created_at: new Date().toISOString() }, ...readLocal()]);
+    }
+  } catch (err) {
+    console.warn("could not record history", err);
+  }
+};
+
+// Newest first. `q` matches the title, author or link.
+export const listHistory = async ({ q = "", favoritesOnly = false } = {}): Promise<HistoryEntry[]> => {
+  if (!(await currentUserId())) {
+    const words = q.toLowerCase().split(/\s+/).filter(Boolean);
+    return readLocal().filter((entry) => {
+      const text = [entry.title, entry.author, entry.url].filter(Boolean).join(" ").toLowerCase();
+      return (!favoritesOnly || entry.favorite) && words.every((w) => text.includes(w));
+    });
+  }
+
+  let query = supabase.from("download_history").select("*").order("created_at", { ascending: false }).limit(FETCH_LIMIT);
+  if (favoritesOnly) query = query.eq("favorite", true);
+  // characters with a meaning in PostgREST's or() filter syntax
+  const term = q.trim().replace(/[,()%*\\]/g, " ").trim();
+  if (term) query = query.or(`title.ilike.%${term}%,author.ilike.%${term}%,url.ilike.%${term}%`);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data as HistoryEntry[];
+};
+
+export const setFavorite = async (entry: HistoryEntry, favorite: boolean) => {
+  if (!(await currentUserId())) {
+    writeLocal(readLocal().map((e) => (e.id === entry.id ? { ...e, favorite } : e)));
+    return;
+  }
+  const { error } = await supabase.from("download_history").update({ favorite }).eq("id", entry.id);
+  if (error) throw error;
+};
+
+export const removeHistory = async (entry: HistoryEntry) => {
+  if (!(await currentUserId())) {
+    writeLocal(readLocal().filter((e) => e.id !== entry.id));
+    return;
+  }
+  const { error } = await supabase.from("download_history").delete().eq("id", entry.id);
+  if (error) throw error;
+};
+
+// After signing in: move what was recorded while signed out into the account. The table gives the rows
+// new ids; the local ones only have to be unique in this browser.
+export const importLocalHistory = async () => {
+  const entries = readLocal();
+  if (!entries.length || !(await currentUserId())) return 0;
+  const rows = entries.map(({ id, ...entry }) => ({ ...entry, request: entry.request as Json }));
+  const { error } = await supabase.from("download_history").insert(rows);
+  if (error) throw error;
+  localStorage.removeItem(HISTORY_STORAGE);
+  return entries.length;
+};
@@ -0,0 +1,22 @@
+// The server's media library (GET /api/downloads, see the README's "Media library"). Saving into it is
+// api.saveToServer().
+import type { LibraryItem, LibraryPage, LibraryQuery } from "../services/apiClient";
+import { api } from "./api";
+
+export type { LibraryItem, LibraryPage, LibraryQuery };
+
+const AUDIO_EXTS = ["mp3", "m4a", "opus", "ogg", "wav", "aac"];
+
+export const isAudio = (item: LibraryItem) => AUDIO_EXTS.includes(item.ext);
+
+export const fetchLibrary = (query: LibraryQuery): Promise<LibraryPage> => api.getDownloadedFiles(query);
+
+// The saved file itself, fetched with the API key
+export const fetchSavedFile = async (item: LibraryItem, signal?: AbortSignal) =>
+  (await api.getSavedFile(item.filename, { signal })).response;
+
+// A short-lived signed URL to it for media elements, which can't send the API key
+export const fetchSavedFileUrl = async (item: LibraryItem, signal?: AbortSignal) =>
+  (await api.getSavedFileUrl(item.filename, { signal })).url;
+
+export const deleteSavedFile = (item: LibraryItem) => api.deleteFile(item.filename);
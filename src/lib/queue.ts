@@ -0,0 +1,88 @@
+// The batch queue's items, and keeping them in localStorage so a reload picks up where it left off.
+import type { DownloadProgress } from "./download";
+import type { BackendFormat } from "./formats";
+import { parseVideoUrl, type Site } from "./sites";
+
+//   pending → fetching (info) → ready → queued → downloading → done
+// and failed from fetching or downloading; retrying goes back to pending or queued
+export type QueueStatus = "pending" | "fetching" | "ready" | "queued" | "downloading" | "done" | "failed";
+
+export interface QueueItem {
+  id: string;
+  url: string; // canonical link
+  site: Site;
+  status: QueueStatus;
+  info: {
+    title: string;
+    thumbnail: string | null;
+    author: string | null;
+    formats: BackendFormat[];
+  } | null;
+  // "highest", "lowest", "audio" (MP3) or the value of one of the info's format options
+  format: string;
+  progress: DownloadProgress | null;
+  error: string | null;
+}
+
+export interface SavedQueue {
+  items: QueueItem[];
+  parallelism: number;
+}
+
+const QUEUE_STORAGE = "swift-shorts-queue";
+
+export const PARALLELISM_CHOICES = [1, 2, 3, 4];
+const DEFAULT_PARALLELISM = 2;
+
+// Runs a reload interrupted start over
+const INTERRUPTED: Partial<Record<QueueStatus, QueueStatus>> = { fetching: "pending", downloading: "queued" };
+
+export const loadQueue = (): SavedQueue => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(QUEUE_STORAGE) || "null");
+    if (saved && Array.isArray(saved.items)) {
+      return {
+        items: saved.items.map((item: QueueItem) => ({ ...item, status: INTERRUPTED[item.status] ?? item.status, progress: null })),
+        parallelism: PARALLELISM_CHOICES.includes(saved.parallelism) ? saved.parallelism : DEFAULT_PARALLELISM,
+      };
+    }
+  } catch (err) {
+    console.warn("discarding unreadable download queue", err);
+  }
+  return { items: [], parallelism: DEFAULT_PARALLELISM };
+};
+
+export const saveQueue = ({ items, parallelism }: SavedQueue) => {
+  const stored = items.map((item) => ({ ...item, progress: null }));
+  localStorage.setItem(QUEUE_STORAGE, JSON.stringify({ items: stored, parallelism }));
+};
+
+// New queue items for the video links in `text` (anything whitespace- or comma-separated), skipping
+// links already in `existing`. Also counts what was left out.
+export const itemsFromText = (text: string, existing: QueueItem[]) => {
+  const seen = new Set(existing.map((item) => item.url));
+  const items: QueueItem[] = [];
+  let invalid = 0;
+  let duplicates = 0;
+  for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+    const video = parseVideoUrl(token);
+    if (video.ok === false) {
+      invalid++;
+    } else if (seen.has(video.url)) {
+      duplicates++;
+    } else {
+      seen.add(video.url);
+      items.push({
+        id: crypto.randomUUID(),
+        url: video.url,
+        site: video.site,
+        status: "pending",
+        info: null,
+        format: "highest",
+        progress: null,
+        error: null,
+      });
+    }
+  }
+  return { items, invalid, duplicates };
+};
@@ -0,0 +1,36 @@
+import { createRequire } from "node:module";
+import { describe, expect, test } from "vitest";
+import { SITES, parseVideoUrl, siteOf } from "./sites";
+
+// the CommonJS build the server validates with
+const server = createRequire(import.meta.url)("../../backend/shared/sites.js");
+
+const LINKS = [
+  "https://youtube.com/shorts/dQw4w9WgXcQ?feature=share",
+  "https://youtu.be/dQw4w9WgXcQ?t=90",
+  "https://www.youtube.com/playlist?list=PL123",
+  "https://www.instagram.com/reels/C8xQ2mRsT4k/",
+  "https://www.tiktok.com/@someone/video/7356512345678901234",
+  "https://vm.tiktok.com/ZMabc123/",
+  "https://twitter.com/someone/status/1790000000000000000/video/1",
+  "https://x.com/someone",
+  "https://vimeo.com/123",
+  "not a link",
+  "",
+];
+
+describe("the site registry in the web app", () => {
+  test("parses links to each site", () => {
+    expect(parseVideoUrl(LINKS[0])).toMatchObject({ ok: true, site: "youtube", id: "dQw4w9WgXcQ", kind: "shorts" });
+    expect(parseVideoUrl(LINKS[3])).toMatchObject({ ok: true, site: "instagram", url: "https://www.instagram.com/reel/C8xQ2mRsT4k/" });
+    expect(parseVideoUrl(LINKS[4])).toMatchObject({ ok: true, site: "tiktok", id: "7356512345678901234" });
+    expect(parseVideoUrl(LINKS[6])).toMatchObject({ ok: true, site: "x", url: "https://x.com/someone/status/1790000000000000000" });
+    expect(parseVideoUrl(LINKS[8])).toMatchObject({ ok: false, site: null, reason: "unsupported-site" });
+    expect(siteOf(LINKS[7])).toBe("x");
+    expect(Object.keys(SITES)).toEqual(["youtube", "instagram", "tiktok", "x"]);
+  });
+
+  test.each(LINKS)("agrees with the server on %j", (link) => {
+    expect(parseVideoUrl(link)).toEqual(server.parseVideoUrl(link));
+  });
+});
@@ -0,0 +1,29 @@
+// Typed access to backend/shared/sites.mjs, the site registry the server validates with (YouTube links
+// go through backend/shared/youtube-url.mjs, typed in ./youtubeUrl).
+import * as sites from "../../backend/shared/sites.mjs";
+import type { ParsedYouTubeUrl, YouTubeUrlRejection } from "./youtubeUrl";
+
+export type Site = "youtube" | "instagram" | "tiktok" | "x";
+
+export type ParsedVideoUrl =
+  | (Extract<ParsedYouTubeUrl, { ok: true }> & { site: "youtube" })
+  | {
+      ok: true;
+      site: Exclude<Site, "youtube">;
+      id: string;
+      url: string; // canonical link on the site
+      kind: string;
+      start: null;
+      playlistId: null;
+    }
+  | {
+      ok: false;
+      site: Site | null; // the site the link is on, when it's one of them
+      reason: YouTubeUrlRejection | "unsupported-site";
+      message: string;
+      playlistId?: string;
+    };
+
+export const SITES: Record<Site, { name: Site; label: string }> = sites.SITES;
+export const parseVideoUrl: (input: string) => ParsedVideoUrl = sites.parseVideoUrl;
+export const siteOf: (input: string) => Site | null = sites.siteOf;
@@ -0,0 +1,25 @@
+// Typed access to backend/shared/youtube-url.mjs, the parser the server validates with, so the form
+// accepts exactly the links the API does.
+import { parseYouTubeUrl as parse } from "../../backend/shared/youtube-url.mjs";
+
+export type YouTubeUrlRejection =
+  | "empty"
+  | "not-a-url"
+  | "not-youtube"
+  | "playlist"
+  | "channel"
+  | "no-video-id"
+  | "invalid-video-id";
+
+export type ParsedYouTubeUrl =
+  | {
+      ok: true;
+      id: string;
+      url: string; // canonical https://www.youtube.com/watch?v=<id>
+      kind: "watch" | "shorts" | "embed" | "live" | "short-link" | "id";
+      start: number | null; // t= / start= in seconds
+      playlistId: string | null;
+    }
+  | { ok: false; reason: YouTubeUrlRejection; message: string; playlistId?: string };
+
+export const parseYouTubeUrl: (input: string) => ParsedYouTubeUrl = parse;
@@ -0,0 +1,43 @@
+// @vitest-environment jsdom
+// The production build, started the way index.html starts it. `vite dev` and the other tests load the
+// sources as they are; only the bundler decides how shared code is wrapped, and a CommonJS-looking
+// module there once broke the built app before it rendered.
+import { execFile } from "node:child_process";
+import { mkdir, mkdtemp, readFile, rm } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { promisify } from "node:util";
+import { afterAll, beforeAll, expect, test, vi } from "vitest";
+
+let outDir: string;
+
+beforeAll(async () => {
+  // Vitest hands files under node_modules to Node as they are, rather than transforming them
+  await mkdir("node_modules/.cache", { recursive: true });
+  outDir = await mkdtemp(path.resolve("node_modules/.cache/app-build-"));
+  // in its own process: esbuild refuses to run in the jsdom environment
+  await promisify(execFile)(process.execPath, ["node_modules/vite/bin/vite.js", "build", "--outDir", outDir, "--logLevel", "error"], {
+    env: {
+      ...process.env,
+      NODE_ENV: "production",
+      // src/integrations/supabase/client.ts needs these at load; .env isn't checked in
+      VITE_SUPABASE_URL: process.env.VITE_SUPABASE_URL || "http://localhost:54321",
+      VITE_SUPABASE_PUBLISHABLE_KEY: process.env.VITE_SUPABASE_PUBLISHABLE_KEY || "test-key",
+    },
+  });
+}, 120_000);
+
+afterAll(() => rm(outDir, { recursive: true, force: true }));
+
+test("the built app starts and renders", async () => {
+  const html = await readFile(path.join(outDir, "index.html"), "utf8");
+  const entry = /<script type="module"[^>]* src="\/([^"]+)"/.exec(html)?.[1];
+  expect(entry).toBeTruthy();
+
+  document.body.innerHTML = '<div id="root"></div>';
+  // not in jsdom; the app asks it for the screen size
+  window.matchMedia = (media) =>
+    ({ matches: false, media, onchange: null, addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {} }) as unknown as MediaQueryList;
+  await import(/* @vite-ignore */ pathToFileURL(path.join(outDir, entry)).href);
+  await vi.waitFor(() => expect(document.getElementById("root")?.childElementCount).toBeGreaterThan(0));
+});
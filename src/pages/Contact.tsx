@@ -1,6 +1,7 @@
 import { useState } from "react";
 import Header from "@/components/Header";
 import Footer from "@/components/Footer";
+import { api, describeError } from "@/lib/api";
 
 const Contact = () => {
   const [name, setName] = useState("");
@@ -15,35 +16,13 @@ const Contact = () => {
     if (!message.trim()) return setStatus({ type: "error", msg: "Please enter a message." });
     setLoading(true);
     try {
-      const res = await fetch("/api/contact", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ name, email, message })
-      });
-
-      // Read text first so we can handle non-JSON or empty responses without throwing
-      const text = await res.text();
-      let data: any = null;
-      if (text) {
-        try {
-          data = JSON.parse(text);
-        } catch (parseErr) {
-          console.warn("/api/contact returned non-JSON response:", text);
-          data = null;
-        }
-      }
-
-      if (res.ok) {
-        setStatus({ type: "success", msg: "Message sent — thank you!" });
-        setName("");
-        setEmail("");
-        setMessage("");
-      } else {
-        const errMsg = data?.error || data?.message || text || "Failed to send message";
-        setStatus({ type: "error", msg: errMsg });
-      }
-    } catch (err: any) {
-      setStatus({ type: "error", msg: err?.message || String(err) });
+      await api.sendContact({ name, email, message });
+      setStatus({ type: "success", msg: "Message sent — thank you!" });
+      setName("");
+      setEmail("");
+      setMessage("");
+    } catch (err) {
+      setStatus({ type: "error", msg: describeError(err, "Failed to send message: ") });
     } finally {
       setLoading(false);
     }
@@ -0,0 +1,186 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Download, Loader2, Search, Star, X } from "lucide-react";
+import { toast } from "sonner";
+import Header from "@/components/Header";
+import Footer from "@/components/Footer";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { cn } from "@/lib/utils";
+import { api, describeError } from "@/lib/api";
+import { saveResponse, stripUnsafe } from "@/lib/download";
+import { listHistory, recordHistory, removeHistory, setFavorite, type HistoryAction, type HistoryEntry } from "@/lib/history";
+import { SITES, type Site } from "@/lib/sites";
+import { useSession } from "@/hooks/use-session";
+import type { AudioRequest, DownloadRequest } from "@/services/apiClient";
+
+const ACTION_LABELS: Record<HistoryAction, string> = {
+  info: "Looked up",
+  download: "Video",
+  audio: "Audio",
+  "server-save": "Saved to server",
+};
+
+// Download `entry` again with the same options. Lookups and server saves come down as video.
+const redownload = async (entry: HistoryEntry) => {
+  const audio = entry.action === "audio";
+  const request: Record<string, unknown> = { ...(entry.request as Record<string, unknown> | null), url: entry.url };
+  const download = audio
+    ? await api.downloadAudio(request as unknown as AudioRequest)
+    : await api.downloadVideo(request as unknown as DownloadRequest);
+  const ext = audio ? String(request.format ?? "mp3") : "mp4";
+  await saveResponse(download.response, `${stripUnsafe(entry.title ?? "video")}.${ext}`);
+  await recordHistory({ ...entry, action: audio ? "audio" : "download", request });
+};
+
+const History = () => {
+  const session = useSession();
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState("");
+  const [q, setQ] = useState("");
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [downloadingId, setDownloadingId] = useState<string | null>(null);
+
+  const history = useQuery({
+    queryKey: ["history", session?.user.id ?? null, q, favoritesOnly],
+    queryFn: () => listHistory({ q, favoritesOnly }),
+    enabled: session !== undefined,
+  });
+  const entries = history.data ?? [];
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ["history"] });
+
+  const handleRedownload = async (entry: HistoryEntry) => {
+    setDownloadingId(entry.id);
+    try {
+      await redownload(entry);
+      refresh();
+    } catch (err) {
+      console.error("re-download error", err);
+      toast.error(describeError(err, "Download failed: "));
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  const handleFavorite = async (entry: HistoryEntry) => {
+    try {
+      await setFavorite(entry, !entry.favorite);
+      refresh();
+    } catch (err) {
+      toast.error(describeError(err, "Could not update favorites: "));
+    }
+  };
+
+  const handleRemove = async (entry: HistoryEntry) => {
+    try {
+      await removeHistory(entry);
+      refresh();
+    } catch (err) {
+      toast.error(describeError(err, "Could not remove it: "));
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <Header />
+      <main className="flex-1 py-12 px-4">
+        <div className="container mx-auto max-w-3xl space-y-6">
+          <div>
+            <h1 className="text-3xl font-bold text-foreground">History</h1>
+            <p className="text-muted-foreground mt-1">
+              {session
+                ? "Everything you looked up or downloaded while signed in."
+                : "Kept in this browser only. Sign in to keep it across devices."}
+            </p>
+          </div>
+
+          <div className="flex gap-2">
+            <form
+              className="flex gap-2 flex-1"
+              onSubmit={(e) => {
+                e.preventDefault();
+                setQ(search.trim());
+              }}
+            >
+              <Input placeholder="Search titles, channels or links" value={search} onChange={(e) => setSearch(e.target.value)} />
+              <Button type="submit" variant="outline">
+                <Search className="w-4 h-4" />
+              </Button>
+            </form>
+            <Button
+              variant={favoritesOnly ? "default" : "outline"}
+              onClick={() => setFavoritesOnly((v) => !v)}
+              aria-pressed={favoritesOnly}
+            >
+              <Star className={cn("w-4 h-4 mr-2", favoritesOnly && "fill-current")} />
+              Favorites
+            </Button>
+          </div>
+
+          <Card className="divide-y">
+            {history.isPending ? (
+              <div className="flex justify-center py-10">
+                <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+              </div>
+            ) : history.isError ? (
+              <p className="text-center py-10 text-destructive">{describeError(history.error, "Could not load your history: ")}</p>
+            ) : entries.length === 0 ? (
+              <p className="text-center py-10 text-muted-foreground">
+                {q || favoritesOnly ? "Nothing matches." : "Nothing here yet. Videos you look up or download show up here."}
+              </p>
+            ) : (
+              entries.map((entry) => (
+                <div key={entry.id} className="flex gap-3 items-center p-3">
+                  {entry.thumbnail ? (
+                    <img src={entry.thumbnail} alt="" className="w-14 h-14 rounded object-cover shrink-0" />
+                  ) : (
+                    <div className="w-14 h-14 rounded bg-muted shrink-0" />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <a href={entry.url} target="_blank" rel="noreferrer" className="font-medium truncate block hover:underline">
+                      {entry.title || entry.url}
+                    </a>
+                    <div className="flex items-center gap-2 text-xs text-muted-foreground mt-1">
+                      <Badge variant="outline">{ACTION_LABELS[entry.action] ?? entry.action}</Badge>
+                      <span className="truncate">
+                        {[entry.site ? SITES[entry.site as Site]?.label : null, entry.author, new Date(entry.created_at).toLocaleString()]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </span>
+                    </div>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleFavorite(entry)}
+                    aria-label={entry.favorite ? "Remove from favorites" : "Add to favorites"}
+                  >
+                    <Star className={cn("w-4 h-4", entry.favorite && "fill-current text-primary")} />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleRedownload(entry)}
+                    disabled={downloadingId !== null}
+                    aria-label="Download again"
+                  >
+                    {downloadingId === entry.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                  </Button>
+                  <Button variant="ghost" size="icon" onClick={() => handleRemove(entry)} aria-label="Remove from history">
+                    <X className="w-4 h-4" />
+                  </Button>
+                </div>
+              ))
+            )}
+          </Card>
+        </div>
+      </main>
+      <Footer />
+    </div>
+  );
+};
+
+export default History;
@@ -0,0 +1,496 @@
+import { useCallback, useEffect, useState } from "react";
+import { keepPreviousData, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Download, KeyRound, Loader2, Play, Search, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import Header from "@/components/Header";
+import Footer from "@/components/Footer";
+import { Button } from "@/components/ui/button";
+import { Card } from "@/components/ui/card";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from "@/components/ui/pagination";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { cn } from "@/lib/utils";
+import { describeError, formatBytes, getApiKey, setApiKey, type ApiError } from "@/lib/api";
+import { saveResponse } from "@/lib/download";
+import { SITES, type Site } from "@/lib/sites";
+import { deleteSavedFile, fetchLibrary, fetchSavedFile, fetchSavedFileUrl, isAudio, type LibraryItem, type LibraryQuery } from "@/lib/library";
+
+type LibrarySort = LibraryQuery["sort"];
+
+const PAGE_SIZE = 20;
+
+const SORTS: { value: LibrarySort; label: string }[] = [
+  { value: "-savedAt", label: "Newest first" },
+  { value: "savedAt", label: "Oldest first" },
+  { value: "title", label: "Title (A–Z)" },
+  { value: "-size", label: "Largest first" },
+  { value: "-duration", label: "Longest first" },
+];
+
+const formatDuration = (seconds: number | null) =>
+  seconds == null ? "–" : `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, "0")}`;
+
+const formatDate = (iso: string | null) => (iso ? new Date(iso).toLocaleString() : "Never");
+
+// Page numbers to show around `page`, with null where a gap gets an ellipsis
+const pageNumbers = (page: number, pages: number): (number | null)[] => {
+  const shown = [...new Set([1, page - 1, page, page + 1, pages])].filter((n) => n >= 1 && n <= pages).sort((a, b) => a - b);
+  return shown.flatMap((n, i) => (i > 0 && n - shown[i - 1] > 1 ? [null, n] : [n]));
+};
+
+// Asks for an API key when the server doesn't let requests without one use the library
+const ApiKeyPrompt = ({ error, onSaved }: { error: ApiError; onSaved: () => void }) => {
+  const [key, setKey] = useState(getApiKey());
+  return (
+    <Card className="p-6 space-y-4">
+      <div className="flex items-center gap-2 font-semibold">
+        <KeyRound className="w-5 h-5 text-primary" />
+        {error.code === "forbidden" ? "Your API key can't open the library" : "The library needs an API key"}
+      </div>
+      <p className="text-sm text-muted-foreground">
+        Enter a key with the <code>server-save</code> scope (and <code>delete</code> to remove files). It's kept in this
+        browser only.
+      </p>
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          setApiKey(key);
+          onSaved();
+        }}
+      >
+        <Input type="password" value={key} onChange={(e) => setKey(e.target.value)} placeholder="API key" className="flex-1" />
+        <Button type="submit">Save key</Button>
+      </form>
+    </Card>
+  );
+};
+
+// Plays a saved file in a dialog, straight from the server through a signed link: it honors Range, so
+// playback starts right away and seeking only fetches what's needed.
+const PreviewDialog = ({ item, onClose }: { item: LibraryItem | null; onClose: () => void }) => {
+  const source = useQuery({
+    queryKey: ["saved-file-url", item?.filename],
+    queryFn: ({ signal }) => fetchSavedFileUrl(item!, signal),
+    enabled: !!item,
+    // a fresh link whenever it opens and no refetch while open: links expire, and a new src restarts playback
+    gcTime: 0,
+    staleTime: Infinity,
+    retry: false,
+  });
+
+  const handleError = useCallback(() => {
+    toast.error("Could not load the preview. Check that your API key may fetch saved files.");
+    onClose();
+  }, [onClose]);
+
+  useEffect(() => {
+    if (source.isError) handleError();
+  }, [source.isError, handleError]);
+
+  return (
+    <Dialog open={!!item} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="pr-6 truncate">{item?.title || item?.filename}</DialogTitle>
+          <DialogDescription>{item?.author ? `By ${item.author}` : item?.filename}</DialogDescription>
+        </DialogHeader>
+        {item &&
+          (!source.data ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : isAudio(item) ? (
+            <audio src={source.data} controls autoPlay onError={handleError} className="w-full" />
+          ) : (
+            <video src={source.data} controls autoPlay onError={handleError} className="w-full max-h-[70vh] rounded-md bg-black" />
+          ))}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const Library = () => {
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState("");
+  const [q, setQ] = useState("");
+  const [site, setSite] = useState<Site | "all">("all");
+  const [sort, setSort] = useState<LibrarySort>("-savedAt");
+  const [page, setPage] = useState(1);
+  // selected filenames; kept across pages so a selection can span them
+  const [selected, setSelected] = useState<Map<string, LibraryItem>>(new Map());
+  const [previewing, setPreviewing] = useState<LibraryItem | null>(null);
+  const closePreview = useCallback(() => setPreviewing(null), []);
+  const [pendingDelete, setPendingDelete] = useState<LibraryItem[] | null>(null);
+  const [deleting, setDeleting] = useState(false);
+  const [downloadingFiles, setDownloadingFiles] = useState(false);
+
+  const library = useQuery({
+    queryKey: ["library", { q, site, sort, page }],
+    queryFn: () => fetchLibrary({ q, site: site === "all" ? "" : site, sort, page, pageSize: PAGE_SIZE }),
+    placeholderData: keepPreviousData,
+    retry: false,
+  });
+  const items = library.data?.items ?? [];
+  const pages = library.data?.pages ?? 0;
+  const authError = ["unauthorized", "forbidden"].includes((library.error as ApiError)?.code ?? "") ? (library.error as ApiError) : null;
+
+  // files deleted elsewhere, or expired, leave the last page empty
+  useEffect(() => {
+    if (pages && page > pages) setPage(pages);
+  }, [page, pages]);
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ["library"] });
+
+  const toggle = (item: LibraryItem, checked: boolean) =>
+    setSelected((prev) => {
+      const next = new Map(prev);
+      if (checked) next.set(item.filename, item);
+      else next.delete(item.filename);
+      return next;
+    });
+
+  const allOnPageSelected = items.length > 0 && items.every((item) => selected.has(item.filename));
+  const toggleAllOnPage = (checked: boolean) =>
+    setSelected((prev) => {
+      const next = new Map(prev);
+      items.forEach((item) => (checked ? next.set(item.filename, item) : next.delete(item.filename)));
+      return next;
+    });
+
+  // One at a time: browsers may block several downloads started at once
+  const handleDownload = async (targets: LibraryItem[]) => {
+    setDownloadingFiles(true);
+    try {
+      for (const item of targets) {
+        await saveResponse(await fetchSavedFile(item), item.filename);
+      }
+    } catch (err) {
+      console.error("library download error", err);
+      toast.error(describeError(err, "Download failed: "));
+    } finally {
+      setDownloadingFiles(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!pendingDelete) return;
+    setDeleting(true);
+    const failed: LibraryItem[] = [];
+    for (const item of pendingDelete) {
+      await deleteSavedFile(item).catch((err) => {
+        console.error("delete error", err);
+        failed.push(item);
+        if (failed.length === 1) toast.error(describeError(err, `Could not delete ${item.filename}: `));
+      });
+    }
+    const deleted = pendingDelete.length - failed.length;
+    if (deleted) toast.success(deleted === 1 ? "File deleted" : `${deleted} files deleted`);
+    setSelected((prev) => {
+      const next = new Map(prev);
+      pendingDelete.forEach((item) => !failed.includes(item) && next.delete(item.filename));
+      return next;
+    });
+    setDeleting(false);
+    setPendingDelete(null);
+    refresh();
+  };
+
+  const applySearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setQ(search.trim());
+    setPage(1);
+  };
+
+  const selection = [...selected.values()];
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <Header />
+      <main className="flex-1 py-12 px-4">
+        <div className="container mx-auto max-w-6xl space-y-6">
+          <div>
+            <h1 className="text-3xl font-bold text-foreground">Library</h1>
+            <p className="text-muted-foreground mt-1">
+              Videos saved on the server. They're removed automatically once they expire.
+            </p>
+          </div>
+
+          {authError ? (
+            <ApiKeyPrompt error={authError} onSaved={refresh} />
+          ) : (
+            <>
+              <div className="flex flex-col md:flex-row gap-2">
+                <form onSubmit={applySearch} className="flex gap-2 flex-1">
+                  <Input
+                    placeholder="Search titles, channels or links"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                  />
+                  <Button type="submit" variant="outline">
+                    <Search className="w-4 h-4" />
+                  </Button>
+                </form>
+                <Select
+                  value={site}
+                  onValueChange={(val) => {
+                    setSite(val as Site | "all");
+                    setPage(1);
+                  }}
+                >
+                  <SelectTrigger className="md:w-40">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All sites</SelectItem>
+                    {Object.values(SITES).map((s) => (
+                      <SelectItem key={s.name} value={s.name}>
+                        {s.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Select
+                  value={sort}
+                  onValueChange={(val) => {
+                    setSort(val as LibrarySort);
+                    setPage(1);
+                  }}
+                >
+                  <SelectTrigger className="md:w-44">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {SORTS.map((s) => (
+                      <SelectItem key={s.value} value={s.value}>
+                        {s.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {selection.length > 0 && (
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-muted-foreground mr-auto">{selection.length} selected</span>
+                  <Button variant="ghost" size="sm" onClick={() => setSelected(new Map())}>
+                    Clear
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => handleDownload(selection)} disabled={downloadingFiles}>
+                    {downloadingFiles ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+                    Download
+                  </Button>
+                  <Button variant="destructive" size="sm" onClick={() => setPendingDelete(selection)}>
+                    <Trash2 className="w-4 h-4 mr-2" />
+                    Delete
+                  </Button>
+                </div>
+              )}
+
+              <Card>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead className="w-10">
+                        <Checkbox
+                          checked={allOnPageSelected}
+                          onCheckedChange={(checked) => toggleAllOnPage(checked === true)}
+                          aria-label="Select all on this page"
+                        />
+                      </TableHead>
+                      <TableHead>Title</TableHead>
+                      <TableHead className="hidden md:table-cell">Site</TableHead>
+                      <TableHead className="hidden md:table-cell">Length</TableHead>
+                      <TableHead>Size</TableHead>
+                      <TableHead className="hidden lg:table-cell">Saved</TableHead>
+                      <TableHead className="hidden lg:table-cell">Expires</TableHead>
+                      <TableHead className="text-right">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {library.isPending ? (
+                      <TableRow>
+                        <TableCell colSpan={8} className="text-center py-10">
+                          <Loader2 className="w-6 h-6 animate-spin inline text-muted-foreground" />
+                        </TableCell>
+                      </TableRow>
+                    ) : library.isError ? (
+                      <TableRow>
+                        <TableCell colSpan={8} className="text-center py-10 text-destructive">
+                          {describeError(library.error, "Could not load the library: ")}
+                        </TableCell>
+                      </TableRow>
+                    ) : items.length === 0 ? (
+                      <TableRow>
+                        <TableCell colSpan={8} className="text-center py-10 text-muted-foreground">
+                          {q || site !== "all" ? "Nothing matches." : "Nothing saved yet. Use “Save to server” on the home page."}
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      items.map((item) => (
+                        <TableRow key={item.filename} data-state={selected.has(item.filename) ? "selected" : undefined}>
+                          <TableCell>
+                            <Checkbox
+                              checked={selected.has(item.filename)}
+                              onCheckedChange={(checked) => toggle(item, checked === true)}
+                              aria-label={`Select ${item.filename}`}
+                            />
+                          </TableCell>
+                          <TableCell className="max-w-xs">
+                            <div className="font-medium truncate" title={item.filename}>
+                              {item.title || item.filename}
+                            </div>
+                            {item.author && <div className="text-xs text-muted-foreground truncate">{item.author}</div>}
+                          </TableCell>
+                          <TableCell className="hidden md:table-cell">
+                            {item.site && item.sourceUrl ? (
+                              <a href={item.sourceUrl} target="_blank" rel="noreferrer" className="hover:underline">
+                                {SITES[item.site]?.label ?? item.site}
+                              </a>
+                            ) : (
+                              "–"
+                            )}
+                          </TableCell>
+                          <TableCell className="hidden md:table-cell">{formatDuration(item.durationSeconds)}</TableCell>
+                          <TableCell>{formatBytes(item.size)}</TableCell>
+                          <TableCell className="hidden lg:table-cell text-sm">{formatDate(item.savedAt)}</TableCell>
+                          <TableCell className="hidden lg:table-cell text-sm">{formatDate(item.expiresAt)}</TableCell>
+                          <TableCell className="text-right whitespace-nowrap">
+                            <Button variant="ghost" size="icon" onClick={() => setPreviewing(item)} aria-label="Preview">
+                              <Play className="w-4 h-4" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => handleDownload([item])}
+                              disabled={downloadingFiles}
+                              aria-label="Download"
+                            >
+                              <Download className="w-4 h-4" />
+                            </Button>
+                            <Button variant="ghost" size="icon" onClick={() => setPendingDelete([item])} aria-label="Delete">
+                              <Trash2 className="w-4 h-4" />
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      ))
+                    )}
+                  </TableBody>
+                </Table>
+              </Card>
+
+              {pages > 1 && (
+                <Pagination>
+                  <PaginationContent>
+                    <PaginationItem>
+                      <PaginationPrevious
+                        href="#"
+                        className={cn(page <= 1 && "pointer-events-none opacity-50")}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          setPage((p) => Math.max(1, p - 1));
+                        }}
+                      />
+                    </PaginationItem>
+                    {pageNumbers(page, pages).map((n, i) =>
+                      n === null ? (
+                        <PaginationItem key={`gap-${i}`}>
+                          <PaginationEllipsis />
+                        </PaginationItem>
+                      ) : (
+                        <PaginationItem key={n}>
+                          <PaginationLink
+                            href="#"
+                            isActive={n === page}
+                            onClick={(e) => {
+                              e.preventDefault();
+                              setPage(n);
+                            }}
+                          >
+                            {n}
+                          </PaginationLink>
+                        </PaginationItem>
+                      ),
+                    )}
+                    <PaginationItem>
+                      <PaginationNext
+                        href="#"
+                        className={cn(page >= pages && "pointer-events-none opacity-50")}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          setPage((p) => Math.min(pages, p + 1));
+                        }}
+                      />
+                    </PaginationItem>
+                  </PaginationContent>
+                </Pagination>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+      <Footer />
+
+      <PreviewDialog item={previewing} onClose={closePreview} />
+
+      <AlertDialog open={!!pendingDelete} onOpenChange={(open) => !open && !deleting && setPendingDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>
+              {pendingDelete?.length === 1 ? "Delete this file?" : `Delete ${pendingDelete?.length} files?`}
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              {pendingDelete?.length === 1
+                ? `${pendingDelete[0].title || pendingDelete[0].filename} will be removed from the server.`
+                : "They will be removed from the server."}{" "}
+              This can't be undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={deleting}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              disabled={deleting}
+              onClick={(e) => {
+                // stay open until the deletes are done
+                e.preventDefault();
+                handleDelete();
+              }}
+            >
+              {deleting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default Library;
@@ -0,0 +1,30 @@
+// Node-only helpers for ./apiClient.ts downloads: the body as a Node stream, or written to disk.
+// Kept apart so browser bundles never pull in node: modules.
+
+import { createWriteStream } from "node:fs";
+import { rm, stat } from "node:fs/promises";
+import { basename, join } from "node:path";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import type { ReadableStream as NodeReadableStream } from "node:stream/web";
+import type { Download } from "./apiClient";
+
+// The download's body as a Node Readable (resuming after dropped connections like the web stream)
+export const toNodeStream = (download: Download) => {
+  if (!download.response.body) return Readable.from([]);
+  return Readable.fromWeb(download.response.body as unknown as NodeReadableStream<Uint8Array>);
+};
+
+// Write `download` to `target`: a file path, or an existing directory to put it in under the name the
+// server gave it. A partly written file is removed when the download fails. Resolves to the file's path.
+export const saveToPath = async (download: Download, target: string) => {
+  const isDir = await stat(target).then((s) => s.isDirectory(), () => false);
+  const file = isDir ? join(target, basename(download.filename)) : target;
+  try {
+    await pipeline(toNodeStream(download), createWriteStream(file));
+  } catch (err) {
+    await rm(file, { force: true });
+    throw err;
+  }
+  return file;
+};
@@ -0,0 +1,249 @@
+import { describe, expect, test, vi } from "vitest";
+import { ShortsDownloaderAPI } from "./apiClient";
+
+const SHORT = "https://www.youtube.com/shorts/dQw4w9WgXcQ";
+
+// A caller's signal that counts the abort listeners currently hooked to it
+const countedSignal = () => {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const listeners = new Set<unknown>();
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = ((type: string, listener: EventListener, options?: AddEventListenerOptions) => {
+    if (type === "abort") listeners.add(listener);
+    add(type, listener, options);
+  }) as typeof signal.addEventListener;
+  signal.removeEventListener = ((type: string, listener: EventListener, options?: EventListenerOptions) => {
+    if (type === "abort") listeners.delete(listener);
+    remove(type, listener, options);
+  }) as typeof signal.removeEventListener;
+  return { controller, signal, listeners: () => listeners.size };
+};
+
+// A fetch answering each request with the next of `responses`; `calls` has what it was asked
+const fakeFetch = (...responses: ((init?: RequestInit) => Response | Error | Promise<Response>)[]) => {
+  const calls: { url: string; init?: RequestInit }[] = [];
+  const impl = async (input: RequestInfo | URL, init?: RequestInit) => {
+    calls.push({ url: String(input), init });
+    const next = await (responses.shift()?.(init) ?? new Error("unexpected request"));
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return Object.assign(impl as typeof fetch, { calls });
+};
+
+// A response that only comes after `ms`, or never; either way it gives up when the request is aborted
+const later = (ms: number, respond?: () => Response) => (init?: RequestInit) =>
+  new Promise<Response>((resolve, reject) => {
+    if (respond) setTimeout(() => resolve(respond()), ms);
+    init?.signal?.addEventListener("abort", () => reject(init.signal?.reason), { once: true });
+  });
+const never = later(0);
+
+const json = (body: object, status = 200) => () =>
+  new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+// A file whose first chunk is there at once; the rest comes through `body` and the body errors when
+// the request is aborted, as a real one's does
+const file = () => {
+  let body!: ReadableStreamDefaultController<Uint8Array>;
+  const respond = (init?: RequestInit) =>
+    new Response(
+      new ReadableStream<Uint8Array>({
+        start(controller) {
+          body = controller;
+          controller.enqueue(new Uint8Array([1, 2, 3]));
+          init?.signal?.addEventListener("abort", () => controller.error(init.signal?.reason), { once: true });
+        },
+      }),
+      { headers: { "Content-Length": "6" } },
+    );
+  return { respond, body: () => body };
+};
+
+describe("a caller's signal", () => {
+  test("is let go once each response has been read", async () => {
+    const fetch = fakeFetch(json({ status: "ok" }), json({ title: "Never Gonna Give You Up" }));
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch });
+    const { signal, listeners } = countedSignal();
+
+    await expect(api.healthCheck({ signal })).resolves.toEqual({ status: "ok" });
+    await expect(api.getVideoInfo(SHORT, { signal })).resolves.toEqual({ title: "Never Gonna Give You Up" });
+    expect(listeners()).toBe(0);
+  });
+
+  test("is let go after failed and retried requests", async () => {
+    const fetch = fakeFetch(
+      () => new TypeError("fetch failed"),
+      json({ title: "Never Gonna Give You Up" }),
+      json({ error: "Server busy", code: "server-busy" }, 503),
+      json({ error: "Video removed", code: "removed" }, 404),
+    );
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch });
+    const { signal, listeners } = countedSignal();
+
+    await expect(api.getVideoInfo(SHORT, { signal })).resolves.toEqual({ title: "Never Gonna Give You Up" });
+    await expect(api.getVideoInfo(SHORT, { signal, retries: 0 })).rejects.toMatchObject({ code: "server-busy", status: 503 });
+    await expect(api.getVideoInfo(SHORT, { signal })).rejects.toMatchObject({ code: "removed", status: 404 });
+    expect(listeners()).toBe(0);
+  });
+
+  test("still cancels a download while its body is read, and is let go when it ends", async () => {
+    const complete = file();
+    const cancelled = file();
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch: fakeFetch(complete.respond, cancelled.respond) });
+    const { controller, signal, listeners } = countedSignal();
+
+    const { response } = await api.downloadVideo({ url: SHORT, resumable: false }, { signal });
+    const reader = response.body!.getReader();
+    expect((await reader.read()).value).toEqual(new Uint8Array([1, 2, 3]));
+    expect(listeners()).toBe(1);
+    complete.body().enqueue(new Uint8Array([4, 5, 6]));
+    complete.body().close();
+    expect((await reader.read()).value).toEqual(new Uint8Array([4, 5, 6]));
+    expect((await reader.read()).done).toBe(true);
+    expect(listeners()).toBe(0);
+
+    const download = await api.downloadVideo({ url: SHORT, resumable: false }, { signal });
+    const pending = download.response.arrayBuffer();
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+    expect(listeners()).toBe(0);
+  });
+
+  test("is let go when a download is cancelled", async () => {
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch: fakeFetch(file().respond) });
+    const { signal, listeners } = countedSignal();
+
+    const { response } = await api.downloadVideo({ url: SHORT, resumable: false }, { signal });
+    await response.body!.cancel();
+    expect(listeners()).toBe(0);
+  });
+});
+
+describe("timeouts", () => {
+  test("a response that doesn't start in time fails with 'timeout' once the retries are used up", async () => {
+    const fetch = fakeFetch(never, never);
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch, timeoutMs: 20, retries: 1 });
+
+    await expect(api.getVideoInfo(SHORT)).rejects.toMatchObject({ code: "timeout", message: "No response from the server within 20 ms" });
+    expect(fetch.calls).toHaveLength(2);
+  });
+
+  test("downloads wait for the server to start answering", async () => {
+    const fetch = fakeFetch(later(100, file().respond));
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch, timeoutMs: 20 });
+
+    const { size } = await api.downloadVideo({ url: SHORT });
+    expect(size).toBe(6);
+    expect(fetch.calls).toHaveLength(1);
+  });
+
+  test("a download that times out isn't sent again", async () => {
+    const fetch = fakeFetch(never, never);
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch, downloadTimeoutMs: 20 });
+
+    await expect(api.downloadVideo({ url: SHORT })).rejects.toMatchObject({ code: "timeout" });
+    await expect(api.downloadAudio({ url: SHORT }, { timeoutMs: 20 })).rejects.toMatchObject({ code: "timeout" });
+    expect(fetch.calls).toHaveLength(2);
+  });
+});
+
+describe("retries", () => {
+  test("a busy server is asked again after its Retry-After", async () => {
+    const busy = () =>
+      new Response(JSON.stringify({ error: "Too many requests", code: "too-many-requests" }), { status: 429, headers: { "Retry-After": "1" } });
+    const fetch = fakeFetch(busy, json({ title: "Never Gonna Give You Up" }));
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch });
+
+    const started = Date.now();
+    await expect(api.getVideoInfo(SHORT)).resolves.toEqual({ title: "Never Gonna Give You Up" });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(990);
+    expect(fetch.calls).toHaveLength(2);
+  });
+
+  test("answers that won't change aren't retried", async () => {
+    const fetch = fakeFetch(
+      json({ error: "YouTube is rate-limiting the server", code: "rate-limited" }, 429),
+      json({ error: "Video removed", code: "removed" }, 404),
+    );
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch });
+
+    await expect(api.getVideoInfo(SHORT)).rejects.toMatchObject({ code: "rate-limited", status: 429 });
+    await expect(api.getVideoInfo(SHORT)).rejects.toMatchObject({ code: "removed", status: 404 });
+    expect(fetch.calls).toHaveLength(2);
+  });
+
+  test("requests that start work aren't sent again after a network failure", async () => {
+    const fetch = fakeFetch(() => new TypeError("fetch failed"));
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch });
+
+    await expect(api.downloadToServer({ url: SHORT })).rejects.toMatchObject({ code: "network", message: "Could not reach the server: fetch failed" });
+    expect(fetch.calls).toHaveLength(1);
+  });
+});
+
+describe("resumable downloads", () => {
+  // The first part of a staged file, after which the connection drops
+  const dropped = () =>
+    new Response(
+      new ReadableStream<Uint8Array>({
+        start(controller) {
+          controller.enqueue(new Uint8Array([1, 2, 3]));
+        },
+        pull(controller) {
+          controller.error(new TypeError("terminated"));
+        },
+      }),
+      { headers: { "Content-Length": "6", "X-Resume-Token": "abc" } },
+    );
+  const rest = () => new Response(new Uint8Array([4, 5, 6]), { status: 206, headers: { "Content-Range": "bytes 3-5/6" } });
+
+  test("are asked for by default", async () => {
+    const fetch = fakeFetch(file().respond, file().respond);
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch });
+
+    await api.downloadVideo({ url: SHORT });
+    await api.downloadVideo({ url: SHORT, resumable: false });
+    expect(fetch.calls.map((c) => JSON.parse(String(c.init?.body)).resumable)).toEqual([true, false]);
+  });
+
+  test("pick up where the connection dropped with a Range request, then release the staged copy", async () => {
+    const fetch = fakeFetch(dropped, rest, json({ deleted: true }));
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch });
+
+    const { response } = await api.downloadVideo({ url: SHORT });
+    expect(new Uint8Array(await response.arrayBuffer())).toEqual(new Uint8Array([1, 2, 3, 4, 5, 6]));
+    expect(fetch.calls[1]).toMatchObject({ url: "http://api.test/api/resume/abc", init: { method: "GET", headers: { Range: "bytes=3-" } } });
+    await vi.waitFor(() => expect(fetch.calls[2]).toMatchObject({ url: "http://api.test/api/resume/abc", init: { method: "DELETE" } }));
+  });
+
+  test("fail rather than append anything but the rest of the file", async () => {
+    const fetch = fakeFetch(dropped, () => new Response(new Uint8Array([1, 2, 3, 4, 5, 6])));
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch });
+
+    const { response } = await api.downloadVideo({ url: SHORT });
+    await expect(response.arrayBuffer()).rejects.toMatchObject({ message: "Could not resume download", status: 200 });
+  });
+
+  test("fail with 'expired' once the server let go of the file", async () => {
+    const fetch = fakeFetch(dropped, json({ error: "Not found", code: "invalid-request" }, 404));
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch });
+
+    const { response } = await api.downloadVideo({ url: SHORT });
+    await expect(response.arrayBuffer()).rejects.toMatchObject({ code: "expired", status: 404 });
+  });
+});
+
+describe("saved file links", () => {
+  test("come signed from the server, with the API key sent in a header only", async () => {
+    const signed = { url: "/downloads/My%20video-1712345678901.mp4?expires=1&signature=abc", expiresAt: "2026-01-01T00:00:00.000Z" };
+    const fetch = fakeFetch(json(signed));
+    const api = new ShortsDownloaderAPI("http://api.test", { fetch, apiKey: "secret" });
+
+    await expect(api.getSavedFileUrl("My video-1712345678901.mp4")).resolves.toEqual({ ...signed, url: `http://api.test${signed.url}` });
+    expect(fetch.calls[0].url).toBe("http://api.test/api/downloads/My%20video-1712345678901.mp4/url");
+    expect(new Headers(fetch.calls[0].init?.headers).get("Authorization")).toBe("Bearer secret");
+  });
+});
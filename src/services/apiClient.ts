@@ -0,0 +1,616 @@
+// Typed client for the backend's HTTP API (routes in backend/server.js, request and response types in
+// backend/shared/api.d.ts). It only needs fetch and web streams, so it runs in browsers and in Node 18+:
+// downloads come back as a `Download` whose body is read by the caller, with src/lib/download.ts saving
+// it in the browser and ./apiClient.node.ts writing it to disk in Node.
+//
+// Requests that can't reach the server, or that it turns away as busy (429/503), are retried after a
+// short wait; `timeoutMs` bounds how long to wait for a response to start (for downloads
+// `downloadTimeoutMs`, off by default). Aborting `signal` cancels a request (and the server's work on it)
+// at any point, including while its body is being read.
+
+import type {
+  AudioRequest,
+  BatchRequest,
+  CacheStats,
+  CachePurged,
+  CachePurgeQuery,
+  CaptionList,
+  CaptionsRequest,
+  ContactRequest,
+  ContactResult,
+  DeliveredFormat,
+  Deleted,
+  DownloadRequest,
+  ErrorBody,
+  FrameRequest,
+  Health,
+  Job,
+  JobCancelled,
+  LibraryPage,
+  LibraryQuery,
+  MediaUrl,
+  SaveRequest,
+  SaveStarted,
+  ServerErrorCode,
+  ThumbnailRequest,
+  VideoInfo,
+} from "../../backend/shared/api";
+
+export type * from "../../backend/shared/api";
+
+// The server's codes, and the client's own: 'cancelled' (a job cancelled elsewhere), 'expired' (a
+// resumable download past its expiry), 'network' (the server couldn't be reached) and 'timeout'
+export type ErrorCode = ServerErrorCode | "cancelled" | "expired" | "network" | "timeout";
+
+export interface ErrorDetails {
+  code?: ErrorCode;
+  status?: number | null;
+  details?: string | null;
+  reason?: string | null;
+  retryAfter?: number | null;
+}
+
+// Error for failed requests. `status` is the HTTP status, `details` the server's underlying message,
+// `reason` why a link was rejected ("playlist", "unsupported-site", ...) and `retryAfter` the seconds
+// the server asked to wait (429s). Aborted requests reject with the usual AbortError instead.
+export class ShortsDownloaderError extends Error {
+  code: ErrorCode;
+  status: number | null;
+  details: string | null;
+  reason: string | null;
+  retryAfter: number | null;
+
+  constructor(message: string, { code = "internal", status = null, details = null, reason = null, retryAfter = null }: ErrorDetails = {}) {
+    super(message);
+    this.name = "ShortsDownloaderError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export interface ClientOptions {
+  // Sent with every request; needed for the scopes the server doesn't grant anonymous clients (saving on
+  // the server, deleting, admin). A function is asked on each request, so a changed key takes effect.
+  apiKey?: string | null | (() => string | null | undefined);
+  retries?: number; // default 2
+  timeoutMs?: number; // until the response starts; default 30s, 0 for none
+  // The same for downloads; default 0. The server may fetch (and for resumable ones stage) the whole file
+  // before it answers, and a download that timed out isn't sent again, as the server was still on it.
+  downloadTimeoutMs?: number;
+  resumeAttempts?: number; // how often a dropped download is resumed before giving up; default 5
+  fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  retries?: number;
+  timeoutMs?: number;
+}
+
+export interface DownloadProgress {
+  loaded: number;
+  total: number | null; // null when the server sent no Content-Length
+}
+
+export interface DownloadOptions extends RequestOptions {
+  // bytes so far, at most every PROGRESS_INTERVAL_MS and once at the end
+  onProgress?: (progress: DownloadProgress) => void;
+}
+
+export interface WatchOptions {
+  signal?: AbortSignal; // stops watching; the job keeps running
+  onUpdate?: (job: Job) => void;
+  pollIntervalMs?: number; // default 1000
+}
+
+// A file the server is sending. `response.body` is the file: read it, or hand the response to
+// saveResponse() (src/lib/download.ts) or saveToPath() (./apiClient.node.ts). When the server staged the
+// file, the body resumes by itself after the connection drops.
+export interface Download {
+  response: Response;
+  filename: string; // from Content-Disposition, else the route's default
+  size: number | null;
+  extractor: string | null;
+  format: DeliveredFormat | null; // X-Format
+  formatFallback: string[]; // selector fields that couldn't be honored (X-Format-Fallback)
+  cached: boolean | null; // X-Cache; null where the route doesn't use the download cache
+}
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_TIMEOUT_MS = 30_000;
+const DEFAULT_DOWNLOAD_TIMEOUT_MS = 0;
+const DEFAULT_RESUME_ATTEMPTS = 5;
+const DEFAULT_POLL_MS = 1000;
+const PROGRESS_INTERVAL_MS = 100;
+// waits are 1s, 2s, 4s... unless the server says otherwise; anything it asks beyond this is an error
+const RETRY_BASE_MS = 1000;
+const MAX_RETRY_AFTER_S = 30;
+
+// YouTube rate-limiting the server and a missing extractor don't clear up within seconds
+const RETRY_STATUSES = [429, 503];
+const NO_RETRY_CODES: ErrorCode[] = ["rate-limited", "extractor-missing"];
+
+const abortError = () => new DOMException("The operation was aborted", "AbortError");
+
+const sleep = (ms: number, signal?: AbortSignal) =>
+  new Promise<void>((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// A signal that fires when `signal` does, or after `ms` until cleared. It stays tied to `signal` until
+// disposed, so aborting still cancels reading the body; dispose once the request is over, or a caller
+// reusing one signal for many requests collects a listener for each.
+const withTimeout = (signal: AbortSignal | undefined, ms: number) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort(signal?.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+  const timer = ms > 0
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, ms)
+    : null;
+  const clear = () => timer && clearTimeout(timer);
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    clear,
+    dispose: () => {
+      clear();
+      signal?.removeEventListener("abort", onAbort);
+    },
+  };
+};
+
+// `res` with a body that calls `done` once it has been read to the end, failed or been cancelled
+// (right away when there is no body)
+const onBodyDone = (res: Response, done: () => void) => {
+  if (!res.body) {
+    done();
+    return res;
+  }
+  const reader = res.body.getReader();
+  const body = new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const { done: ended, value } = await reader.read();
+        if (ended) {
+          controller.close();
+          done();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (err) {
+        done();
+        throw err;
+      }
+    },
+    cancel(reason) {
+      done();
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+};
+
+// Filename from Content-Disposition (plain or RFC 5987), else `fallback`
+export const filenameFrom = (headers: Headers, fallback: string) => {
+  const disposition = headers.get("Content-Disposition") || "";
+  const encoded = /filename\*=[\w-]*'[\w-]*'([^;]+)/i.exec(disposition);
+  if (encoded) return decodeURIComponent(encoded[1].trim());
+  const plain = /filename="?([^";]+)"?/i.exec(disposition);
+  return plain ? plain[1].trim() : fallback;
+};
+
+// "id=22; width=720; height=1280; fps=30; vcodec=h264; ..." (backend/formats.js formatHeader)
+const parseFormatHeader = (header: string | null): DeliveredFormat | null => {
+  if (!header) return null;
+  const format: Record<string, string | number> = {};
+  header.split(";").forEach((part) => {
+    const [key, value] = part.split("=").map((s) => s.trim());
+    if (key && value) format[key] = ["width", "height", "fps"].includes(key) ? Number(value) : value;
+  });
+  return format as DeliveredFormat;
+};
+
+// Passes `body` through unchanged, reporting bytes so far
+const counted = (body: ReadableStream<Uint8Array>, total: number | null, onProgress: DownloadOptions["onProgress"]) => {
+  let loaded = 0;
+  let reported = 0;
+  return body.pipeThrough(new TransformStream<Uint8Array, Uint8Array>({
+    transform(chunk, controller) {
+      loaded += chunk.byteLength;
+      if (Date.now() - reported >= PROGRESS_INTERVAL_MS) {
+        reported = Date.now();
+        onProgress({ loaded, total });
+      }
+      controller.enqueue(chunk);
+    },
+    flush() {
+      onProgress({ loaded, total });
+    },
+  }));
+};
+
+// Error for a failed response, from its JSON body ({ error, code, message }) when there is one
+const errorFrom = async (res: Response, fallbackMessage: string) => {
+  const body: Partial<ErrorBody> = await res.json().catch(() => ({}));
+  const retryAfter = Number(res.headers.get("Retry-After"));
+  return new ShortsDownloaderError(body.error || fallbackMessage, {
+    code: body.code || "internal",
+    status: res.status,
+    details: body.message || null,
+    reason: body.reason || null,
+    retryAfter: retryAfter > 0 ? retryAfter : null,
+  });
+};
+
+interface Call extends RequestOptions {
+  method?: "GET" | "POST" | "DELETE";
+  body?: unknown;
+  query?: object;
+  headers?: Record<string, string>;
+  // whether a request that may have reached the server can be sent again (not for ones that start work)
+  idempotent?: boolean;
+  // whether one that timed out can; not when the server was likely still working on it
+  retryTimeouts?: boolean;
+}
+
+export class ShortsDownloaderAPI {
+  readonly baseURL: string;
+  private readonly apiKey: ClientOptions["apiKey"];
+  private readonly retries: number;
+  private readonly timeoutMs: number;
+  private readonly downloadTimeoutMs: number;
+  private readonly resumeAttempts: number;
+  private readonly fetchImpl: typeof fetch;
+
+  constructor(baseURL = "http://localhost:3000", options: ClientOptions = {}) {
+    this.baseURL = baseURL.replace(/\/+$/, "");
+    this.apiKey = options.apiKey ?? null;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.downloadTimeoutMs = options.downloadTimeoutMs ?? DEFAULT_DOWNLOAD_TIMEOUT_MS;
+    this.resumeAttempts = options.resumeAttempts ?? DEFAULT_RESUME_ATTEMPTS;
+    // called unbound, browsers reject it ("Illegal invocation")
+    this.fetchImpl = options.fetch ?? ((input, init) => fetch(input, init));
+  }
+
+  private key() {
+    return (typeof this.apiKey === "function" ? this.apiKey() : this.apiKey) || null;
+  }
+
+  private url(path: string, query?: object) {
+    const params = new URLSearchParams(
+      Object.entries(query ?? {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== "")
+        .map(([key, value]) => [key, String(value)]),
+    ).toString();
+    return `${this.baseURL}${path}${params ? `?${params}` : ""}`;
+  }
+
+  // Send a request, retrying as described at the top; resolves to the successful response
+  private async request(path: string, call: Call = {}): Promise<Response> {
+    const { method = "GET", body, query, signal, idempotent = true, retryTimeouts = true } = call;
+    const retries = call.retries ?? this.retries;
+    const timeoutMs = call.timeoutMs ?? this.timeoutMs;
+    const headers: Record<string, string> = { ...call.headers };
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    const key = this.key();
+    if (key) headers.Authorization = `Bearer ${key}`;
+
+    for (let attempt = 0; ; attempt++) {
+      const timeout = withTimeout(signal, timeoutMs);
+      let error: ShortsDownloaderError;
+      try {
+        const res = await this.fetchImpl(this.url(path, query), {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: timeout.signal,
+        });
+        timeout.clear();
+        if (res.ok) return onBodyDone(res, timeout.dispose);
+        error = await errorFrom(res, `${method} ${path} failed with ${res.status}`);
+        timeout.dispose();
+        // 429/503 turn a request away before any work starts, so even non-idempotent ones can be repeated
+        if (!RETRY_STATUSES.includes(res.status) || NO_RETRY_CODES.includes(error.code)) throw error;
+        if (error.retryAfter && error.retryAfter > MAX_RETRY_AFTER_S) throw error;
+      } catch (err) {
+        timeout.dispose();
+        if (signal?.aborted) throw err;
+        if (err instanceof ShortsDownloaderError) throw err;
+        error = timeout.timedOut()
+          ? new ShortsDownloaderError(`No response from the server within ${timeoutMs} ms`, { code: "timeout" })
+          : new ShortsDownloaderError(`Could not reach the server: ${(err as Error)?.message || err}`, { code: "network" });
+        if (!idempotent || (error.code === "timeout" && !retryTimeouts)) throw error;
+      }
+      if (attempt >= retries) throw error;
+      await sleep(error.retryAfter ? error.retryAfter * 1000 : RETRY_BASE_MS * 2 ** attempt, signal);
+    }
+  }
+
+  private async json<T>(path: string, call?: Call): Promise<T> {
+    return (await this.request(path, call)).json();
+  }
+
+  // A download response's body that survives network drops: when the server staged the file
+  // (X-Resume-Url), a failed read is retried with a Range request for the rest, backing off 1s, 2s, 4s...
+  // The staged copy is released once everything has arrived.
+  private resumableBody(res: Response, signal?: AbortSignal): ReadableStream<Uint8Array> | null {
+    const token = res.headers.get("X-Resume-Token");
+    if (!token || !res.body) return res.body;
+
+    let reader: ReadableStreamDefaultReader<Uint8Array> | null = res.body.getReader();
+    let received = 0;
+    let attempts = 0;
+    return new ReadableStream<Uint8Array>({
+      pull: async (controller) => {
+        for (;;) {
+          // reader is null while the connection is down
+          if (reader) {
+            try {
+              const { done, value } = await reader.read();
+              if (done) {
+                controller.close();
+                this.releaseResume(token).catch(() => {});
+              } else {
+                received += value.byteLength;
+                attempts = 0;
+                controller.enqueue(value);
+              }
+              return;
+            } catch (err) {
+              if (signal?.aborted || attempts >= this.resumeAttempts) throw err;
+              reader = null;
+            }
+          } else if (attempts >= this.resumeAttempts) {
+            throw new ShortsDownloaderError("Download interrupted: network unavailable", { code: "network" });
+          }
+
+          attempts += 1;
+          await sleep(RETRY_BASE_MS * 2 ** (attempts - 1), signal);
+          let resumed: Response | null = null;
+          try {
+            resumed = await this.resume(token, received, { signal });
+          } catch (err) {
+            if (signal?.aborted || (err as ShortsDownloaderError).code !== "network") throw err;
+          }
+          // anything but the rest of the file would corrupt it
+          if (resumed && resumed.status !== 206) {
+            resumed.body?.cancel();
+            throw new ShortsDownloaderError("Could not resume download", { status: resumed.status });
+          }
+          reader = resumed?.body?.getReader() ?? null;
+        }
+      },
+      cancel: (reason) => {
+        return reader?.cancel(reason);
+      },
+    });
+  }
+
+  private async download(path: string, fallbackName: string, body: object | undefined, options: DownloadOptions = {}): Promise<Download> {
+    const { onProgress, ...call } = options;
+    const res = await this.request(path, {
+      method: body ? "POST" : "GET",
+      body,
+      ...call,
+      timeoutMs: call.timeoutMs ?? this.downloadTimeoutMs,
+      retryTimeouts: false,
+    });
+    const length = Number(res.headers.get("Content-Length"));
+    const size = length > 0 ? length : null;
+    let stream = this.resumableBody(res, call.signal);
+    if (stream && onProgress) stream = counted(stream, size, onProgress);
+    const cache = res.headers.get("X-Cache");
+    return {
+      response: stream === res.body ? res : new Response(stream, { status: res.status, statusText: res.statusText, headers: res.headers }),
+      filename: filenameFrom(res.headers, fallbackName),
+      size,
+      extractor: res.headers.get("X-Extractor"),
+      format: parseFormatHeader(res.headers.get("X-Format")),
+      formatFallback: (res.headers.get("X-Format-Fallback") || "").split(",").map((s) => s.trim()).filter(Boolean),
+      cached: cache ? cache === "HIT" : null,
+    };
+  }
+
+  // --- GET /health ---
+  healthCheck(options?: RequestOptions) {
+    return this.json<Health>("/health", options);
+  }
+
+  // --- POST /api/video-info ---
+  getVideoInfo(url: string, options?: RequestOptions) {
+    return this.json<VideoInfo>("/api/video-info", { method: "POST", body: { url }, ...options });
+  }
+
+  // --- POST /api/download --- resumable unless `resumable: false`: the server stages the file first, and a
+  // dropped connection picks up where it stopped
+  downloadVideo(request: DownloadRequest, options?: DownloadOptions) {
+    return this.download("/api/download", "video.mp4", { resumable: true, ...request }, options);
+  }
+
+  // --- POST /api/download-audio --- transcoded to `format` (mp3 by default); `resumable` as for downloadVideo
+  downloadAudio(request: AudioRequest, options?: DownloadOptions) {
+    return this.download("/api/download-audio", `audio.${request.format || "mp3"}`, { resumable: true, ...request }, options);
+  }
+
+  // --- GET /api/resume/:token --- a staged download again, from byte `offset`
+  resume(token: string, offset = 0, options?: RequestOptions) {
+    return this.request(`/api/resume/${encodeURIComponent(token)}`, {
+      headers: offset ? { Range: `bytes=${offset}-` } : {},
+      retries: 0,
+      ...options,
+    }).catch((err) => {
+      throw err instanceof ShortsDownloaderError && err.status === 404
+        ? new ShortsDownloaderError("Download expired, start it again", { code: "expired", status: 404 })
+        : err;
+    });
+  }
+
+  // --- DELETE /api/resume/:token --- the whole file arrived, so the server needn't keep it
+  releaseResume(token: string, options?: RequestOptions) {
+    return this.json<Deleted>(`/api/resume/${encodeURIComponent(token)}`, { method: "DELETE", ...options });
+  }
+
+  // --- POST /api/captions --- the available tracks
+  getCaptions(url: string, options?: RequestOptions) {
+    return this.json<CaptionList>("/api/captions", { method: "POST", body: { url }, ...options });
+  }
+
+  // --- POST /api/captions --- one track as srt, vtt (default) or txt
+  downloadCaptions(request: CaptionsRequest & { lang: string }, options?: DownloadOptions) {
+    return this.download("/api/captions", `captions.${request.format || "vtt"}`, request, options);
+  }
+
+  // --- POST /api/thumbnail ---
+  downloadThumbnail(request: ThumbnailRequest, options?: DownloadOptions) {
+    return this.download("/api/thumbnail", `thumbnail.${request.format || "jpg"}`, request, options);
+  }
+
+  // --- POST /api/frame ---
+  downloadFrame(request: FrameRequest, options?: DownloadOptions) {
+    return this.download("/api/frame", `frame.${request.format || "jpg"}`, request, options);
+  }
+
+  // --- POST /api/batch --- a ZIP of the videos, with manifest.json listing what succeeded and what failed
+  downloadBatch(request: BatchRequest, options?: DownloadOptions) {
+    return this.download("/api/batch", "batch.zip", request, options);
+  }
+
+  // --- POST /api/download-to-server --- starts a background job; follow it with getJob() or watchJob()
+  downloadToServer(request: SaveRequest, options?: RequestOptions) {
+    return this.json<SaveStarted>("/api/download-to-server", { method: "POST", body: request, idempotent: false, ...options });
+  }
+
+  // --- GET /api/jobs/:id ---
+  getJob(jobId: string, options?: RequestOptions) {
+    return this.json<Job>(`/api/jobs/${encodeURIComponent(jobId)}`, options);
+  }
+
+  // --- DELETE /api/jobs/:id --- the job turns "cancelled" once the server has stopped it
+  cancelJob(jobId: string, options?: RequestOptions) {
+    return this.json<JobCancelled>(`/api/jobs/${encodeURIComponent(jobId)}`, { method: "DELETE", ...options });
+  }
+
+  // --- GET /api/jobs/:id/events --- follow a job until it finishes, with server-sent events where
+  // EventSource exists, else (and always with an API key, which EventSource can't send) by polling.
+  // Resolves to the completed job; rejects when it fails or is cancelled.
+  watchJob(jobId: string, { signal, onUpdate, pollIntervalMs = DEFAULT_POLL_MS }: WatchOptions = {}) {
+    return new Promise<Job>((resolve, reject) => {
+      let source: EventSource | null = null;
+      let timer: ReturnType<typeof setTimeout> | null = null;
+      let finished = false;
+
+      const finish = (err: unknown, job?: Job) => {
+        if (finished) return;
+        finished = true;
+        source?.close();
+        if (timer) clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        if (err) reject(err);
+        else resolve(job);
+      };
+      const onAbort = () => finish(abortError());
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      const handle = (job: Job) => {
+        if (finished) return true;
+        onUpdate?.(job);
+        if (job.state === "completed") finish(null, job);
+        else if (job.state === "failed") finish(new ShortsDownloaderError(job.error || "Job failed", { code: job.errorCode || "internal" }));
+        else if (job.state === "cancelled") finish(new ShortsDownloaderError("Job cancelled", { code: "cancelled" }));
+        return finished;
+      };
+
+      const poll = async () => {
+        try {
+          if (!handle(await this.getJob(jobId, { signal }))) timer = setTimeout(poll, pollIntervalMs);
+        } catch (err) {
+          finish(err);
+        }
+      };
+
+      if (typeof EventSource === "undefined" || this.key()) {
+        poll();
+        return;
+      }
+      source = new EventSource(`${this.baseURL}/api/jobs/${encodeURIComponent(jobId)}/events`);
+      source.addEventListener("progress", (e) => handle(JSON.parse((e as MessageEvent).data)));
+      source.addEventListener("end", (e) => handle(JSON.parse((e as MessageEvent).data)));
+      source.onerror = () => {
+        // the stream dropped before "end"; keep following the job by polling
+        source?.close();
+        if (!finished) poll();
+      };
+    });
+  }
+
+  // Save `request.url` on the server and wait for it: downloadToServer() and watchJob() in one.
+  // Aborting `signal` cancels the job.
+  async saveToServer(request: SaveRequest, { signal, ...watch }: WatchOptions = {}) {
+    const { jobId } = await this.downloadToServer(request, { signal });
+    try {
+      return await this.watchJob(jobId, { signal, ...watch });
+    } catch (err) {
+      if (signal?.aborted) await this.cancelJob(jobId, { retries: 0 }).catch(() => {});
+      throw err;
+    }
+  }
+
+  // --- GET /api/downloads --- search the files saved on the server (the media library)
+  getDownloadedFiles(query: LibraryQuery = {}, options?: RequestOptions) {
+    return this.json<LibraryPage>("/api/downloads", { query, ...options });
+  }
+
+  // --- GET /downloads/:filename --- a saved file itself
+  getSavedFile(filename: string, options?: DownloadOptions) {
+    return this.download(`/downloads/${encodeURIComponent(filename)}`, filename, undefined, options);
+  }
+
+  // --- GET /api/downloads/:filename/url --- the same file's URL for a <video>, <audio> or link, which
+  // can't send headers: signed by the server, it works without the API key until `expiresAt`. The server
+  // honors Range on it, so media elements can seek without fetching it all.
+  async getSavedFileUrl(filename: string, options?: RequestOptions): Promise<MediaUrl> {
+    const { url, expiresAt } = await this.json<MediaUrl>(`/api/downloads/${encodeURIComponent(filename)}/url`, options);
+    return { url: this.url(url), expiresAt };
+  }
+
+  // --- DELETE /api/downloads/:filename ---
+  deleteFile(filename: string, options?: RequestOptions) {
+    return this.json<Deleted>(`/api/downloads/${encodeURIComponent(filename)}`, { method: "DELETE", ...options });
+  }
+
+  // --- GET /api/admin/cache --- the download cache's contents
+  getCacheStats(options?: RequestOptions) {
+    return this.json<CacheStats>("/api/admin/cache", options);
+  }
+
+  // --- DELETE /api/admin/cache --- everything, or one video's entries
+  purgeCache(query: CachePurgeQuery = {}, options?: RequestOptions) {
+    return this.json<CachePurged>("/api/admin/cache", { method: "DELETE", query, ...options });
+  }
+
+  // --- POST /api/contact ---
+  sendContact(request: ContactRequest, options?: RequestOptions) {
+    return this.json<ContactResult>("/api/contact", { method: "POST", body: request, idempotent: false, ...options });
+  }
+}
+
+export default ShortsDownloaderAPI;
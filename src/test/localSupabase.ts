@@ -0,0 +1,219 @@
+// A local stand-in for the Supabase project in tests: Postgres (PGlite) with the parts of Supabase's auth
+// schema that supabase/migrations relies on, and a client with the slice of supabase-js the app uses.
+// Like PostgREST, every query runs in a transaction as `authenticated` (or `anon` when signed out) with
+// the user's id as the JWT subject, so row level security applies.
+import { PGlite, type Transaction } from "@electric-sql/pglite";
+import { readFileSync, readdirSync } from "node:fs";
+
+const MIGRATIONS = new URL("../../supabase/migrations/", import.meta.url);
+
+// What a Supabase project has before the first migration
+const SUPABASE_BASE = `
+  create role anon nologin;
+  create role authenticated nologin;
+  create schema auth;
+  create table auth.users (id uuid primary key);
+  create function auth.uid() returns uuid language sql stable
+    as $$ select nullif(current_setting('request.jwt.claim.sub', true), '')::uuid $$;
+  grant usage on schema auth, public to anon, authenticated;
+  alter default privileges in schema public grant select, insert, update, delete on tables to anon, authenticated;
+`;
+
+type Row = Record<string, unknown>;
+
+export interface QueryError {
+  message: string;
+  code?: string;
+}
+
+export interface QueryResult {
+  data: Row[] | null;
+  error: QueryError | null;
+}
+
+const ident = (name: string) => {
+  if (!/^[a-z_][a-z0-9_]*$/.test(name)) throw new Error(`unsupported column: ${name}`);
+  return `"${name}"`;
+};
+
+const toParam = (value: unknown) =>
+  value === undefined ? null : value !== null && typeof value === "object" ? JSON.stringify(value) : value;
+
+// from(table).select / insert / update / delete with eq, or (ilike and eq), order and limit
+class Query implements PromiseLike<QueryResult> {
+  private verb: "select" | "insert" | "update" | "delete" = "select";
+  private rows: Row[] = [];
+  private where: string[] = [];
+  private params: unknown[] = [];
+  private orderBy = "";
+  private max: number | null = null;
+
+  constructor(
+    private local: LocalSupabase,
+    private table: string,
+  ) {}
+
+  select(columns = "*") {
+    if (columns !== "*") throw new Error("only select('*') is supported");
+    return this;
+  }
+
+  insert(rows: Row | Row[]) {
+    this.verb = "insert";
+    this.rows = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values: Row) {
+    this.verb = "update";
+    this.rows = [values];
+    return this;
+  }
+
+  delete() {
+    this.verb = "delete";
+    return this;
+  }
+
+  eq(column: string, value: unknown) {
+    this.where.push(`${ident(column)} = ${this.param(value)}`);
+    return this;
+  }
+
+  // PostgREST's "col.op.value,col.op.value"
+  or(filters: string) {
+    const alternatives = filters.split(",").map((filter) => {
+      const [column, op, ...rest] = filter.split(".");
+      const value = rest.join(".");
+      if (op === "ilike") return `${ident(column)} ilike ${this.param(value.replace(/\*/g, "%"))}`;
+      if (op === "eq") return `${ident(column)} = ${this.param(value)}`;
+      throw new Error(`unsupported filter: ${filter}`);
+    });
+    this.where.push(`(${alternatives.join(" or ")})`);
+    return this;
+  }
+
+  order(column: string, { ascending = true } = {}) {
+    this.orderBy = ` order by ${ident(column)} ${ascending ? "asc" : "desc"}`;
+    return this;
+  }
+
+  limit(count: number) {
+    this.max = count;
+    return this;
+  }
+
+  then<A = QueryResult, B = never>(
+    onFulfilled?: ((value: QueryResult) => A | PromiseLike<A>) | null,
+    onRejected?: ((reason: unknown) => B | PromiseLike<B>) | null,
+  ) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  private param(value: unknown) {
+    this.params.push(toParam(value));
+    return `$${this.params.length}`;
+  }
+
+  private sql() {
+    const table = `public.${ident(this.table)}`;
+    const where = this.where.length ? ` where ${this.where.join(" and ")}` : "";
+    if (this.verb === "select") return `select * from ${table}${where}${this.orderBy}${this.max != null ? ` limit ${this.max}` : ""}`;
+    if (this.verb === "delete") return `delete from ${table}${where}`;
+    if (this.verb === "update") {
+      const sets = Object.entries(this.rows[0]).map(([column, value]) => `${ident(column)} = ${this.param(value)}`);
+      return `update ${table} set ${sets.join(", ")}${where}`;
+    }
+    // a key missing from some rows is null in them, as with supabase-js's bulk inserts
+    const columns = [...new Set(this.rows.flatMap((row) => Object.keys(row)))];
+    const values = this.rows.map((row) => `(${columns.map((column) => this.param(row[column])).join(", ")})`);
+    return `insert into ${table} (${columns.map(ident).join(", ")}) values ${values.join(", ")}`;
+  }
+
+  private async execute(): Promise<QueryResult> {
+    try {
+      const rows = await this.local.run(this.local.userId, this.sql(), this.params);
+      // through JSON, as over HTTP (timestamps become strings)
+      return { data: this.verb === "select" ? JSON.parse(JSON.stringify(rows)) : null, error: null };
+    } catch (err) {
+      const { message, code } = err as QueryError;
+      return { data: null, error: { message, code } };
+    }
+  }
+}
+
+export class LocalSupabase {
+  readonly db = new PGlite();
+  userId: string | null = null;
+  private ready = this.setup();
+
+  // the client the app imports from @/integrations/supabase/client
+  readonly client = {
+    from: (table: string) => new Query(this, table),
+    auth: {
+      getSession: async () => ({ data: { session: this.userId ? { user: { id: this.userId } } : null }, error: null }),
+    },
+  };
+
+  private async setup() {
+    await this.db.exec(SUPABASE_BASE);
+    for (const file of readdirSync(MIGRATIONS).filter((f) => f.endsWith(".sql")).sort()) {
+      await this.db.exec(readFileSync(new URL(file, MIGRATIONS), "utf8"));
+    }
+  }
+
+  // Run `sql` the way PostgREST would for `userId` (signed out when null)
+  async run(userId: string | null, sql: string, params: unknown[] = []) {
+    await this.ready;
+    return this.db.transaction(async (tx: Transaction) => {
+      await tx.query("select set_config('request.jwt.claim.sub', $1, true)", [userId ?? ""]);
+      await tx.exec(`set local role ${userId ? "authenticated" : "anon"}`);
+      return (await tx.query<Row>(sql, params)).rows;
+    });
+  }
+
+  // A new account; its id
+  async addUser() {
+    await this.ready;
+    const id = crypto.randomUUID();
+    await this.db.query("insert into auth.users (id) values ($1)", [id]);
+    return id;
+  }
+
+  signIn(userId: string) {
+    this.userId = userId;
+  }
+
+  signOut() {
+    this.userId = null;
+  }
+
+  // Every row in `table`, bypassing row level security
+  async allRows(table: string) {
+    await this.ready;
+    return (await this.db.query<Row>(`select * from public.${ident(table)} order by created_at`)).rows;
+  }
+
+  async reset() {
+    await this.ready;
+    await this.db.exec("truncate auth.users cascade");
+    this.userId = null;
+  }
+}
+
+export const localSupabase = new LocalSupabase();
+
+// localStorage for tests running in Node
+export const memoryStorage = (): Storage => {
+  const items = new Map<string, string>();
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (index) => [...items.keys()][index] ?? null,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => void items.set(key, String(value)),
+    removeItem: (key) => void items.delete(key),
+    clear: () => items.clear(),
+  };
+};
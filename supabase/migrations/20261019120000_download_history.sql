@@ -0,0 +1,39 @@
+-- Per-user download history for the web app (src/lib/history.ts). Signed-out users keep theirs in
+-- localStorage instead; it is copied here when they sign in.
+
+create table public.download_history (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  action text not null check (action in ('info', 'download', 'audio', 'server-save')),
+  url text not null,
+  site text,
+  video_id text,
+  title text,
+  author text,
+  thumbnail text,
+  -- the body sent to the backend (quality, format, clip...), so a re-download repeats it
+  request jsonb,
+  favorite boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index download_history_user_created_idx on public.download_history (user_id, created_at desc);
+
+alter table public.download_history enable row level security;
+
+create policy "Users read their own history"
+  on public.download_history for select
+  using (auth.uid() = user_id);
+
+create policy "Users add to their own history"
+  on public.download_history for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users update their own history"
+  on public.download_history for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Users delete their own history"
+  on public.download_history for delete
+  using (auth.uid() = user_id);